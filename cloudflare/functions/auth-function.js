@@ -5,6 +5,10 @@ const envURL = {
   prod: 'https://api.public.barzo.com'
 };
 
+// Barzo user id + environment -> Supabase auth user id, in the external_identities
+// table (supabase/migrations). Backfilled for existing users by private/backfillUserMap.js
+const IDENTITY_SERVICE = 'barzo';
+
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',  // Or your specific domain like 'https://your-frontend.com'
   'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
@@ -45,6 +49,137 @@ async function createToken(userId, jwtSecret, user_metadata) {
   return `${encodedHeader}.${encodedPayload}.${encodedSignature}`;
 }
 
+// auth.users stores phones as digits only; private/loadUsers.js uses the same format
+function normalizePhone(phone) {
+  return String(phone || '').replace(/\D/g, '');
+}
+
+async function supabaseFetch(env, path, init = {}) {
+  if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY) {
+    throw new Error('Supabase is not configured');
+  }
+
+  return fetch(`${env.SUPABASE_URL}${path}`, {
+    ...init,
+    headers: {
+      'Content-Type': 'application/json',
+      'apikey': env.SUPABASE_SERVICE_KEY,
+      'Authorization': `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+      ...init.headers
+    }
+  });
+}
+
+async function findIdentity(env, environment, externalId) {
+  const query = new URLSearchParams({
+    service: `eq.${IDENTITY_SERVICE}`,
+    environment: `eq.${environment}`,
+    external_id: `eq.${externalId}`,
+    select: 'user_id'
+  });
+  const response = await supabaseFetch(env, `/rest/v1/external_identities?${query}`);
+
+  if (!response.ok) {
+    throw new Error(`Identity lookup failed (${response.status}): ${await response.text()}`);
+  }
+
+  const [identity] = await response.json();
+  return identity?.user_id || null;
+}
+
+// Returns false if the identity or the user is already mapped (unique violation)
+async function saveIdentity(env, environment, externalId, userId) {
+  const response = await supabaseFetch(env, '/rest/v1/external_identities', {
+    method: 'POST',
+    headers: { 'Prefer': 'return=minimal' },
+    body: JSON.stringify({ service: IDENTITY_SERVICE, environment, external_id: externalId, user_id: userId })
+  });
+
+  if (response.status === 409) return false;
+  if (!response.ok) {
+    throw new Error(`Identity write failed (${response.status}): ${await response.text()}`);
+  }
+  return true;
+}
+
+// Same lookup private/loadUsers.js uses
+async function searchAuthUser(env, { phone, email }) {
+  const response = await supabaseFetch(env, '/rest/v1/rpc/search_auth_user', {
+    method: 'POST',
+    body: JSON.stringify({ p_phone: phone, p_email: email })
+  });
+
+  if (!response.ok) {
+    throw new Error(`User search failed (${response.status}): ${await response.text()}`);
+  }
+
+  const [user] = await response.json();
+  return user || null;
+}
+
+async function createAuthUser(env, environment, authResponse, { email, phone }) {
+  const response = await supabaseFetch(env, '/auth/v1/admin/users', {
+    method: 'POST',
+    body: JSON.stringify({
+      email,
+      phone,
+      user_metadata: {
+        external_id: authResponse.id,
+        external_service: IDENTITY_SERVICE,
+        external_env: environment
+      }
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`User creation failed (${response.status}): ${await response.text()}`);
+  }
+
+  const user = await response.json();
+  return user.id;
+}
+
+// One Supabase user per Barzo user and environment, so RLS-owned rows survive new sessions
+async function getSupabaseUserId(env, environment, authResponse) {
+  const mapped = await findIdentity(env, environment, authResponse.id);
+  if (mapped) return mapped;
+
+  const phone = normalizePhone(authResponse.phone);
+  const email = (authResponse.email || `${authResponse.phone}@placeholder.com`).toLowerCase();
+
+  // Users loaded before identities were recorded (private/loadUsers.js) are found by
+  // phone or email, and claimed only by the prod user they were loaded for
+  let existing = null;
+  if (environment === 'prod') {
+    existing = await searchAuthUser(env, { phone, email });
+    const loaded = existing?.private_metadata?.identity || {};
+    if (existing && (loaded.external_env || 'prod') === environment &&
+        (!loaded.external_id || String(loaded.external_id) === String(authResponse.id)) &&
+        await saveIdentity(env, environment, authResponse.id, existing.id)) {
+      return existing.id;
+    }
+  }
+
+  // Phone and email are unique in auth.users. A new prod user takes them; dev users and
+  // prod users whose phone or email belongs to someone else get a placeholder email
+  const contact = environment === 'prod' && !existing
+    ? { email, phone }
+    : { email: `${environment}-${authResponse.id}@placeholder.com`.toLowerCase() };
+
+  let userId;
+  try {
+    userId = await createAuthUser(env, environment, authResponse, contact);
+  } catch (error) {
+    // A concurrent login for the same user may have created it first
+    userId = await findIdentity(env, environment, authResponse.id);
+    if (!userId) throw error;
+    return userId;
+  }
+
+  await saveIdentity(env, environment, authResponse.id, userId);
+  return userId;
+}
+
 function createSessionToken(token) {
   // Simple base64 decode for JWT parts
   const [, payloadBase64] = token.split('.');
@@ -124,8 +259,7 @@ export default {
         throw new Error('Invalid user data from external service');
       }
 
-      // Generate a unique ID for the user
-      const userId = crypto.randomUUID();
+      const userId = await getSupabaseUserId(env, environment, authResponse);
 
       const token = createSessionToken(await createToken(
         userId,
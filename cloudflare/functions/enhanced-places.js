@@ -16,18 +16,98 @@
  *    - Cached for 1 week using radar_id + detail level as key
  * 
  * Cache Strategy:
- * - Key format: `place:{radar_id}:{detail_level}`
- * - TTL: 1 week
- * - Separate cache entries for basic/full to optimize response size
+ * - Key format: `place:{place_id}:{profile}`
+ * - Nearby searches: `radar:{quadkey}:...`, the tile holding the center (see places-geo.js)
+ * - TTL: 1 week (hard), see CACHE_TTL for the soft TTLs
+ * - Stale entries are served immediately and refreshed in the background (ctx.waitUntil)
+ * - Concurrent misses for the same key share one upstream fetch (see places-cache.js)
+ * - X-Cache-Age / X-Cache-Stale response headers describe the primary cache entry
  * 
- * TODO: When returning cached Google place details, we need to:
- * 1. Update opening_hours.open_now based on current time and periods
- * 2. Update current_opening_hours.open_now to match
- * 3. Remove opening_hours field entirely if no periods data exists
- * 4. Handle proper timezone based on place location (currently assuming EST)
+ * Field Profiles:
+ *    &profile=card|details|full picks the Google fields to fetch and cache (FIELD_PROFILES)
+ *    - card:    the handful of fields the carousel cards show
+ *    - details: card plus address, phone, website and summary for the details page
+ *    - full:    everything
+ *    - detailLevel=basic|full still works and maps to card|full
+ *    - &fields=a,b (allowlisted against full) trims the response to those fields and
+ *      uses the cheapest profile that covers them; unknown fields are a 400
+ *    - Each profile has its own cache key; a cached higher profile answers a lower one,
+ *      and a request for a higher profile only fetches the fields a cached lower one lacks
+ * 
+ * Background Hydration:
+ *    Nearby results come back as bare place ids; details are filled from KV. Up to
+ *    HYDRATION.INLINE_MAX missing places are fetched inline, the rest (and inline
+ *    failures) are queued (HYDRATION_QUEUE binding, see wrangler.enhanced.toml,
+ *    consumed by queue() below, or ctx.waitUntil batches without one) and listed in
+ *    metadata.pendingPlaceIds with a suggested metadata.retryAfter (seconds).
+ *    Re-poll the same request to pick them up. Queue messages with failed places
+ *    are retried.
+ * 
+ * Place Ids:
+ *    &placeId accepts Google ids, venue ids ('vn_...') and Barzo venue ids; the last two
+ *    are resolved to their linked Google id through the crosswalk (places-crosswalk.js)
+ * 
+ * Response Shape:
+ * - Places in responses (nearbyPlaces, placeDetails, batch details) use the canonical
+ *   Place model (public/src/utils/placeModel.js). KV keeps the raw Google v1 records.
+ * 
+ * GeoJSON:
+ *    &format=geojson on nearby and details requests returns a bare FeatureCollection
+ *    (application/geo+json, no { success, data } envelope) of canonical places as Point features
+ * 
+ * Routes (ROUTES, matched by matchRoute in places-router.js):
+ *    GET / or /places     &placeId / &name details, &geocode, &reverseGeocode, else nearby search
+ *    POST /places/batch   Batch details, below
+ *    Other paths are 404, other methods on these paths 405
+ * 
+ * Batch Details:
+ *    POST /places/batch  { "placeIds": ["..."], "profile": "card", "fields": ["..."] }
+ *    - Up to BATCH.MAX_IDS ids per call
+ *    - Cached ids are answered from KV, misses are fetched BATCH.CONCURRENCY at a time
+ *    - Returns { places: { [placeId]: { status, cacheHit, details | error } } }
+ *      where status is 'ok', 'not_found' or 'error'
+ * 
+ * Geocoding (see places-geocoding.js):
+ *    &geocode={provider|auto}&name={query}[&lat&lng]  forward, biased to lat/lng when given
+ *    &reverseGeocode={provider|auto}&lat&lng           reverse
+ *    The named provider is tried first and the others follow on error or no result.
+ *    Results are cached and share one shape (formattedAddress, neighborhood, city, country, ...)
+ * 
+ * Cache Admin (see places-admin.js):
+ *    /admin/cache routes list, count and purge KV entries. They take X-Admin-Key
+ *    instead of X-API-Key; a placeId purge removes every profile and pending mark.
+ *    GET /metrics (see places-metrics.js) reports hourly requests, cache hit rates,
+ *    upstream calls and estimated spend, with the same key.
+ * 
+ * Offline Development:
+ *    PROVIDER_MODE=record|replay|fixture records, replays or synthesizes the Google
+ *    and geocoding responses (see places-upstream.js)
+ * 
+ * Rate Limits:
+ * - Per-key and per-IP token buckets plus a daily upstream quota (see places-ratelimit.js)
+ * - 429 with Retry-After and X-RateLimit-Scope when exceeded
+ * 
+ * Open Status:
+ * - hours.openNow and the status fields (status, nextOpenTime, nextCloseTime,
+ *   closesInMinutes) are recomputed for every response, cached or not, in the venue's
+ *   own timezone (public/src/utils/openingHours.js)
+ * - Places with no schedule to evaluate are returned without hours
  */
 
+import { readCache, writeCache, revalidateInBackground, cacheHeaders, coalesce } from './places-cache.js';
+import { normalizePlace, toFeatureCollection } from '../../public/src/utils/placeModel.js';
+import { updateOpenNow } from '../../public/src/utils/openingHours.js';
+import { checkRateLimit, rateLimitHeaders, createUsageTracker, flushUsage, withUsage } from './places-ratelimit.js';
+import { geocode, reverseGeocode } from './places-geocoding.js';
+import { resolveProviderId } from './places-crosswalk.js';
+import { handleAdminRequest } from './places-admin.js';
+import { handleMetricsRequest, recordRequest, flushMetrics } from './places-metrics.js';
+import { upstreamFetch } from './places-upstream.js';
+import { getTile, getTileAt, getTileZoom } from './places-geo.js';
+import { matchRoute, createResponse as createEnvelope } from './places-router.js';
+
 const API_VERSION = 'v2.0.5';  // Update: Added Radar categories, fallback place_id, and cache types
+const WORKER_NAME = 'enhanced-places';  // Metrics key segment (see places-metrics.js)
 
 const CACHE_KEYS = {
     PREFIX: 'place',
@@ -38,31 +118,18 @@ const CACHE_KEYS = {
 };
 
 const GRID = {
-    // Less aggressive grid sizes than nearby-places
-    MIN_RADIUS: 100,  // Minimum 100m radius
-    getCoordinatePrecision(radius) {
-        // Returns decimal places to round to based on radius
-        if (radius <= 100) return 4;        // ~11m precision
-        if (radius <= 500) return 3;        // ~111m precision
-        if (radius <= 2000) return 2;       // ~1.1km precision
-        return 1;                           // ~11km precision
-    },
-    roundRadius(radius) {
-        // Round to nearest power of 2, but only above 500m
-        if (radius <= 500) return radius;
-        return Math.pow(2, Math.ceil(Math.log2(radius)));
-    }
+    MIN_RADIUS: 100  // Minimum 100m radius
 };
 
 const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, X-API-Key, X-Radar-Key, X-Google-API-Key',
+    'Access-Control-Allow-Headers': 'Content-Type, X-API-Key, X-Radar-Key, X-Google-API-Key, X-Admin-Key',
+    'Access-Control-Expose-Headers': 'X-Cache-Age, X-Cache-Stale, Retry-After, X-RateLimit-Scope',
     'Access-Control-Max-Age': '86400',
 };
 
 
-// Update findGooglePlacesByName to add detailed logging
 const PLACE_DETAIL_FIELDS_DETAILS = [
     "accessibilityOptions",
     "addressComponents",
@@ -136,27 +203,99 @@ const PLACE_DETAIL_FIELDS_DETAILS = [
     "takeout"
     ].sort(); // Sort for consistent ordering
 
-const PLACE_DETAIL_FIELDS_NEW = PLACE_DETAIL_FIELDS_DETAILS.map(s=>`places.${s}`)
+// Field profiles, cheapest first. Each profile is a superset of the one before it,
+// so a cached higher profile can answer a lower one.
+const CARD_FIELDS = [
+    "currentOpeningHours",
+    "displayName",
+    "id",
+    "location",
+    "photos",
+    "priceLevel",
+    "primaryType",
+    "rating",
+    "regularOpeningHours",
+    "shortFormattedAddress",
+    "types",
+    "userRatingCount",
+    "utcOffsetMinutes"
+];
+
+const DETAILS_FIELDS = [
+    ...CARD_FIELDS,
+    "addressComponents",
+    "businessStatus",
+    "editorialSummary",
+    "formattedAddress",
+    "googleMapsUri",
+    "internationalPhoneNumber",
+    "nationalPhoneNumber",
+    "websiteUri"
+];
+
+const FIELD_PROFILES = {
+    card: [...new Set(CARD_FIELDS)].sort(),
+    details: [...new Set(DETAILS_FIELDS)].sort(),
+    full: [...new Set([...DETAILS_FIELDS, ...PLACE_DETAIL_FIELDS_DETAILS])].sort()
+};
+const PROFILE_ORDER = ['card', 'details', 'full'];
+
+// Legacy detailLevel values map onto profiles
+const DETAIL_LEVEL_PROFILES = {
+    [CACHE_KEYS.LEVELS.BASIC]: 'card',
+    [CACHE_KEYS.LEVELS.FULL]: 'full'
+};
+
   
 
 // Simple hash function
-const FIELDS_HASH = PLACE_DETAIL_FIELDS_NEW.join(',').split('').reduce((hash, char) => {
+const FIELDS_HASH = JSON.stringify(FIELD_PROFILES).split('').reduce((hash, char) => {
     return ((hash << 5) - hash) + char.charCodeAt(0) | 0;
 }, 0).toString(36);
 
+// Batch details limits
+// Routes, matched by matchRoute (see places-router.js). The query route picks details,
+// geocoding or nearby search by query params; '' is the root path.
+const ROUTES = [
+    { method: 'GET', path: '', handler: 'handleQuery' },
+    { method: 'GET', path: '/places', handler: 'handleQuery' },
+    { method: 'POST', path: '/places/batch', handler: 'handleBatchDetails' }
+];
+
+const BATCH = {
+    MAX_IDS: 50,
+    CONCURRENCY: 5
+};
+
+// Nearby results without cached details are hydrated in the background
+const HYDRATION = {
+    INLINE_MAX: 5,      // Hydrated within the request itself
+    BATCH_SIZE: 10,     // Place ids per queue message / waitUntil batch
+    CONCURRENCY: 4,
+    PENDING_TTL: 60,    // Seconds a place stays marked as queued (KV minimum TTL)
+    RETRY_AFTER: 5      // Suggested seconds before the client re-polls
+};
+
 // Add at top with other constants
+// *_SOFT: age after which an entry is served stale and refreshed in the background
 const CACHE_TTL = {
     BASIC: 60 * 60 * 24 * 14,  // 2 weeks for basic mapping
     FULL: 60 * 60 * 24 * 7,    // 1 week for full details
     RADAR: 60 * 60 * 24 * 7,    // 1 week for radar results
-    NEARBY: 60 * 60 * 24 * 7     // 1 week for nearby search results
+    NEARBY: 60 * 60 * 24 * 7,    // 1 week for nearby search results
+    BASIC_SOFT: 60 * 60 * 24 * 7,  // 1 week before basic mapping is refreshed
+    FULL_SOFT: 60 * 60 * 6,        // 6 hours before hours / open status are refreshed
+    RADAR_SOFT: 60 * 60 * 24       // 1 day before nearby results are refreshed
 };
 
+// Searches are keyed by the quadkey tile holding the center, at least one radius
+// wide, the same tiles nearby-places uses (see places-geo.js). Text search
+// results aren't bounded by an area, so unlike nearby-places they aren't
+// composed from several tiles.
 function getNearbyCacheKey(params) {
-    const precision = GRID.getCoordinatePrecision(params.radius);
-    const roundedLat = Number(params.lat).toFixed(precision);
-    const roundedLng = Number(params.lng).toFixed(precision);
-    const roundedRadius = GRID.roundRadius(params.radius);
+    const lat = Number(params.lat);
+    const radius = Math.max(GRID.MIN_RADIUS, Number(params.radius) || GRID.MIN_RADIUS);
+    const tile = getTileAt(lat, Number(params.lng), getTileZoom(lat, radius));
     const limit = params.limit || 20;
 
     // Use derived categories instead of input params
@@ -164,52 +303,109 @@ function getNearbyCacheKey(params) {
     const keywordsStr = `:keywords=${(params.keywords||[]).join(',')}`;
     const typeStr = `:type=${(params.type||'').toLowerCase()}`;
 
-    return `${API_VERSION}:radar:${roundedLat},${roundedLng}:${roundedRadius}${keywordsStr}${typeStr}${limitStr}`;
+    return `${API_VERSION}:radar:${tile.quadkey}${keywordsStr}${typeStr}${limitStr}`;
 }
 
-async function fillNearbyPlaces(results, detailLevel, env) {
+async function fillNearbyPlaces(results, detailLevel, profile, env, ctx) {
     if (!results?.nearby) return results;
     results.nearby = await Promise.all(results.nearby.map(async (result) => {
         return await getPlaceDetailsCached({
-            placeId:result.id, detailLevel:'full', cacheOnly:true
-        }, env) || result
+            placeId:result.id, profile, cacheOnly:true
+        }, env, ctx) || result
     }));
 
     if (detailLevel==CACHE_KEYS.LEVELS.BASIC) return results;
 
-    let counter = 0, max = 5;
+    // Hydrate the first few inline, queue the rest and report them as pending.
+    // Inline failures are queued too, so the client re-polls for them
+    const missing = results.nearby.filter(result => !result.displayName).map(result => result.id);
+    const inline = new Set(missing.slice(0, HYDRATION.INLINE_MAX));
+    const failed = [];
     results.nearby = await Promise.all(results.nearby.map(async (result) => {
-        if (result.name || counter++ >= max) return result;
-        const r = await getPlaceDetailsCached({
-            placeId:result.id, detailLevel:'full'
-        }, env)
-        return r
+        if (!inline.has(result.id)) return result;
+        try {
+            return await getPlaceDetailsCached({
+                placeId:result.id, profile
+            }, env, ctx) || result
+        } catch (error) {
+            console.error(`Inline hydration failed for ${result.id}:`, error.message);
+            failed.push(result.id);
+            return result;
+        }
     }));
+    results.pending = await queueHydration([...failed, ...missing.filter(id => !inline.has(id))], profile, env, ctx);
     return results;
 }
 
-async function getNearbyPlacesCached({type, keywords, lat, lng, radius, detailLevel}, env) {
-    const cacheKey = getNearbyCacheKey({type, keywords, lat, lng, radius});
-    try {
-        const cached = await env.PLACES_KV.get(cacheKey);
-        if (cached) {
-            const results = JSON.parse(cached);
-            return fillNearbyPlaces({
-                nearbyCacheHit: true,
-                nearby: results.nearby  // Raw radar places
-            }, detailLevel, env);
+function getPendingKey(placeId, profile) {
+    return `${API_VERSION}:hydrate:${placeId}:${profile}`;
+}
+
+/**
+ * Hand place ids to the background hydration job: the HYDRATION_QUEUE Cloudflare Queue
+ * when bound, otherwise ctx.waitUntil batches in this isolate. Ids already queued by an
+ * earlier request are not queued again. Returns every id that is still pending.
+ */
+async function queueHydration(placeIds, profile, env, ctx) {
+    if (!placeIds.length) return [];
+
+    const queued = await Promise.all(placeIds.map(placeId =>
+        env.PLACES_KV.get(getPendingKey(placeId, profile)).catch(() => null)));
+    const fresh = placeIds.filter((placeId, i) => !queued[i]);
+
+    await Promise.all(fresh.map(placeId =>
+        env.PLACES_KV.put(getPendingKey(placeId, profile), '1', { expirationTtl: HYDRATION.PENDING_TTL })
+            .catch(error => console.error('Hydration mark error:', error))));
+
+    const batches = [];
+    for (let i = 0; i < fresh.length; i += HYDRATION.BATCH_SIZE) {
+        batches.push(fresh.slice(i, i + HYDRATION.BATCH_SIZE));
+    }
+
+    if (env.HYDRATION_QUEUE) {
+        try {
+            await env.HYDRATION_QUEUE.sendBatch(batches.map(batch => ({
+                body: { placeIds: batch, profile, clientId: env.usage?.clientId }
+            })));
+        } catch (error) {
+            console.error('Hydration queue error:', error);
+        }
+    } else {
+        for (const batch of batches) {
+            ctx?.waitUntil?.(hydratePlaces({placeIds: batch, profile}, env, ctx));
         }
-    } catch (error) {
-        console.error('Cache read error:', error);
     }
 
-    const nearby = await findGooglePlacesByName({
-                    name:keywords.join(), lat, lng, radius, 
-                    detailLevel:'basic'
-                }, env);
+    console.log(`Queued ${fresh.length} places for hydration (${placeIds.length - fresh.length} already pending)`);
+    return placeIds;
+}
+
+// Fetch and cache details for queued places, clearing their pending marks.
+// Returns the ids that failed; they stay marked until PENDING_TTL runs out
+async function hydratePlaces({placeIds, profile}, env, ctx) {
+    const failed = [];
+    await mapWithConcurrency(placeIds, HYDRATION.CONCURRENCY, async (placeId) => {
+        try {
+            await getPlaceDetailsCached({placeId, profile}, env, ctx);
+        } catch (error) {
+            console.error(`Hydration failed for ${placeId}:`, error);
+            failed.push(placeId);
+            return;
+        }
+        await env.PLACES_KV.delete(getPendingKey(placeId, profile)).catch(() => {});
+    });
+    return failed;
+}
 
-    // Cache the raw Radar results
-    try {
+async function getNearbyPlacesCached({type, keywords, lat, lng, radius, detailLevel, profile}, env, ctx) {
+    const cacheKey = getNearbyCacheKey({type, keywords, lat, lng, radius});
+
+    const refresh = () => coalesce(cacheKey, async () => {
+        const nearby = await findGooglePlacesByName({
+                        name:keywords.join(), lat, lng, radius
+                    }, env);
+
+        // Cache the raw Radar results
         const cacheData = {
             nearby,  // Store raw radar places
             metadata: {
@@ -217,52 +413,70 @@ async function getNearbyPlacesCached({type, keywords, lat, lng, radius, detailLe
                 timestamp: new Date().toISOString()
             }
         };
-        
-        await env.PLACES_KV.put(cacheKey, JSON.stringify(cacheData), {
-            expirationTtl: CACHE_TTL.RADAR
+        await writeCache(env.PLACES_KV, cacheKey, cacheData, {
+            hardTtl: CACHE_TTL.RADAR
         });
+        return nearby;
+    });
 
-    } catch (error) {
-        console.error('Cache write error:', error);
+    const cached = await readCache(env.PLACES_KV, cacheKey, { softTtl: CACHE_TTL.RADAR_SOFT });
+    if (cached) {
+        if (cached.stale) {
+            revalidateInBackground(ctx, cacheKey, refresh);
+        }
+        return fillNearbyPlaces({
+            nearbyCacheHit: true,
+            cacheEntry: cached,
+            nearby: cached.value.nearby  // Raw radar places
+        }, detailLevel, profile, env, ctx);
     }
 
+    const nearby = await refresh();
+
     return fillNearbyPlaces({
         nearby          // Return raw places for processing
-    }, detailLevel, env);
+    }, detailLevel, profile, env, ctx);
 }
 
-async function findGooglePlacesById({placeId}, env) {
+async function findGooglePlacesById({placeId, fields = FIELD_PROFILES.full}, env) {
     const findUrl = `https://places.googleapis.com/v1/places/${placeId}`;
-    const findResponse = await fetch(findUrl, {
+    env.usage?.record('google', 'place_details');
+    const findResponse = await upstreamFetch(env, findUrl, {
         headers: {
             'Content-Type': 'application/json',
             'X-Goog-Api-Key': env.GOOGLE_PLACES_API_KEY,
-            'X-Goog-FieldMask': PLACE_DETAIL_FIELDS_DETAILS.join(',')
+            'X-Goog-FieldMask': fields.join(',')
         }
     });
     const findData = await findResponse.json();
+    // 404 is an unknown id; anything else is worth retrying
+    if (!findResponse.ok && findResponse.status !== 404) {
+        const error = new Error(`Google place details failed (${findResponse.status}): ${findData?.error?.message || 'Unknown error'}`);
+        error.status = 502;
+        throw error;
+    }
     if (!findData?.id) {
         console.log(`No Google Place match found for: ${placeId}`);
         return null;
     }
-    return updateOpenNowStatus(findData);
+    return findData;
 }
 
-async function findGooglePlacesByName({name, lat, lng, radius, detailLevel, type}, env) {    
+// Text search for ids only; details are read through getPlaceDetailsCached
+async function findGooglePlacesByName({name, lat, lng, radius, type}, env) {    
     // First try to find the place
     const requestBody = {textQuery: `${name || ''}`.trim()};
     if (lat && lng) requestBody.locationBias = {circle: {center: {latitude: lat, longitude: lng}, radius: radius ? 50.0 : 500.0}};
     if (type) requestBody.includeType = type;
 
     const findUrl = 'https://places.googleapis.com/v1/places:searchText';
-    const findResponse = await fetch(findUrl, {
+    env.usage?.record('google', 'text_search');
+    const findResponse = await upstreamFetch(env, findUrl, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
             'X-Goog-Api-Key': env.GOOGLE_PLACES_API_KEY,
-            'X-Goog-FieldMask': detailLevel === CACHE_KEYS.LEVELS.BASIC || 1 ?  //always force basic for now
-                'places.id,nextPageToken' : 
-                PLACE_DETAIL_FIELDS_NEW.join(',')
+            'X-Goog-FieldMask': 'places.id,nextPageToken'
         },
         body: JSON.stringify(requestBody)
     });
@@ -273,87 +487,193 @@ async function findGooglePlacesByName({name, lat, lng, radius, detailLevel, type
         return null;
     }
 
-    findData?.places?.forEach(place => updateOpenNowStatus(place));
     return findData.places;
 }
 
 
-// Add this function to get full details from a Google Place ID
-async function getPlaceDetailsCached({placeId, detailLevel = 'full', cacheOnly}, env) {
-    const cacheKey = `${API_VERSION}:Fields-${FIELDS_HASH}:${CACHE_KEYS.PREFIX}:${placeId}:${detailLevel}`;
-    
-    // Try cache first
-    try {
-        const cached = await env.PLACES_KV.get(cacheKey);
-        if (cached) {
-            const result = JSON.parse(cached);
-            result.cacheHit = true;
-            if (detailLevel === CACHE_KEYS.LEVELS.FULL) {
-                return updateOpenNowStatus(result);
-            }
-            return result;
+/**
+ * Resolve the requested fields to a profile. `fields` (comma separated, allowlisted
+ * against the full profile) picks the cheapest profile that covers them and trims
+ * the response to just those fields. Returns { profile, fields } or { error }.
+ */
+function resolveFieldProfile({profile, fields, detailLevel}) {
+    if (fields) {
+        const requested = [...new Set(fields.split(',').map(f => f.trim()).filter(Boolean))];
+        const unknown = requested.filter(field => !FIELD_PROFILES.full.includes(field));
+        if (!requested.length || unknown.length) {
+            return { error: { message: 'fields must be a comma-separated list of supported fields', validationErrors: { fields: unknown } } };
         }
-    } catch (error) {
-        console.error('Cache read error:', error);
+        return {
+            profile: PROFILE_ORDER.find(p => requested.every(field => FIELD_PROFILES[p].includes(field))),
+            fields: requested
+        };
     }
 
-    if (cacheOnly) return null;
+    const resolved = profile || DETAIL_LEVEL_PROFILES[detailLevel] || 'full';
+    if (!FIELD_PROFILES[resolved]) {
+        return { error: { message: `profile must be one of ${PROFILE_ORDER.join(', ')}`, validationErrors: { profile: resolved } } };
+    }
+    return { profile: resolved, fields: null };
+}
 
-    // If not in cache or basic details requested, fetch from Google
-    const result = await findGooglePlacesById({placeId}, env);
+// Only the requested fields (plus id) of a raw Google place
+function pickFields(place, fields) {
+    if (!place || !fields) return place;
+    return Object.fromEntries(Object.entries(place).filter(([key]) => key === 'id' || fields.includes(key)));
+}
+
+function getDetailsCacheKey(placeId, profile) {
+    return `${API_VERSION}:Fields-${FIELDS_HASH}:${CACHE_KEYS.PREFIX}:${placeId}:${profile}`;
+}
 
-    // Cache the result
-    try {
-        await env.PLACES_KV.put(cacheKey, JSON.stringify(result), {
-            expirationTtl: detailLevel === CACHE_KEYS.LEVELS.BASIC ? CACHE_TTL.BASIC : CACHE_TTL.FULL
+// Cache keys of this worker, for the admin purge routes
+const ADMIN_KEYSPACE = {
+    placeKeys: (placeId) => PROFILE_ORDER.flatMap(profile => [
+        getDetailsCacheKey(placeId, profile),
+        getPendingKey(placeId, profile)
+    ]),
+    nearbyPrefix: `${API_VERSION}:radar:`,
+    // '{version}:radar:{quadkey}:...' -> center of the tile
+    nearbyLocation(key) {
+        const tile = getTile(key.split(':')[2]);
+        return tile && { lat: tile.lat, lng: tile.lng };
+    }
+};
+
+/**
+ * Google place details for a field profile.
+ * - A cached entry for the profile, or for any higher profile, is served as is
+ * - Otherwise a fresh cached lower profile is upgraded by fetching only the fields it lacks
+ * - Otherwise the whole profile is fetched
+ * Returns null for an id Google doesn't know.
+ */
+async function getPlaceDetailsCached({placeId, profile = 'full', cacheOnly}, env, ctx) {
+    const level = PROFILE_ORDER.indexOf(profile);
+
+    const refreshProfile = (p, base = null) => coalesce(getDetailsCacheKey(placeId, p), async () => {
+        // With a base entry only the missing fields are requested from Google
+        const fields = base
+            ? ['id', ...FIELD_PROFILES[p].filter(field => !base.fields.includes(field))]
+            : FIELD_PROFILES[p];
+        const fetched = await findGooglePlacesById({placeId, fields}, env);
+        if (!fetched) return null;
+        const result = base ? { ...base.value, ...fetched } : fetched;
+        await writeCache(env.PLACES_KV, getDetailsCacheKey(placeId, p), result, {
+            hardTtl: CACHE_TTL.FULL
         });
-    } catch (error) {
-        console.error('Cache write error:', error);
+        return result;
+    });
+
+    // Read every profile at once; the requested one or any higher one can answer
+    const entries = await Promise.all(PROFILE_ORDER.map(p =>
+        readCache(env.PLACES_KV, getDetailsCacheKey(placeId, p), { softTtl: CACHE_TTL.FULL_SOFT })));
+
+    const servingLevel = entries.findIndex((entry, i) => i >= level && entry?.value);
+    if (servingLevel !== -1) {
+        const cached = entries[servingLevel];
+        const servingProfile = PROFILE_ORDER[servingLevel];
+        if (cached.stale) {
+            revalidateInBackground(ctx, getDetailsCacheKey(placeId, servingProfile), () => refreshProfile(servingProfile));
+        }
+        // A copy: the cached value is shared with concurrent callers through coalesce
+        return {
+            ...cached.value,
+            cacheHit: true,
+            cacheAge: cached.age,
+            cacheStale: cached.stale,
+            cacheProfile: servingProfile
+        };
+    }
+
+    if (cacheOnly) return null;
+
+    // Upgrade the highest fresh lower profile instead of refetching what it already has
+    const baseLevel = entries.slice(0, level).map((entry, i) => entry?.value && !entry.stale ? i : -1)
+        .filter(i => i !== -1).pop();
+    const base = baseLevel !== undefined
+        ? { value: entries[baseLevel].value, fields: FIELD_PROFILES[PROFILE_ORDER[baseLevel]] }
+        : null;
+    if (base) {
+        console.log(`Upgrading ${PROFILE_ORDER[baseLevel]} -> ${profile} for ${placeId}`);
     }
 
+    const result = await refreshProfile(profile, base);
+    if (!result) return null;
+
     return {
         ...result,
         cacheHit: false,
-        cacheType: 'google_fresh'
+        cacheType: base ? 'google_upgrade' : 'google_fresh',
+        cacheProfile: profile
     };
 }
 
-//function to geocode a location
-async function geocode({ name, mapboxKey }) {
-    const endpoint = `https://api.mapbox.com/geocoding/v5/mapbox.places/${name}.json`;
-    const url = new URL(endpoint);
-    url.searchParams.append('access_token', mapboxKey);
-    //url.searchParams.append('types', 'address,place,neighborhood');
-    url.searchParams.append('limit', '10');
-    const response = await fetch(url);
-    const data = await response.json();
-    return data.features;
+// Run fn over items with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    });
+    await Promise.all(workers);
+    return results;
 }
 
-// Update createResponse helper
-function createResponse(data, status = 200) {
-  const response = {
-    success: status >= 200 && status < 300,
-    data,
-    timestamp: new Date().toISOString(),
-    debug: {
-      status,
-      apiVersion: API_VERSION
-    }
-  };
+// Details for many places: KV first, then bounded-concurrency upstream fetches for the misses
+async function getPlaceDetailsBatch({placeIds, profile, fields}, env, ctx) {
+    const places = {};
+
+    const cached = await Promise.all(placeIds.map(placeId =>
+        getPlaceDetailsCached({placeId, profile, cacheOnly: true}, env, ctx)
+            .catch(error => {
+                console.error(`Batch cache read failed for ${placeId}:`, error);
+                return null;
+            })
+    ));
+
+    const misses = [];
+    placeIds.forEach((placeId, i) => {
+        if (cached[i]) {
+            places[placeId] = { status: 'ok', cacheHit: true, details: toPlace(pickFields(cached[i], fields)) };
+        } else {
+            misses.push(placeId);
+        }
+    });
 
-  if (!response.success) {
-    response.error = {
-      message: data.message || 'Unknown error',
-      code: status,
-      validationErrors: data.validationErrors  // Changed from validation_errors
+    await mapWithConcurrency(misses, BATCH.CONCURRENCY, async (placeId) => {
+        try {
+            const details = await getPlaceDetailsCached({placeId, profile}, env, ctx);
+            places[placeId] = details
+                ? { status: 'ok', cacheHit: false, details: toPlace(pickFields(details, fields)) }
+                : { status: 'not_found', cacheHit: false, error: 'No place found for the given id' };
+        } catch (error) {
+            places[placeId] = { status: 'error', cacheHit: false, error: error.message };
+        }
+    });
+
+    return {
+        places,
+        metadata: {
+            profile,
+            requested: placeIds.length,
+            cacheHits: placeIds.length - misses.length,
+            fetched: misses.length
+        }
     };
-    delete response.data;
-  }
+}
+
+// Response envelope shared with nearby-places' /v1 routes (see places-router.js)
+function createResponse(data, status = 200, headers = {}) {
+  return createEnvelope(data, status, { ...corsHeaders, ...headers }, API_VERSION);
+}
 
-  return new Response(JSON.stringify(response), {
-    status,
-    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+// format=geojson: a bare FeatureCollection (no response envelope) that map sources can load directly
+function createGeoJSONResponse(places, headers = {}) {
+  return new Response(JSON.stringify(toFeatureCollection(toPlaces(places))), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/geo+json', ...headers }
   });
 }
 
@@ -367,6 +687,12 @@ export default {
         }
 
         try {
+            // Cache admin API, authenticated with its own key
+            const adminResponse = await handleAdminRequest(request, env, ADMIN_KEYSPACE);
+            if (adminResponse) return adminResponse;
+            const metricsResponse = await handleMetricsRequest(request, env, corsHeaders);
+            if (metricsResponse) return metricsResponse;
+
             // Basic auth check
             const url = new URL(request.url);
             const authKey = request.headers.get('X-API-Key') || url.searchParams.get('apiKey');
@@ -379,327 +705,276 @@ export default {
                 }, 403);
             }
 
-            // Get initial parameters
-            let placeId = url.searchParams.get('placeId');  // Changed to let
-            let place;
-            const noCache = url.searchParams.get('noCache') === 'true';
-            const placeName = url.searchParams.get('name');
-            const lat = parseFloat(url.searchParams.get('lat'));
-            const lng = parseFloat(url.searchParams.get('lng'));
-            const geo = url.searchParams.get('geocode');
-
-            if (geo && placeName) {
-                console.error('geocode', geo);
-                let result;
-                switch (geo) {
-                    case 'mapbox': result = await geocode({ placeName, mapboxKey:env.MAPBOX_API_KEY }, env); break;
-                }
-                if (!result) throw new Error('No geocoding result');
+            // Per-key / per-IP rate limits and daily upstream quota
+            const rateLimit = await checkRateLimit(request, env, authKey);
+            if (rateLimit.limited) {
+                recordRequest(429);
                 return createResponse({
-                    geocodingResults: result
-                });
+                    message: 'Too many requests',
+                    scope: rateLimit.scope,
+                    retryAfter: rateLimit.retryAfter
+                }, 429, rateLimitHeaders(rateLimit));
             }
 
-            if (placeName) {
-                const detailLevel = url.searchParams.get('detailLevel') || 'basic';
-                place = await findGooglePlacesByName({name:placeName, lat, lng, detailLevel}, env);
-                placeId = place?.[0]?.id;  // Now we can assign to placeId
-                if (!placeId) {
-                    return createResponse({
-                        message: 'No place found for the given name and location'
-                    }, 404);
+            // Count upstream calls, including background revalidations, against this client
+            const usage = createUsageTracker(rateLimit.clientId);
+            const tasks = [];
+            const requestCtx = {
+                waitUntil: task => {
+                    tasks.push(task);
+                    ctx?.waitUntil?.(task);
                 }
+            };
+
+            try {
+                const response = await this.handleRequest(request, withUsage(env, usage), requestCtx, url);
+                recordRequest(response.status);
+                return response;
+            } finally {
+                ctx?.waitUntil?.(Promise.allSettled(tasks).then(() => Promise.all([
+                    flushUsage(env, usage),
+                    flushMetrics(env, WORKER_NAME)
+                ])));
             }
-            
-            if (placeId) {
-                const detailLevel = url.searchParams.get('detailLevel') || 'full';
-                const details = place || await getPlaceDetailsCached({placeId, detailLevel}, env);
-                return createResponse({
-                    placeDetails: details,
-                    cacheHit: details.cacheHit
-                });
-            }
-
-            let revgeo = url.searchParams.get('reverseGeocode')
-            if (revgeo) {
-                let result;
-                switch (revgeo) {
-                    case 'mapbox': result = await reverseGeocodeMapbox({ lat, lng }, env); break;
-                    case 'google': result = await reverseGeocodeGoogle({ lat, lng }, env); break;
-                    case 'radar': result = await reverseGeocodeRadar({ lat, lng}, env); break;
-                }
-                if (!result) throw new Error('No reverse geocoding result');
-                return createResponse({
-                    reverseGeocodingResults: result,
-                    provider: revgeo
-                });
-            }
-
-            const radius = parseFloat(url.searchParams.get('radius') || '500');
-            const detailLevel = url.searchParams.get('detailLevel') || 'full';
-            const type = url.searchParams.get('type');
-            const keywords = url.searchParams.getAll('keyword');
-            const limit = parseInt(url.searchParams.get('limit') || 100);
-
-            if (isNaN(lat) || isNaN(lng) || isNaN(radius)) {
-                return createResponse({
-                    message: 'latitude, longitude, and radius must be valid numbers',
-                    validationErrors: { lat, lng, radius }
-                }, 400);
-            }
-
-            // Get Radar places with error handling
-            const searchResult = await getNearbyPlacesCached(
-                { lat, lng, radius, type, keywords, limit, detailLevel }, 
-                env
-            );
-
-            // Only process if we have places
-            if (searchResult?.nearby?.length > 0) {
-                const results = searchResult.nearby;
-                
-                return createResponse({
-                    nearbyPlaces: results,
-                    metadata: {
-                        lat,
-                        lng,
-                        radius,
-                        totalResults: results.length,
-                        cacheHits: results.filter(r => r.cacheHit).length,
-                        nearbyCacheHit: searchResult.nearbyCacheHit || false
-                    }
-                });
-            } else {
-                // Empty results response
-                return createResponse({
-                    nearbyPlaces: [],
-                    metadata: {
-                        lat,
-                        lng,
-                        radius,
-                        totalResults: 0,
-                        cacheHits: 0
-                    }
-                });
-            }
-
         } catch (error) {
             console.error('Error details:', error);
+            recordRequest(error.status || 500);
             return createResponse({
                 message: error.message || 'Unknown error',
                 errorDetails: error.toString()
             }, error.status || 500);
         }
-    }
-};
-
-
-
-/* ================================
-    Helper functions
-   ================================ */
-function updateOpenNowStatus(place) {
-    if (!place?.regularOpeningHours?.periods) {
-        delete place.regularOpeningHours;
-        delete place.currentOpeningHours;
-        return place;
-    }
-
-    // Get current time in Tampa's timezone (UTC-5)
-    const now = new Date();
-    const tampaTime = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-    const currentDay = tampaTime.getDay(); // 0 = Sunday, 1 = Monday, etc.
-    const currentHour = tampaTime.getHours();
-    const currentMinute = tampaTime.getMinutes();
-
-    // Check if place data exists and has opening hours
-    if (!place.regularOpeningHours.periods) {
-        console.error('No opening hours data available');
-        return;
-    }
+    },
 
-    const periods = place.regularOpeningHours.periods;
-    let isOpen = false;
+    // HYDRATION_QUEUE consumer: each message is { placeIds, profile, clientId }
+    async queue(batch, env, ctx) {
+        for (const message of batch.messages) {
+            const { placeIds, profile, clientId } = message.body || {};
+            const usage = createUsageTracker(clientId);
+            try {
+                const failed = await hydratePlaces({placeIds: placeIds || [], profile: profile || 'full'}, withUsage(env, usage), ctx);
+                if (failed.length) throw new Error(`${failed.length} of ${placeIds.length} places failed`);
+                message.ack();
+            } catch (error) {
+                console.error('Hydration batch failed:', error);
+                message.retry();
+            } finally {
+                await flushUsage(env, usage);
+            }
+        }
+        await flushMetrics(env, WORKER_NAME);
+    },
 
-    // Check each period
-    for (const period of periods) {
-        // Handle 24-hour case (no close time specified)
-        if (!period.close) {
-            isOpen = true;
-            break;
+    async handleRequest(request, env, ctx, url) {
+        const match = matchRoute(ROUTES, request.method, url.pathname);
+        if (!match) {
+            return createResponse({
+                message: `No route for ${url.pathname}`
+            }, 404);
         }
+        if (match.allowed) {
+            return createResponse({
+                message: `${request.method} is not allowed on ${url.pathname}`
+            }, 405, { 'Allow': match.allowed.join(', ') });
+        }
+        return this[match.route.handler](request, env, ctx, url);
+    },
 
-        const openDay = period.open.day;
-        const openHour = period.open.hour;
-        const openMinute = period.open.minute;
-        const closeDay = period.close.day;
-        const closeHour = period.close.hour;
-        const closeMinute = period.close.minute;
-
-        // Convert times to comparable minutes since start of week
-        let currentTime = (currentDay * 1440) + (currentHour * 60) + currentMinute;
-        const openTime = (openDay * 1440) + (openHour * 60) + openMinute;
-        let closeTime = (closeDay * 1440) + (closeHour * 60) + closeMinute;
-
-        // Handle cases where closing time is on the next day
-        if (closeTime < openTime) {
-            closeTime += 7 * 1440; // Add a week's worth of minutes
-            if (currentTime < openTime) {
-                // If we're before opening time, add a week to current time for comparison
-                currentTime += 7 * 1440;
+    async handleQuery(request, env, ctx, url) {
+        // Get initial parameters
+        let placeId = url.searchParams.get('placeId');  // Changed to let
+        let place;
+        const noCache = url.searchParams.get('noCache') === 'true';
+        const placeName = url.searchParams.get('name');
+        const lat = parseFloat(url.searchParams.get('lat'));
+        const lng = parseFloat(url.searchParams.get('lng'));
+        const geo = url.searchParams.get('geocode');
+        const format = url.searchParams.get('format');
+
+        if (geo && placeName) {
+            const proximity = isNaN(lat) || isNaN(lng) ? null : { lat, lng };
+            const { results, cached } = await geocode({ query: placeName, proximity, provider: geo }, env, ctx);
+            if (!results.length) {
+                return createResponse({
+                    message: 'No geocoding result'
+                }, 404);
             }
+            return createResponse({
+                geocodingResults: results,
+                provider: results[0].provider
+            }, 200, cacheHeaders(cached));
         }
 
-        if (currentTime >= openTime && currentTime < closeTime) {
-            isOpen = true;
-            break;
+        if (placeName) {
+            place = await findGooglePlacesByName({name:placeName, lat, lng}, env);
+            placeId = place?.[0]?.id;  // Now we can assign to placeId
+            if (!placeId) {
+                return createResponse({
+                    message: 'No place found for the given name and location'
+                }, 404);
+            }
         }
-    }
-
-    place.regularOpeningHours.openNow = isOpen;
-    if (place.currentOpeningHours) {
-        place.currentOpeningHours.openNow = isOpen;
-    }
-
-    return place;
-}
-
-
-async function reverseGeocodeMapbox({ lat, lng }, env) {
-    const endpoint = `https://api.mapbox.com/geocoding/v5/mapbox.places/${lng},${lat}.json`;
-    const url = new URL(endpoint);
-    
-    // Add query parameters
-    url.searchParams.append('access_token', env.MAPBOX_API_KEY);
-    url.searchParams.append('types', 'address,place,neighborhood');
-    url.searchParams.append('limit', '1');
-
-    try {
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`Mapbox API error: ${response.status}`);
+        
+        if (placeId && !place) {
+            // Venue and Barzo ids are looked up through their linked Google id
+            const resolved = await resolveProviderId(placeId, ['google'], env);
+            if (!resolved) {
+                return createResponse({
+                    message: `No Google place is linked to ${placeId}`
+                }, 404);
+            }
+            placeId = resolved.id;
         }
-
-        const data = await response.json();
         
-        if (!data.features || data.features.length === 0) {
-            return null;
+        if (placeId) {
+            const { profile, fields, error } = resolveFieldProfile({
+                profile: url.searchParams.get('profile'),
+                fields: url.searchParams.get('fields'),
+                detailLevel: url.searchParams.get('detailLevel') || 'full'
+            });
+            if (error) return createResponse(error, 400);
+
+            const details = await getPlaceDetailsCached({placeId, profile}, env, ctx);
+            if (!details) {
+                return createResponse({
+                    message: `No place found for ${placeId}`
+                }, 404);
+            }
+            const detailsCacheHeaders = cacheHeaders(details.cacheHit ? { age: details.cacheAge, stale: details.cacheStale } : null);
+            if (format === 'geojson') {
+                return createGeoJSONResponse([pickFields(details, fields)], detailsCacheHeaders);
+            }
+            return createResponse({
+                placeDetails: toPlace(pickFields(details, fields)),
+                profile,
+                cacheHit: details.cacheHit
+            }, 200, detailsCacheHeaders);
         }
 
-        // Return formatted address data
-        const feature = data.features[0];
-        return {
-            formattedAddress: feature.place_name,
-            location: {
-                lat: feature.center[1],
-                lng: feature.center[0]
-            },
-            placeType: feature.place_type[0],
-            context: feature.context || [],
-            raw: feature
-        };
-    } catch (error) {
-        console.error('Reverse geocoding error:', error);
-        throw error;
-    }
-}
-
-
-async function reverseGeocodeGoogle({ lat, lng }, env) {
-    const endpoint = 'https://places.googleapis.com/v1/places:searchNearby';
-    const requestBody = {
-        locationRestriction: {
-            circle: {
-                center: {
-                    latitude: lat,
-                    longitude: lng
-                },
-                radius: 50.0 // 50 meters radius to get closest match
+        let revgeo = url.searchParams.get('reverseGeocode')
+        if (revgeo) {
+            if (isNaN(lat) || isNaN(lng)) {
+                return createResponse({
+                    message: 'latitude and longitude must be valid numbers',
+                    validationErrors: { lat, lng }
+                }, 400);
             }
-        },
-        maxResultCount: 1
-    };
+            const { result, cached } = await reverseGeocode({ lat, lng, provider: revgeo }, env, ctx);
+            if (!result) {
+                return createResponse({
+                    message: 'No reverse geocoding result'
+                }, 404);
+            }
+            return createResponse({
+                reverseGeocodingResults: result,
+                provider: result.provider
+            }, 200, cacheHeaders(cached));
+        }
 
-    try {
-        const response = await fetch(endpoint, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Goog-Api-Key': env.GOOGLE_PLACES_API_KEY,
-                'X-Goog-FieldMask': 'places.displayName,places.formattedAddress,places.location,places.types,places.addressComponents'
-            },
-            body: JSON.stringify(requestBody)
+        const radius = parseFloat(url.searchParams.get('radius') || '500');
+        const detailLevel = url.searchParams.get('detailLevel') || 'full';
+        const { profile, fields, error: profileError } = resolveFieldProfile({
+            profile: url.searchParams.get('profile'),
+            fields: url.searchParams.get('fields'),
+            detailLevel
         });
+        if (profileError) return createResponse(profileError, 400);
+        const type = url.searchParams.get('type');
+        const keywords = url.searchParams.getAll('keyword');
+        const limit = parseInt(url.searchParams.get('limit') || 100);
 
-        if (!response.ok) {
-            throw new Error(`Google Places API error: ${response.status}`);
+        if (isNaN(lat) || isNaN(lng) || isNaN(radius)) {
+            return createResponse({
+                message: 'latitude, longitude, and radius must be valid numbers',
+                validationErrors: { lat, lng, radius }
+            }, 400);
         }
 
-        const data = await response.json();
-        
-        if (!data.places || data.places.length === 0) {
-            return null;
+        // Get Radar places with error handling
+        const searchResult = await getNearbyPlacesCached(
+            { lat, lng, radius, type, keywords, limit, detailLevel, profile }, 
+            env, ctx
+        );
+
+        if (format === 'geojson') {
+            return createGeoJSONResponse((searchResult?.nearby || []).map(place => pickFields(place, fields)), cacheHeaders(searchResult?.cacheEntry));
         }
 
-        const place = data.places[0];
-        return {
-            formattedAddress: place.formattedAddress,
-            name: place.displayName?.text,
-            location: {
-                lat: place.location?.latitude,
-                lng: place.location?.longitude
-            },
-            types: place.types,
-            addressComponents: place.addressComponents,
-            raw: place
-        };
-    } catch (error) {
-        console.error('Google reverse geocoding error:', error);
-        throw error;
-    }
-}
+        // Only process if we have places
+        if (searchResult?.nearby?.length > 0) {
+            const results = searchResult.nearby;
+            
+            return createResponse({
+                nearbyPlaces: toPlaces(results.map(place => pickFields(place, fields))),
+                metadata: {
+                    lat,
+                    lng,
+                    radius,
+                    totalResults: results.length,
+                    cacheHits: results.filter(r => r.cacheHit).length,
+                    nearbyCacheHit: searchResult.nearbyCacheHit || false,
+                    pendingPlaceIds: searchResult.pending || [],
+                    retryAfter: searchResult.pending?.length ? HYDRATION.RETRY_AFTER : null
+                }
+            }, 200, cacheHeaders(searchResult.cacheEntry));
+        } else {
+            // Empty results response
+            return createResponse({
+                nearbyPlaces: [],
+                metadata: {
+                    lat,
+                    lng,
+                    radius,
+                    totalResults: 0,
+                    cacheHits: 0
+                }
+            });
+        }
+    },
 
-async function reverseGeocodeRadar({ lat, lng }, env) {
-    const endpoint = `https://api.radar.io/v1/geocode/reverse`;
-    const url = new URL(endpoint);
-    
-    // Add query parameters
-    url.searchParams.append('coordinates', `${lat},${lng}`);
-
-    try {
-        const response = await fetch(url, {
-            headers: {
-                'Authorization': env.RADAR_API_KEY
-            }
+    async handleBatchDetails(request, env, ctx) {
+        let body;
+        try {
+            body = await request.json();
+        } catch (error) {
+            return createResponse({
+                message: 'Request body must be valid JSON'
+            }, 400);
+        }
+
+        const placeIds = [...new Set((body?.placeIds || []).filter(id => typeof id === 'string' && id))];
+        const { profile, fields, error } = resolveFieldProfile({
+            profile: body?.profile,
+            fields: Array.isArray(body?.fields) ? body.fields.join(',') : body?.fields,
+            detailLevel: body?.detailLevel || CACHE_KEYS.LEVELS.FULL
         });
 
-        if (!response.ok) {
-            throw new Error(`Radar API error: ${response.status}`);
+        if (!placeIds.length || placeIds.length > BATCH.MAX_IDS) {
+            return createResponse({
+                message: `placeIds must contain between 1 and ${BATCH.MAX_IDS} ids`,
+                validationErrors: { placeIds: placeIds.length }
+            }, 400);
         }
+        if (error) return createResponse(error, 400);
 
-        const data = await response.json();
-        
-        if (!data.addresses || data.addresses.length === 0) {
-            return null;
-        }
+        return createResponse(await getPlaceDetailsBatch({placeIds, profile, fields}, env, ctx));
+    }
+};
 
-        const address = data.addresses[0];
-        return {
-            formattedAddress: address.formattedAddress,
-            location: {
-                lat: address.latitude,
-                lng: address.longitude
-            },
-            country: address.country,
-            countryCode: address.countryCode,
-            state: address.state,
-            stateCode: address.stateCode,
-            city: address.city,
-            postalCode: address.postalCode,
-            raw: address
-        };
-    } catch (error) {
-        console.error('Radar reverse geocoding error:', error);
-        throw error;
+
+
+/* ================================
+    Helper functions
+   ================================ */
+// Canonical place for a response, with open status evaluated now in the venue's timezone
+function toPlace(raw) {
+    const place = normalizePlace(raw);
+    if (place?.hours && !place.hours.periods.length && !place.hours.currentPeriods.length) {
+        return { ...place, hours: null };     // A cached open status can't be re-evaluated without a schedule
     }
-}
\ No newline at end of file
+    return updateOpenNow(place);
+}
+
+function toPlaces(raws) {
+    return (raws || []).map(toPlace).filter(Boolean);
+}
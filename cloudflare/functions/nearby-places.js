@@ -1,212 +1,563 @@
 /**
  * Cloudflare Worker for Places API Integration
  * 
- * This worker provides a cached interface to various place data providers (primarily Google Places API)
- * with support for nearby search and place details. It includes coordinate grid-based caching to improve
- * cache hit rates and reduce API costs.
+ * A cached interface to place data providers (primarily Google Places API): nearby and
+ * area search, place details, text search, autocomplete, geocoding and photos. Responses
+ * use the canonical Place model (public/src/utils/placeModel.js), with open status
+ * evaluated per response (public/src/utils/openingHours.js).
  * 
- * Core Features:
- * - Nearby place search with configurable radius and type
- * - Detailed place information lookup
- * - Grid-based coordinate caching
- * - Cache control with version-based invalidation
- * - Request rate limiting and error handling
+ * Where things live:
+ * - places-router.js       /v1 routes, param validation and the response envelope (V1_ROUTES below)
+ * - places-providers.js    Google / Radar providers, &provider= and fallback
+ * - places-upstream.js     PROVIDER_MODE=record|replay|fixture for offline development
+ * - places-geo.js          Quadkey tiles covering circles and areas; each tile is cached on its own
+ * - places-cache.js        Stale-while-revalidate KV entries and coalesced misses
+ * - places-query.js        openNow / minRating / priceLevels / types filters and sorting
+ * - places-categories.js   &category= expansion and ranking
+ * - places-crosswalk.js    Venue ids across providers, /crosswalk
+ * - places-autocomplete.js, places-geocoding.js, places-photos.js
+ * - places-ratelimit.js    Token buckets and the daily upstream quota (429 + Retry-After)
+ * - places-admin.js, places-metrics.js   /admin/cache and /metrics, with X-Admin-Key
  * 
- * Supported Providers:
- * - Google Places API (primary)
- * - Radar.io API (alternative)
- * 
- * API Endpoints:
- * 1. Nearby Search:
- *    GET /nearby-places?lat={latitude}&lng={longitude}&radius={meters}&type={place_type}
- *    Optional: &keyword={search terms}
- * 
- * 2. Place Details:
- *    GET /nearby-places?placeId={place_id}
+ * Routes:
+ *    /v1/...                      Versioned API (preferred), see V1_ROUTES
+ *    ?lat&lng[&radius]            Nearby search
+ *    ?bbox= / ?polygon= / POST    Area search
+ *    ?placeId=                    Place details, for a provider, venue or Barzo id
+ *    /autocomplete, /geocode, /reverse-geocode, /crosswalk, /photo/{ref}
+ *    The unversioned routes are kept for older clients. The query-param ones answer on
+ *    LEGACY_PATHS only; other paths are 404. &format=geojson returns a GeoJSON
+ *    FeatureCollection on any place endpoint.
  * 
  * Headers:
- * - X-API-Key: Required. Service authentication key
- * - X-Google-API-Key: Optional. Custom Google Places API key
- * 
- * Cache Control:
- * - no-cache: Set to 'true' to bypass cache
- * - cache-reset: Unix timestamp to ignore older cache entries
- * 
- * Response Headers:
- * - X-Cache-Hit: Indicates if response was served from cache
- * - X-Cache-Type: Type of cache entry (places_nearby or places_details)
- * 
- * Grid Configuration:
- * - Coordinates are rounded based on search radius
- * - Grid size adapts to maintain optimal cache hits
- * - Minimum radius enforced for consistency
+ * - X-API-Key: Required. Service authentication key (photo links may use PHOTO_ORIGINS instead)
+ * - X-Google-API-Key / X-Radar-Key: Optional. Custom provider keys
+ * - Responses carry X-Cache-Hit, X-Cache-Age, X-Cache-Stale, X-Places-Provider and, for
+ *   searches, X-Area-Tiles / X-Area-Tiles-Cached and X-Nearby-Pages / X-Nearby-Has-More
  * 
  * Example Usage:
  * ```
- * // Nearby search
- * curl "https://api.example.com/nearby-places?lat=27.9506&lng=-82.4572&radius=500&type=restaurant" \
- *   -H "X-API-Key: your_api_key"
- * 
- * // Place details
- * curl "https://api.example.com/nearby-places?placeId=ChIJN1t_tDeuEmsRUsoyG83frY4" \
+ * curl "https://api.example.com/v1/nearby?lat=27.9506&lng=-82.4572&radius=500&type=restaurant" \
  *   -H "X-API-Key: your_api_key"
  * ```
  * 
  */
 
-// Remove provider-related constants
-const API_VERSION = 'v1.0.5';  // Increment version for cache invalidation
+import { PROVIDERS, getProviderChain, withProviderFallback, dedupePlaces, GOOGLE_PAGINATION } from './places-providers.js';
+import { readCache, writeCache, revalidateInBackground, cacheHeaders, coalesce } from './places-cache.js';
+import { checkRateLimit, rateLimitHeaders, createUsageTracker, flushUsage, withUsage } from './places-ratelimit.js';
+import { GEOCODERS, geocode, reverseGeocode } from './places-geocoding.js';
+import { reconcilePlace, reconcilePlaces, resolveVenue, resolveProviderId } from './places-crosswalk.js';
+import { AUTOCOMPLETE, parseAutocompleteParams, getAutocompleteSuggestions, getAutocompletePlace, isValidSessionToken } from './places-autocomplete.js';
+import { parseBbox, parsePolygon, polygonBbox, pointInBbox, pointInPolygon, distanceMeters, getTile, coverBbox, coverCircle, MAX_TILES, MAX_AREA_TILES } from './places-geo.js';
+import { SORT_ORDERS, buildQueryFilters, parseQueryFilters, applyQueryFilters } from './places-query.js';
+import { handleAdminRequest } from './places-admin.js';
+import { handleMetricsRequest, recordRequest, flushMetrics } from './places-metrics.js';
+import { matchRoute, validateParams, createResponse } from './places-router.js';
+import { isValidPhotoRef, isAllowedPhotoOrigin, getPlacePhoto, PHOTO_TTL } from './places-photos.js';
+import { normalizePlaces, toFeatureCollection } from '../../public/src/utils/placeModel.js';
+import { updateOpenNow } from '../../public/src/utils/openingHours.js';
+import { getCategory, listCategories, expandCategory, rankCategoryPlaces } from './places-categories.js';
+
+const API_VERSION = 'v1.1.0';  // Increment version for cache invalidation (v1.1: canonical Place model)
+const WORKER_NAME = 'nearby-places';  // Metrics key segment (see places-metrics.js)
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, X-API-Key, X-Google-API-Key',
+  'Access-Control-Allow-Headers': 'Content-Type, X-API-Key, X-Google-API-Key, X-Radar-Key, X-Admin-Key',
+  'Access-Control-Expose-Headers': 'X-Cache-Hit, X-Cache-Type, X-Cache-Key, X-Cache-Age, X-Cache-Stale, X-Places-Provider, X-Nearby-Pages, X-Nearby-Has-More, X-Area-Tiles, X-Area-Tiles-Cached, Retry-After, X-RateLimit-Scope',
   'Access-Control-Max-Age': '86400',  // 24 hours
 };
 
-// Grid configuration
-const GRID_SIZE_METERS = 100; // Base grid size
+// Search tiling (tile sizes are picked in places-geo.js)
 const GRID = {
-    SIZE_METERS: GRID_SIZE_METERS,
-    LAT_PRECISION: 5,               // 5 decimal places ≈ 1.1m precision
-    LNG_PRECISION: 5,
-    MIN_RADIUS: GRID_SIZE_METERS,   // Minimum 100m radius
-    RADIUS_STEP: GRID_SIZE_METERS   // Round radius to nearest 100m
+    MIN_RADIUS: 100,    // Minimum 100m radius
+    MAX_RADIUS: 10000   // Larger circles need more than MAX_TILES tiles (see coverCircle)
 };
 
 // Cache duration settings (in seconds)
+// Entries older than the *_SOFT values are served stale and refreshed in the
+// background; KV / DETAILS are the hard expiry.
 const CACHE_DURATION = {
     PRODUCTION: {
-        KV: 604800,      // 1 week for KV store
-        BROWSER: 604800,  // 1 week for browser cache
-        DETAILS: 604800   // 1 week for place details
+        KV: 604800,           // 1 week for KV store
+        KV_SOFT: 86400,       // 1 day before nearby results are refreshed
+        KV_EMPTY: 3600,       // 1 hour for tiles without places
+        BROWSER: 3600,        // 1 hour for browser cache
+        DETAILS: 604800,      // 1 week for place details
+        DETAILS_SOFT: 21600   // 6 hours before hours / open status are refreshed
     },
     DEVELOPMENT: {
-        KV: 604800,         // 10 minutes for development
-        BROWSER: 604800,    // 10 minutes for development
-        DETAILS: 604800     // 10 minutes for development
+        KV: 604800,           // 1 week for KV store
+        KV_SOFT: 600,         // 10 minutes for development
+        KV_EMPTY: 600,        // 10 minutes for development
+        BROWSER: 600,         // 10 minutes for development
+        DETAILS: 604800,      // 1 week for place details
+        DETAILS_SOFT: 600     // 10 minutes for development
     }
 };
 
-// Google Places API functions
-async function nearbySearch(params) {
-    const baseParams = new URLSearchParams({
-        location: `${params.lat},${params.lng}`,
-        radius: params.radius,
-        type: params.type,
-        key: params.apiKey
-    });
+const CROSSWALK_MAX_BATCH = 100;   // Places per POST /crosswalk
 
-    // If no keywords, make a single request
-    if (!params.keywords?.length) {
-        const url = `https://maps.googleapis.com/maps/api/place/nearbysearch/json?${baseParams}`;
-        const response = await fetch(url);
-        const data = await response.json();
-        
-        if (!response.ok) {
-            throw new Error(`Google Places API error: ${response.status} - ${data.error_message || 'Unknown error'}`);
-        }
-        
-        return data.results;
+// Tiled (circle / bbox / polygon) searches
+const AREA = {
+    CONCURRENCY: 4      // Tiles fetched in parallel
+};
+
+// Text searches (/v1/places:search)
+const TEXT_SEARCH = {
+    MAX_QUERY_LENGTH: 200,
+    BIAS_RADIUS: 5000,      // Meters around lat/lng, default
+    BIAS_PRECISION: 2,      // ~1km cells for the cache key
+    MAX_RESULTS: 20         // One page of Google text search
+};
+
+// Query parameters of the /v1 routes (see validateParams in places-router.js)
+const LAT_PARAM = { type: 'number', min: -90, max: 90 };
+const LNG_PARAM = { type: 'number', min: -180, max: 180 };
+const PROVIDER_PARAM = { type: 'enum', values: Object.keys(PROVIDERS) };
+const GEOCODER_PARAM = { type: 'enum', values: Object.keys(GEOCODERS) };
+const NO_CACHE_PARAM = { type: 'boolean', default: false };
+const FORMAT_PARAM = { type: 'enum', values: ['json', 'geojson'], default: 'json' };
+
+const V1_PARAMS = {
+    nearby: {
+        lat: LAT_PARAM,
+        lng: LNG_PARAM,
+        radius: { type: 'number', min: 1, max: GRID.MAX_RADIUS, default: 500 },
+        bbox: { type: 'string' },
+        polygon: { type: 'string' },
+        type: { type: 'string', maxLength: 64 },
+        keyword: { type: 'string', maxLength: TEXT_SEARCH.MAX_QUERY_LENGTH, multiple: true, default: [] },
+        category: { type: 'enum', values: listCategories().map(category => category.id) },
+        maxResults: { type: 'integer', min: 1, max: GOOGLE_PAGINATION.PAGE_SIZE * GOOGLE_PAGINATION.MAX_PAGES },
+        openNow: { type: 'boolean', default: false },
+        minRating: { type: 'number', min: 0, max: 5 },
+        priceLevels: { type: 'list', default: [] },
+        types: { type: 'list', default: [] },
+        origin: { type: 'string' },
+        sort: { type: 'enum', values: SORT_ORDERS, default: 'relevance' },
+        provider: PROVIDER_PARAM,
+        'no-cache': NO_CACHE_PARAM,
+        format: FORMAT_PARAM
+    },
+    details: {
+        provider: PROVIDER_PARAM,
+        'no-cache': NO_CACHE_PARAM,
+        format: FORMAT_PARAM
+    },
+    search: {
+        q: { type: 'string', required: true, maxLength: TEXT_SEARCH.MAX_QUERY_LENGTH },
+        lat: LAT_PARAM,
+        lng: LNG_PARAM,
+        radius: { type: 'number', min: 1, max: 50000, default: TEXT_SEARCH.BIAS_RADIUS },
+        type: { type: 'string', maxLength: 64 },
+        maxResults: { type: 'integer', min: 1, max: TEXT_SEARCH.MAX_RESULTS },
+        provider: PROVIDER_PARAM,
+        'no-cache': NO_CACHE_PARAM
+    },
+    geocode: {
+        q: { type: 'string', required: true, maxLength: TEXT_SEARCH.MAX_QUERY_LENGTH },
+        lat: LAT_PARAM,
+        lng: LNG_PARAM,
+        provider: GEOCODER_PARAM
+    },
+    reverseGeocode: {
+        lat: { ...LAT_PARAM, required: true },
+        lng: { ...LNG_PARAM, required: true },
+        provider: GEOCODER_PARAM
+    },
+    autocomplete: {
+        input: { type: 'string', required: true, maxLength: AUTOCOMPLETE.MAX_LENGTH },
+        sessionToken: { type: 'string' },
+        lat: LAT_PARAM,
+        lng: LNG_PARAM,
+        radius: { type: 'number', min: 1, max: AUTOCOMPLETE.MAX_BIAS_RADIUS, default: AUTOCOMPLETE.BIAS_RADIUS },
+        types: { type: 'list', default: [] }
+    },
+    autocompletePlace: {
+        sessionToken: { type: 'string' }
     }
+};
 
-    // Make separate requests for each keyword
-    const allResults = await Promise.all(params.keywords.map(async keyword => {
-        const keywordParams = new URLSearchParams(baseParams);
-        keywordParams.append('keyword', keyword);
-        
-        const url = `https://maps.googleapis.com/maps/api/place/nearbysearch/json?${keywordParams}`;
-        const response = await fetch(url);
-        const data = await response.json();
-        
-        if (!response.ok) {
-            console.error(`Error fetching places for keyword ${keyword}:`, data.error_message);
-            return [];
+// Paths of the unversioned query-param routes ('' is the root; trailing slashes are ignored)
+const LEGACY_PATHS = ['', '/nearby', '/nearby-places'];
+
+const V1_ROUTES = [
+    { method: 'GET', path: '/v1/nearby', handler: 'handleV1Nearby', params: V1_PARAMS.nearby },
+    { method: 'POST', path: '/v1/nearby', handler: 'handleV1Nearby', params: V1_PARAMS.nearby },
+    { method: 'GET', path: '/v1/places/:id', handler: 'handleV1PlaceDetails', params: V1_PARAMS.details },
+    { method: 'GET', path: '/v1/places:search', handler: 'handleV1TextSearch', params: V1_PARAMS.search },
+    { method: 'GET', path: '/v1/geocode', handler: 'handleV1Geocode', params: V1_PARAMS.geocode },
+    { method: 'GET', path: '/v1/reverse-geocode', handler: 'handleV1ReverseGeocode', params: V1_PARAMS.reverseGeocode },
+    { method: 'GET', path: '/v1/autocomplete', handler: 'handleV1Autocomplete', params: V1_PARAMS.autocomplete },
+    { method: 'GET', path: '/v1/autocomplete/:placeId', handler: 'handleV1AutocompletePlace', params: V1_PARAMS.autocompletePlace }
+];
+
+function getCacheDuration(request) {
+    const isDevelopment = request.url.includes('localhost') || request.url.includes('127.0.0.1');
+    return isDevelopment ? CACHE_DURATION.DEVELOPMENT : CACHE_DURATION.PRODUCTION;
+}
+
+// Cache key generation functions. Search keys include the provider, so ids, photos
+// and hours from different providers never share an entry
+function getTileCacheKey(tile, provider, type, keywords = []) {
+    const keywordString = keywords.length > 0 ? `:${[...keywords].sort().join('+')}` : '';
+    return `${API_VERSION}:tile:${tile.quadkey}:${provider}:${type}${keywordString}`;
+}
+
+function getDetailsCacheKey(placeId) {
+    return `${API_VERSION}:details:${placeId}`;
+}
+
+// Cache keys of this worker, for the admin purge routes
+const ADMIN_KEYSPACE = {
+    placeKeys: (placeId) => [getDetailsCacheKey(placeId)],
+    nearbyPrefix: `${API_VERSION}:tile:`,
+    // '{version}:tile:{quadkey}:{provider}:{type}...' -> center of the tile
+    nearbyLocation(key) {
+        const tile = getTile(key.split(':')[2]);
+        return tile && { lat: tile.lat, lng: tile.lng };
+    }
+};
+
+function limitResults(places, maxResults) {
+    return maxResults ? places.slice(0, maxResults) : places;
+}
+
+// Response body for a list of places: Place[] or, with &format=geojson, a FeatureCollection
+function formatPlaces(url, places) {
+    if (url.searchParams.get("format") === 'geojson') {
+        return { body: JSON.stringify(toFeatureCollection(places)), contentType: "application/geo+json" };
+    }
+    return { body: JSON.stringify(places), contentType: "application/json" };
+}
+
+// Response body for one place: Place or, with &format=geojson, a FeatureCollection of one
+function formatPlace(url, place) {
+    if (url.searchParams.get("format") === 'geojson') {
+        return formatPlaces(url, [place]);
+    }
+    return { body: JSON.stringify(place), contentType: "application/json" };
+}
+
+// /v1 response envelope (see places-router.js)
+function createV1Response(data, status = 200, headers = {}) {
+    return createResponse(data, status, { ...corsHeaders, ...headers }, API_VERSION);
+}
+
+// format=geojson on /v1: a bare FeatureCollection that map sources can load directly
+function createGeoJSONResponse(places, headers = {}) {
+    return new Response(JSON.stringify(toFeatureCollection(places)), {
+        headers: { ...corsHeaders, ...headers, "Content-Type": "application/geo+json" }
+    });
+}
+
+// Error raised before routing: the envelope on /v1 routes, the legacy { error } body elsewhere
+function createErrorResponse(url, status, body, headers = {}) {
+    if (url.pathname.startsWith("/v1/")) {
+        return createV1Response({ message: body.message || body.error }, status, headers);
+    }
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: {
+            ...corsHeaders,
+            ...headers,
+            "Content-Type": "application/json"
         }
-        
-        return data.results || [];
-    }));
-
-    // Merge and deduplicate results by place_id
-    const seenPlaceIds = new Set();
-    const mergedResults = allResults.flat().filter(place => {
-        if (seenPlaceIds.has(place.place_id)) return false;
-        seenPlaceIds.add(place.place_id);
-        return true;
     });
+}
 
-    return mergedResults;
+// lat and lng are optional on some routes, but only together
+function getOptionalLocation(params) {
+    if ((params.lat === undefined) !== (params.lng === undefined)) {
+        const error = 'lat and lng must be given together';
+        return { validationErrors: { lat: error, lng: error } };
+    }
+    return { location: params.lat === undefined ? null : { lat: params.lat, lng: params.lng } };
 }
 
-async function placeDetails(placeId, apiKey) {
-    const searchParams = new URLSearchParams({
-        place_id: placeId,
-        key: apiKey,
-        fields: [
-            'place_id', 'name', 'geometry', 'formatted_address',
-            'formatted_phone_number', 'website', 'opening_hours',
-            'current_opening_hours', 'price_level', 'types',
-            'editorial_summary', 'serves_breakfast', 'serves_lunch',
-            'serves_dinner', 'serves_brunch', 'photos'
-        ].join(',')
+// Search parameters shared by circle and area searches
+function getSearchOptions(request, env, userKeys, ctx) {
+    const url = new URL(request.url);
+    return {
+        env,
+        ctx,
+        userKeys,
+        type: url.searchParams.get("type") || "restaurant",
+        keywords: url.searchParams.getAll("keyword"),
+        category: getCategory(url.searchParams.get("category")),
+        provider: url.searchParams.get("provider"),
+        noCache: url.searchParams.get("no-cache") === 'true',
+        cacheDuration: getCacheDuration(request)
+    };
+}
+
+/**
+ * Places inside one tile, from the cache or a provider search of the tile's
+ * circumscribing circle (tile.radius). Tiles without places are cached for
+ * KV_EMPTY only. Returns { places, cached, provider, pages, hasMore }.
+ */
+async function getTilePlaces({ tile, maxPages }, { env, ctx, userKeys, type, keywords, provider: requested, noCache, cacheDuration }) {
+    const chain = getProviderChain(requested, env);
+    const cacheKey = getTileCacheKey(tile, chain[0].name, type, keywords);
+
+    // Fetch from the providers and refresh the cache, sharing one fetch between concurrent misses
+    const refresh = () => coalesce(cacheKey, async () => {
+        const { result, provider } = await withProviderFallback(chain, provider => provider.nearby({
+            lat: tile.lat,
+            lng: tile.lng,
+            radius: tile.radius,
+            type,
+            maxPages,
+            keys: userKeys,
+            keywords
+        }, env));
+
+        // The search circle overlaps the neighbouring tiles; they keep their own places
+        const places = (result.places || []).filter(place => place.location && pointInBbox(place.location.lat, place.location.lng, tile.bbox));
+
+        // Link this tile's places to venue ids in the background
+        ctx?.waitUntil?.(reconcilePlaces(places, env));
+
+        // Cache the full merged set under the provider that answered (a fallback's
+        // results are read by requests for that provider); requests for fewer
+        // results are trimmed on the way out. Empty tiles are cached briefly, so
+        // they don't search upstream on every request but pick up new places soon.
+        await writeCache(env.PLACES_KV, getTileCacheKey(tile, provider, type, keywords), places, {
+            hardTtl: places.length > 0 ? cacheDuration.KV : cacheDuration.KV_EMPTY,
+            metadata: { provider, pages: result.pages, hasMore: result.hasMore }
+        });
+        return { result: { ...result, places }, provider };
     });
 
-    const url = `https://maps.googleapis.com/maps/api/place/details/json?${searchParams}`;
-    const response = await fetch(url);
-    const data = await response.json();
-    
-    if (!response.ok) {
-        throw new Error(`Google Places Details API error: ${response.status} - ${data.error_message || 'Unknown error'}`);
+    // Check cache
+    if (!noCache) {
+        const cached = await readCache(env.PLACES_KV, cacheKey, { softTtl: cacheDuration.KV_SOFT });
+        const cachedPages = cached?.metadata.pages || 1;
+        const cachedHasMore = cached?.metadata.hasMore ?? true;
+        if (cached?.value && (cachedPages >= maxPages || !cachedHasMore)) {
+            console.log(`Cache HIT with key: ${cacheKey}`);
+            if (cached.stale) {
+                revalidateInBackground(ctx, cacheKey, refresh);
+            }
+            return { places: cached.value, cached, provider: cached.metadata.provider, pages: cachedPages, hasMore: cachedHasMore };
+        }
     }
-    
-    return data.result;
+
+    console.log(`Cache MISS with key: ${cacheKey}`);
+    const { result, provider } = await refresh();
+    return { places: result.places, cached: null, provider, pages: result.pages, hasMore: result.hasMore };
 }
 
-// Cache key generation functions
-function getNearbySearchCacheKey(lat, lng, radius, type, keywords = []) {
-    const grid = getCoordinateGridSize(lat, lng, radius);
-    const roundedLat = (Math.round(lat / grid.lat) * grid.lat).toFixed(5);
-    const roundedLng = (Math.round(lng / grid.lng) * grid.lng).toFixed(5);
-    const roundedRadius = Math.ceil(radius / getRadiusGridSize(radius)) * getRadiusGridSize(radius);
-    const keywordString = keywords.length > 0 ? `:${keywords.sort().join('+')}` : '';
-    return `${API_VERSION}:nearby:${roundedLat},${roundedLng}:${roundedRadius}:${type}${keywordString}`;
+/**
+ * Places in one tile, expanding &category into one cached search per category
+ * type. Category results are merged here and ranked by the caller once all tiles
+ * are in. Same return shape as getTilePlaces; `cached` is only set when every
+ * search was a cache hit.
+ */
+async function searchPlaces(tileSearch, search) {
+    if (!search.category) {
+        return getTilePlaces(tileSearch, search);
+    }
+
+    const searches = await Promise.all(expandCategory(search.category).map(({ type, keywords }) =>
+        getTilePlaces(tileSearch, { ...search, type, keywords })));
+    const allCached = searches.every(result => result.cached);
+
+    return {
+        places: dedupePlaces(searches.flatMap(result => result.places)),
+        cached: allCached
+            ? { age: Math.max(...searches.map(result => result.cached.age ?? 0)), stale: searches.some(result => result.cached.stale) }
+            : null,
+        provider: searches.find(result => !result.cached)?.provider || searches[0].provider,
+        pages: Math.max(...searches.map(result => result.pages)),
+        hasMore: searches.some(result => result.hasMore)
+    };
 }
 
-function getDetailsCacheKey(placeId) {
-    return `${API_VERSION}:details:${placeId}`;
+// First place of each tile, then the second of each, ...: keeps the provider's ranking within tiles
+function interleave(lists) {
+    const merged = [];
+    const longest = Math.max(0, ...lists.map(list => list.length));
+    for (let i = 0; i < longest; i++) {
+        lists.forEach(list => i < list.length && merged.push(list[i]));
+    }
+    return merged;
 }
 
-// Grid functions remain the same
-function getCoordinateGridSize(lat, lng, radius) {
-    let gridSize;
-    if (radius <= 100)        gridSize = 0.0001;
-    else if (radius <= 500)   gridSize = 0.0005;
-    else if (radius <= 1000)  gridSize = 0.001;
-    else                      gridSize = 0.002;
-    const lngGridSize = gridSize / Math.cos(lat * Math.PI / 180);
+/**
+ * Search every tile, cached tiles from KV and the rest from the providers.
+ * Returns { places, tiles, cachedTiles, cached, provider, pages, hasMore } where
+ * cached is set only when every tile was a cache hit.
+ */
+async function searchTiles(tiles, maxPages, search) {
+    const results = await mapWithConcurrency(tiles, AREA.CONCURRENCY, tile => searchPlaces({ tile, maxPages }, search));
+    const cached = results.filter(result => result.cached);
+
     return {
-        lat: gridSize,
-        lng: lngGridSize
+        places: dedupePlaces(interleave(results.map(result => result.places))),
+        tiles: results.length,
+        cachedTiles: cached.length,
+        cached: cached.length === results.length
+            ? { age: Math.max(...cached.map(result => result.cached.age ?? 0)), stale: cached.some(result => result.cached.stale) }
+            : null,
+        provider: results.find(result => !result.cached)?.provider || results[0]?.provider,
+        pages: Math.max(...results.map(result => result.pages)),
+        hasMore: results.some(result => result.hasMore)
     };
 }
 
-function getRadiusGridSize(radius) {
-    return Math.pow(2, Math.floor(Math.log2(radius/50))) * 50;
+function rankPlaces(places, search) {
+    return search.category ? rankCategoryPlaces(places, search.category) : places;
+}
+
+// Cached open status goes stale; re-evaluate it in each venue's timezone before filtering
+function withOpenStatus(places) {
+    return places.map(place => updateOpenNow(place));
+}
+
+// Run fn over items with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    });
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Circle search over the tiles covering the circle (from coverCircle; callers
+ * reject covers past MAX_TILES), trimmed to the circle, with category ranking,
+ * open status and filters applied and cut to maxResults. Same return shape as
+ * searchTiles.
+ */
+async function findNearby({ lat, lng, radius, tiles, maxResults }, search, filters) {
+    const maxPages = Math.min(
+        Math.ceil((maxResults || GOOGLE_PAGINATION.PAGE_SIZE) / GOOGLE_PAGINATION.PAGE_SIZE),
+        parseInt(search.env.NEARBY_MAX_PAGES) || GOOGLE_PAGINATION.MAX_PAGES
+    );
+    const nearby = await searchTiles(tiles, maxPages, search);
+    const inCircle = nearby.places.filter(place =>
+        place.location && distanceMeters(lat, lng, place.location.lat, place.location.lng) <= radius);
+
+    // Filters run on the cached set so one cache entry serves every filter combination
+    return { ...nearby, places: limitResults(applyQueryFilters(withOpenStatus(rankPlaces(inCircle, search)), filters), maxResults) };
 }
 
-// Cache control helper
-const shouldUseCache = async (cacheKey, noCache, cacheReset) => {
-    if (noCache) return false;
-    if (!cacheReset) return true;
+/**
+ * Search over a bbox or polygon, over the tiles covering its bounds (see coverBbox).
+ * Same return shape as searchTiles.
+ */
+async function findInArea({ bbox, polygon, tiles, maxResults }, search, filters) {
+    const contains = place => place.location && (polygon
+        ? pointInPolygon(place.location.lat, place.location.lng, polygon)
+        : pointInBbox(place.location.lat, place.location.lng, bbox));
+
+    // Tiles only need the first page; the tiling itself provides the density
+    const area = await searchTiles(tiles, 1, search);
+    const places = applyQueryFilters(withOpenStatus(rankPlaces(area.places.filter(contains), search)), filters);
 
-    const resetTime = parseInt(cacheReset);
-    if (!isNaN(resetTime)) {
-        const metadata = await env.PLACES_KV.getWithMetadata(cacheKey);
-        return metadata && metadata.metadata && metadata.metadata.timestamp > resetTime;
+    return { ...area, places: limitResults(places, maxResults) };
+}
+
+/**
+ * Cached details for a place id of any type (see Venue Ids).
+ * Returns { place, cached, provider }, or null when no provider id is linked to the id.
+ */
+async function getPlaceDetails(requestedId, { env, ctx, userKeys, provider: requested, noCache, cacheDuration }) {
+    // Venue and Barzo ids are looked up through the id of a provider that can answer
+    const resolved = await resolveProviderId(requestedId, getProviderChain(null, env).map(provider => provider.name), env);
+    if (!resolved) return null;
+    const placeId = resolved.id;
+    const cacheKey = getDetailsCacheKey(placeId);
+
+    // Fetch from the providers and refresh the cache, sharing one fetch between concurrent misses
+    const refresh = () => coalesce(cacheKey, async () => {
+        // Only providers that issued this id can look it up
+        const chain = getProviderChain(requested, env)
+            .filter(provider => provider.matchesId(placeId));
+        const { result: data, provider } = await withProviderFallback(chain,
+            provider => provider.details(placeId, env, { keys: userKeys }));
+
+        if (data) {
+            data.venueId = (await reconcilePlace(data, env).catch(error => {
+                console.error(`Crosswalk failed for ${placeId}:`, error);
+                return null;
+            }))?.venueId || null;
+            await writeCache(env.PLACES_KV, cacheKey, data, {
+                hardTtl: cacheDuration.DETAILS,
+                metadata: { provider }
+            });
+        }
+        return { data, provider };
+    });
+
+    // Check cache
+    if (!noCache) {
+        const cached = await readCache(env.PLACES_KV, cacheKey, { softTtl: cacheDuration.DETAILS_SOFT });
+        if (cached?.value) {
+            console.log(`Cache HIT with key: ${cacheKey}`);
+            if (cached.stale) {
+                revalidateInBackground(ctx, cacheKey, refresh);
+            }
+            return { place: cached.value, cached, provider: cached.metadata.provider };
+        }
     }
-    
-    return false;
-};
+
+    console.log(`Cache MISS with key: ${cacheKey}`);
+    const { data, provider } = await refresh();
+    return { place: data, cached: null, provider };
+}
+
+function getTextSearchCacheKey({ query, lat, lng, radius, type }, provider) {
+    const bias = lat !== undefined && lng !== undefined
+        ? `${lat.toFixed(TEXT_SEARCH.BIAS_PRECISION)},${lng.toFixed(TEXT_SEARCH.BIAS_PRECISION)}:${radius}`
+        : 'none';
+    return `${API_VERSION}:search:${provider}:${bias}:${type || 'any'}:${encodeURIComponent(query.toLowerCase())}`;
+}
+
+/**
+ * Cached text search ("the hub bar tampa"), biased to lat/lng when given.
+ * Returns { places, cached, provider }.
+ */
+async function searchPlacesByText({ query, lat, lng, radius, type }, { env, ctx, userKeys, provider: requested, noCache, cacheDuration }) {
+    const chain = getProviderChain(requested, env);
+    const cacheKey = getTextSearchCacheKey({ query, lat, lng, radius, type }, chain[0].name);
+
+    const refresh = () => coalesce(cacheKey, async () => {
+        const { result: places, provider } = await withProviderFallback(chain,
+            provider => provider.search({ query, lat, lng, radius, type, keys: userKeys }, env));
+
+        ctx?.waitUntil?.(reconcilePlaces(places, env));
+        if (places.length > 0) {
+            await writeCache(env.PLACES_KV, getTextSearchCacheKey({ query, lat, lng, radius, type }, provider), places, {
+                hardTtl: cacheDuration.KV,
+                metadata: { provider }
+            });
+        }
+        return { places, provider };
+    });
+
+    if (!noCache) {
+        const cached = await readCache(env.PLACES_KV, cacheKey, { softTtl: cacheDuration.KV_SOFT });
+        if (cached?.value) {
+            if (cached.stale) {
+                revalidateInBackground(ctx, cacheKey, refresh);
+            }
+            return { places: cached.value, cached, provider: cached.metadata.provider };
+        }
+    }
+
+    const { places, provider } = await refresh();
+    return { places, cached: null, provider };
+}
 
 // Main request handler
 export default {
@@ -219,99 +570,495 @@ export default {
                         ...corsHeaders,
                         'Access-Control-Allow-Origin': '*',
                         'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-                        'Access-Control-Allow-Headers': 'Content-Type, X-API-Key, X-Google-API-Key',
+                        'Access-Control-Allow-Headers': 'Content-Type, X-API-Key, X-Google-API-Key, X-Radar-Key, X-Admin-Key',
                         'Access-Control-Max-Age': '86400',
                     },
                     status: 200
                 });
             }
 
-            // Validate auth
-            const authKey = request.headers?.get("X-API-Key") || '';
+            // Cache admin API, authenticated with its own key
+            const adminResponse = await handleAdminRequest(request, env, ADMIN_KEYSPACE);
+            if (adminResponse) return adminResponse;
+            const metricsResponse = await handleMetricsRequest(request, env, corsHeaders);
+            if (metricsResponse) return metricsResponse;
+
+            const url = new URL(request.url);
+
+            // Validate auth. <img> tags can't send headers, so key-less photo links are
+            // accepted from allowed origins and counted against the service key
+            const isPhoto = url.pathname.startsWith("/photo/");
+            const authKey = request.headers?.get("X-API-Key") ||
+                (isPhoto && isAllowedPhotoOrigin(request, env) ? env.SECURE_API_KEY_PLACES : '');
             if (!authKey || authKey !== env.SECURE_API_KEY_PLACES) {
-                return new Response(JSON.stringify({ error: "Unauthorized" }), { 
-                    status: 403,
+                return createErrorResponse(url, 403, { error: "Unauthorized" });
+            }
+
+            // Per-key / per-IP rate limits (a photo bucket for photos) and daily upstream quota
+            const rateLimit = await checkRateLimit(request, env, authKey, { photo: isPhoto });
+            if (rateLimit.limited) {
+                recordRequest(429);
+                return createErrorResponse(url, 429, {
+                    error: "Too Many Requests",
+                    scope: rateLimit.scope,
+                    retryAfter: rateLimit.retryAfter
+                }, rateLimitHeaders(rateLimit));
+            }
+
+            const userKeys = {
+                google: request.headers?.get("X-Google-API-Key"),
+                radar: request.headers?.get("X-Radar-Key")
+            };
+
+            // Count upstream calls, including background revalidations, against this client
+            const usage = createUsageTracker(rateLimit.clientId);
+            const requestEnv = withUsage(env, usage);
+            const tasks = [];
+            const requestCtx = {
+                waitUntil: task => {
+                    tasks.push(task);
+                    ctx?.waitUntil?.(task);
+                }
+            };
+            
+            // Route to appropriate handler
+            let response;
+            if (url.pathname.startsWith("/v1/")) {
+                response = await this.handleV1(request, requestEnv, userKeys, requestCtx);
+            } else if (isPhoto) {
+                response = await this.handlePhoto(request, requestEnv, userKeys);
+            } else if (url.searchParams.has("category") && !getCategory(url.searchParams.get("category"))) {
+                response = new Response(JSON.stringify({
+                    error: "Unknown category",
+                    categories: listCategories()
+                }), {
+                    status: 400,
                     headers: {
                         ...corsHeaders,
                         "Content-Type": "application/json"
                     }
                 });
-            }
-
-            const url = new URL(request.url);
-            const userGoogleKey = request.headers?.get("X-Google-API-Key");
-            
-            // Route to appropriate handler
-            if (url.searchParams.has("placeId")) {
-                return this.handlePlaceDetails(request, env, userGoogleKey);
+            } else if (url.pathname.endsWith("/autocomplete")) {
+                response = await this.handleAutocomplete(request, requestEnv, userKeys);
+            } else if (url.pathname.endsWith("/geocode") || url.pathname.endsWith("/reverse-geocode")) {
+                response = await this.handleGeocode(request, requestEnv, requestCtx);
+            } else if (url.pathname.endsWith("/crosswalk")) {
+                response = await this.handleCrosswalk(request, requestEnv);
+            } else if (!LEGACY_PATHS.includes(url.pathname.replace(/\/+$/, ''))) {
+                response = createErrorResponse(url, 404, { error: "Not Found", message: `No route for ${url.pathname}` });
+            } else if (url.searchParams.has("placeId")) {
+                response = await this.handlePlaceDetails(request, requestEnv, userKeys, requestCtx);
+            } else if (request.method === 'POST' || url.searchParams.has("bbox") || url.searchParams.has("polygon")) {
+                response = await this.handleAreaSearch(request, requestEnv, userKeys, requestCtx);
             } else {
-                return this.handleNearbySearch(request, env, userGoogleKey);
+                response = await this.handleNearbySearch(request, requestEnv, userKeys, requestCtx);
             }
+
+            recordRequest(response.status);
+            ctx?.waitUntil?.(Promise.allSettled(tasks).then(() => Promise.all([
+                flushUsage(env, usage),
+                flushMetrics(env, WORKER_NAME)
+            ])));
+            return response;
         } catch (error) {
             console.error('Error in fetch:', error);
-            return new Response(JSON.stringify({
+            recordRequest(500);
+            return createErrorResponse(new URL(request.url), 500, {
                 error: "Internal Server Error",
                 message: error.message
-            }), { 
-                status: 500,
-                headers: {
-                    ...corsHeaders,
-                    "Content-Type": "application/json"
-                }
             });
         }
     },
 
-    async handlePlaceDetails(request, env, userGoogleKey) {
+    // Versioned routes (V1_ROUTES): validated params and createResponse envelopes
+    async handleV1(request, env, userKeys, ctx) {
         const url = new URL(request.url);
-        const placeId = url.searchParams.get("placeId");
-        const cacheKey = getDetailsCacheKey(placeId);
-        const noCache = url.searchParams.get("no-cache") === 'true';
-
-        // Check cache
-        if (!noCache) {
-            const cachedData = await env.PLACES_KV.getWithMetadata(cacheKey, { type: "json" });
-            if (cachedData?.value) {
-                console.log(`Cache HIT with key: ${cacheKey}`);
-                return new Response(JSON.stringify(cachedData.value), {
-                    headers: {
-                        ...corsHeaders,
-                        "Content-Type": "application/json",
-                        "Cache-Control": `public, max-age=${CACHE_DURATION.PRODUCTION.DETAILS}`,
-                        "X-Cache-Hit": "true",
-                        "X-Cache-Type": "places_details"
-                    }
-                });
+        const match = matchRoute(V1_ROUTES, request.method, url.pathname);
+        if (!match) {
+            return createV1Response({ message: `No route for ${url.pathname}` }, 404);
+        }
+        if (match.allowed) {
+            return createV1Response({ message: `${request.method} is not allowed on ${url.pathname}` }, 405, { "Allow": match.allowed.join(', ') });
+        }
+
+        const { params, validationErrors } = validateParams(url.searchParams, match.route.params);
+        if (validationErrors) {
+            return createV1Response({ message: "Invalid parameters", validationErrors }, 400);
+        }
+
+        try {
+            return await this[match.route.handler]({ request, url, params: { ...params, ...match.params }, env, userKeys, ctx });
+        } catch (error) {
+            console.error(`Error in ${match.route.path}:`, error);
+            return createV1Response({ message: error.message || "Unknown error" }, error.quota ? 429 : error.status || 500);
+        }
+    },
+
+    async handleV1Nearby({ request, params, env, userKeys, ctx }) {
+        let area = null;
+        if (request.method === 'POST' || params.polygon) {
+            const body = request.method === 'POST' ? await request.json().catch(() => null) : params.polygon;
+            const polygon = parsePolygon(body?.polygon || body);
+            if (!polygon) {
+                return createV1Response({ message: "Invalid parameters", validationErrors: { polygon: 'must be a GeoJSON Polygon' } }, 400);
+            }
+            area = { polygon, bounds: polygonBbox(polygon) };
+        } else if (params.bbox) {
+            const bbox = parseBbox(params.bbox);
+            if (!bbox) {
+                return createV1Response({ message: "Invalid parameters", validationErrors: { bbox: 'must be west,south,east,north' } }, 400);
+            }
+            area = { bbox, bounds: bbox };
+        } else if (params.lat === undefined || params.lng === undefined) {
+            const error = 'is required without bbox or polygon';
+            return createV1Response({ message: "Invalid parameters", validationErrors: { lat: error, lng: error } }, 400);
+        }
+
+        // Distances default to the search center
+        const center = area
+            ? { lat: (area.bounds.south + area.bounds.north) / 2, lng: (area.bounds.west + area.bounds.east) / 2 }
+            : { lat: params.lat, lng: params.lng };
+        const { filters, validationErrors } = buildQueryFilters(params, center);
+        if (validationErrors) {
+            return createV1Response({ message: "Invalid parameters", validationErrors }, 400);
+        }
+
+        const search = { ...getSearchOptions(request, env, userKeys, ctx), keywords: params.keyword };
+        let result, metadata;
+        if (area) {
+            const tiles = coverBbox(area.bounds);
+            if (tiles.length > MAX_AREA_TILES) {
+                return createV1Response({ message: "Area too large" }, 400);
+            }
+            result = await findInArea({ ...area, tiles, maxResults: params.maxResults }, search, filters);
+            metadata = { bbox: area.bounds, tiles: result.tiles, cachedTiles: result.cachedTiles };
+        } else {
+            const radius = Math.max(GRID.MIN_RADIUS, params.radius);
+            const tiles = coverCircle(params.lat, params.lng, radius);
+            if (tiles.length > MAX_TILES) {
+                return createV1Response({ message: "Radius too large" }, 400);
             }
+            result = await findNearby({ lat: params.lat, lng: params.lng, radius, tiles, maxResults: params.maxResults }, search, filters);
+            metadata = { lat: params.lat, lng: params.lng, radius, pages: result.pages, hasMore: result.hasMore, tiles: result.tiles, cachedTiles: result.cachedTiles };
+        }
+
+        const headers = {
+            "Cache-Control": `public, max-age=${search.cacheDuration.BROWSER}, stale-while-revalidate=${search.cacheDuration.KV}`,
+            ...cacheHeaders(result.cached),
+            "X-Cache-Hit": String(Boolean(result.cached))
+        };
+        if (params.format === 'geojson') {
+            return createGeoJSONResponse(result.places, headers);
+        }
+        return createV1Response({
+            nearbyPlaces: result.places,
+            metadata: {
+                ...metadata,
+                totalResults: result.places.length,
+                cacheHit: Boolean(result.cached),
+                provider: result.provider || null
+            }
+        }, 200, headers);
+    },
+
+    async handleV1PlaceDetails({ request, params, env, userKeys, ctx }) {
+        const search = getSearchOptions(request, env, userKeys, ctx);
+        const details = await getPlaceDetails(params.id, search);
+        if (!details?.place) {
+            return createV1Response({ message: `No place found for ${params.id}` }, 404);
+        }
+
+        const place = updateOpenNow(details.place);
+        const headers = {
+            "Cache-Control": `public, max-age=${search.cacheDuration.DETAILS_SOFT}, stale-while-revalidate=${search.cacheDuration.DETAILS}`,
+            ...cacheHeaders(details.cached),
+            "X-Cache-Hit": String(Boolean(details.cached))
+        };
+        if (params.format === 'geojson') {
+            return createGeoJSONResponse([place], headers);
+        }
+        return createV1Response({
+            placeDetails: place,
+            provider: details.provider || null,
+            cacheHit: Boolean(details.cached)
+        }, 200, headers);
+    },
+
+    async handleV1TextSearch({ request, params, env, userKeys, ctx }) {
+        const { location, validationErrors } = getOptionalLocation(params);
+        if (validationErrors) {
+            return createV1Response({ message: "Invalid parameters", validationErrors }, 400);
+        }
+
+        const search = getSearchOptions(request, env, userKeys, ctx);
+        const result = await searchPlacesByText({
+            query: params.q,
+            lat: location?.lat,
+            lng: location?.lng,
+            radius: params.radius,
+            type: params.type
+        }, search);
+        const places = limitResults(withOpenStatus(result.places), params.maxResults);
+
+        return createV1Response({
+            searchResults: places,
+            metadata: {
+                query: params.q,
+                totalResults: places.length,
+                cacheHit: Boolean(result.cached),
+                provider: result.provider || null
+            }
+        }, 200, {
+            "Cache-Control": `public, max-age=${search.cacheDuration.BROWSER}`,
+            ...cacheHeaders(result.cached),
+            "X-Cache-Hit": String(Boolean(result.cached))
+        });
+    },
+
+    async handleV1Geocode({ params, env, ctx }) {
+        const { location, validationErrors } = getOptionalLocation(params);
+        if (validationErrors) {
+            return createV1Response({ message: "Invalid parameters", validationErrors }, 400);
+        }
+
+        const { results, cached } = await geocode({ query: params.q, proximity: location, provider: params.provider }, env, ctx);
+        return createV1Response({
+            geocodingResults: results,
+            provider: results[0]?.provider || null
+        }, 200, { ...cacheHeaders(cached), "X-Cache-Hit": String(Boolean(cached)) });
+    },
+
+    async handleV1ReverseGeocode({ params, env, ctx }) {
+        const { result, cached } = await reverseGeocode({ lat: params.lat, lng: params.lng, provider: params.provider }, env, ctx);
+        if (!result) {
+            return createV1Response({ message: "No reverse geocoding result" }, 404);
+        }
+        return createV1Response({
+            reverseGeocodingResults: result,
+            provider: result.provider
+        }, 200, { ...cacheHeaders(cached), "X-Cache-Hit": String(Boolean(cached)) });
+    },
+
+    async handleV1Autocomplete({ params, env, userKeys }) {
+        const validationErrors = {};
+        if (params.input.length < AUTOCOMPLETE.MIN_LENGTH) {
+            validationErrors.input = `must be at least ${AUTOCOMPLETE.MIN_LENGTH} characters`;
+        }
+        if (params.sessionToken !== undefined && !isValidSessionToken(params.sessionToken)) {
+            validationErrors.sessionToken = 'must be up to 36 URL-safe base64 characters';
+        }
+        const { location, validationErrors: locationErrors } = getOptionalLocation(params);
+        Object.assign(validationErrors, locationErrors);
+        if (Object.keys(validationErrors).length) {
+            return createV1Response({ message: "Invalid parameters", validationErrors }, 400);
+        }
+
+        const { suggestions, cached } = await getAutocompleteSuggestions({
+            input: params.input,
+            sessionToken: params.sessionToken,
+            location,
+            radius: params.radius,
+            types: [...params.types].sort()
+        }, env, { keys: userKeys });
+        return createV1Response({ suggestions }, 200, {
+            "Cache-Control": "private, max-age=60",
+            "X-Cache-Hit": String(cached)
+        });
+    },
+
+    // Selecting a suggestion: resolve it to a place and end the session
+    async handleV1AutocompletePlace({ params, env, userKeys }) {
+        if (params.sessionToken !== undefined && !isValidSessionToken(params.sessionToken)) {
+            return createV1Response({ message: "Invalid parameters", validationErrors: { sessionToken: 'must be up to 36 URL-safe base64 characters' } }, 400);
+        }
+
+        const { place, cached } = await getAutocompletePlace({ placeId: params.placeId, sessionToken: params.sessionToken }, env, { keys: userKeys });
+        if (!place) {
+            return createV1Response({ message: `No place found for ${params.placeId}` }, 404);
+        }
+        return createV1Response({ place }, 200, { "X-Cache-Hit": String(cached) });
+    },
+
+    async handleAutocomplete(request, env, userKeys) {
+        const url = new URL(request.url);
+        const responseHeaders = {
+            ...corsHeaders,
+            "Content-Type": "application/json",
+            "X-Cache-Type": "places_autocomplete"
+        };
+
+        // Selecting a suggestion: resolve it to a place and end the session
+        if (url.searchParams.has("placeId")) {
+            const sessionToken = url.searchParams.get("sessionToken");
+            if (sessionToken && !isValidSessionToken(sessionToken)) {
+                return new Response("Invalid sessionToken", { status: 400, headers: corsHeaders });
+            }
+            const { place, cached } = await getAutocompletePlace({
+                placeId: url.searchParams.get("placeId"), sessionToken
+            }, env, { keys: userKeys });
+            if (!place) {
+                return new Response("Place not found", { status: 404, headers: corsHeaders });
+            }
+            return new Response(JSON.stringify(place), {
+                headers: { ...responseHeaders, "X-Cache-Hit": String(cached) }
+            });
+        }
+
+        const { options, error } = parseAutocompleteParams(url.searchParams);
+        if (error) {
+            return new Response(error, { status: 400, headers: corsHeaders });
+        }
+
+        const { suggestions, cached } = await getAutocompleteSuggestions(options, env, { keys: userKeys });
+        return new Response(JSON.stringify({ suggestions }), {
+            headers: {
+                ...responseHeaders,
+                "Cache-Control": "private, max-age=60",
+                "X-Cache-Hit": String(cached)
+            }
+        });
+    },
+
+    async handlePhoto(request, env, userKeys) {
+        const url = new URL(request.url);
+        let ref;
+        try {
+            ref = decodeURIComponent(url.pathname.slice("/photo/".length));
+        } catch (error) {
+            ref = null;
+        }
+        if (!isValidPhotoRef(ref)) {
+            return new Response("Invalid photo reference", { status: 400, headers: corsHeaders });
+        }
+
+        const photo = await getPlacePhoto({ ref, width: url.searchParams.get("w") }, env, { keys: userKeys });
+        if (!photo) {
+            return new Response("Photo not found", { status: 404, headers: corsHeaders });
         }
+        return new Response(photo.bytes, {
+            headers: {
+                ...corsHeaders,
+                "Content-Type": photo.contentType,
+                "Cache-Control": `public, max-age=${PHOTO_TTL.BROWSER}, immutable`,
+                "X-Cache-Hit": String(photo.cached),
+                "X-Cache-Type": "places_photo",
+                "X-Photo-Width": String(photo.width)
+            }
+        });
+    },
 
-        console.log(`Cache MISS with key: ${cacheKey}`);
+    async handleGeocode(request, env, ctx) {
+        const url = new URL(request.url);
+        const provider = url.searchParams.get("provider");
+        const lat = parseFloat(url.searchParams.get("lat"));
+        const lng = parseFloat(url.searchParams.get("lng"));
+        const hasLocation = !isNaN(lat) && !isNaN(lng);
 
+        let body, cached;
         try {
-            const data = await placeDetails(placeId, userGoogleKey || env.GOOGLE_PLACES_API_KEY);
+            if (url.pathname.endsWith("/reverse-geocode")) {
+                if (!hasLocation) {
+                    return new Response("Invalid latitude or longitude", { status: 400, headers: corsHeaders });
+                }
+                ({ result: body, cached } = await reverseGeocode({ lat, lng, provider }, env, ctx));
+                if (!body) {
+                    return new Response("No reverse geocoding result", { status: 404, headers: corsHeaders });
+                }
+            } else {
+                const query = url.searchParams.get("q");
+                if (!query?.trim()) {
+                    return new Response("Missing q", { status: 400, headers: corsHeaders });
+                }
+                ({ results: body, cached } = await geocode({ query, proximity: hasLocation ? { lat, lng } : null, provider }, env, ctx));
+            }
+        } catch (error) {
+            // No geocoder configured
+            if (error.status !== 503) throw error;
+            return new Response(error.message, { status: 503, headers: corsHeaders });
+        }
+
+        return new Response(JSON.stringify(body), {
+            headers: {
+                ...corsHeaders,
+                "Content-Type": "application/json",
+                "X-Cache-Type": "geocoding",
+                "X-Cache-Hit": String(Boolean(cached)),
+                ...cacheHeaders(cached)
+            }
+        });
+    },
+
+    async handleCrosswalk(request, env) {
+        const url = new URL(request.url);
+        const jsonHeaders = { ...corsHeaders, "Content-Type": "application/json" };
+
+        // Link a batch of places (canonical or provider records, e.g. Barzo venues)
+        if (request.method === 'POST') {
+            const body = await request.json().catch(() => null);
+            const places = normalizePlaces(Array.isArray(body) ? body : body?.places);
+            if (!places.length || places.length > CROSSWALK_MAX_BATCH) {
+                return new Response(`Expected 1 to ${CROSSWALK_MAX_BATCH} places`, { status: 400, headers: corsHeaders });
+            }
+            const venues = await reconcilePlaces(places, env);
+            return new Response(JSON.stringify(places.map((place, i) => ({
+                id: place.id,
+                provider: place.provider,
+                venueId: venues[i]?.venueId || null
+            }))), { headers: jsonHeaders });
+        }
 
-            if (data) {
-                await env.PLACES_KV.put(cacheKey, JSON.stringify(data), {
-                    expirationTtl: CACHE_DURATION.PRODUCTION.DETAILS,
-                    metadata: { timestamp: Date.now() }
+        const id = url.searchParams.get("id");
+        const venue = id ? await resolveVenue(id, env) : null;
+        if (!venue) {
+            return new Response(JSON.stringify({ error: "Unknown id" }), { status: 404, headers: jsonHeaders });
+        }
+        return new Response(JSON.stringify(venue), { headers: jsonHeaders });
+    },
+
+    async handlePlaceDetails(request, env, userKeys, ctx) {
+        const url = new URL(request.url);
+        const requestedId = url.searchParams.get("placeId");
+        const cacheDuration = getCacheDuration(request);
+
+        const responseHeaders = {
+            ...corsHeaders,
+            "Content-Type": "application/json",
+            "Cache-Control": `public, max-age=${cacheDuration.DETAILS_SOFT}, stale-while-revalidate=${cacheDuration.DETAILS}`,
+            "X-Cache-Type": "places_details"
+        };
+
+        try {
+            const details = await getPlaceDetails(requestedId, getSearchOptions(request, env, userKeys, ctx));
+            if (!details) {
+                return new Response(JSON.stringify({
+                    error: "Unknown place id",
+                    message: `No provider place is linked to ${requestedId}`
+                }), {
+                    status: 404,
+                    headers: {
+                        ...corsHeaders,
+                        "Content-Type": "application/json"
+                    }
                 });
             }
 
-            return new Response(JSON.stringify(data), {
+            const { body, contentType } = formatPlace(url, updateOpenNow(details.place));
+            return new Response(body, {
                 headers: {
-                    ...corsHeaders,
-                    "Content-Type": "application/json",
-                    "Cache-Control": `public, max-age=${CACHE_DURATION.PRODUCTION.DETAILS}`,
-                    "X-Cache-Hit": "false",
-                    "X-Cache-Type": "places_details"
+                    ...responseHeaders,
+                    "Content-Type": contentType,
+                    ...cacheHeaders(details.cached),
+                    "X-Cache-Hit": String(Boolean(details.cached)),
+                    ...(details.cached ? {} : { "X-Places-Provider": details.provider })
                 }
             });
         } catch (error) {
             return new Response(JSON.stringify({
                 error: "Failed to fetch place details",
-                message: error.message
+                message: error.message,
+                providerErrors: error.providerErrors
             }), { 
-                status: 500,
+                status: error.quota ? 429 : 500,
                 headers: {
                     ...corsHeaders,
                     "Content-Type": "application/json"
@@ -320,12 +1067,12 @@ export default {
         }
     },
 
-    async handleNearbySearch(request, env, userGoogleKey) {
+    async handleNearbySearch(request, env, userKeys, ctx) {
         const url = new URL(request.url);
         const lat = parseFloat(url.searchParams.get("lat"));
         const lng = parseFloat(url.searchParams.get("lng"));
-        const radius = Math.max(GRID.MIN_RADIUS, parseInt(url.searchParams.get("radius") || "500"));
-        const type = url.searchParams.get("type") || "restaurant";
+        const radius = Math.min(GRID.MAX_RADIUS, Math.max(GRID.MIN_RADIUS, parseInt(url.searchParams.get("radius") || "500")));
+        const maxResults = parseInt(url.searchParams.get("maxResults")) || null;
         
         if (isNaN(lat) || isNaN(lng)) {
             return new Response("Invalid latitude or longitude", { 
@@ -334,75 +1081,130 @@ export default {
             });
         }
 
-        const cacheKey = getNearbySearchCacheKey(
-            lat, 
-            lng, 
-            radius, 
-            type,
-            url.searchParams.getAll("keyword")
-        );
-        
-        const isDevelopment = request.url.includes('localhost') || request.url.includes('127.0.0.1');
-        const cacheDuration = isDevelopment ? CACHE_DURATION.DEVELOPMENT : CACHE_DURATION.PRODUCTION;
-        const noCache = url.searchParams.get("no-cache") === 'true';
+        // Near the poles even a clamped radius can need more tiles than a circle is allowed
+        const tiles = coverCircle(lat, lng, radius);
+        if (tiles.length > MAX_TILES) {
+            return new Response("Radius too large", { status: 400, headers: corsHeaders });
+        }
+
+        const { filters, error: filterError } = parseQueryFilters(url.searchParams, { lat, lng });
+        if (filterError) {
+            return new Response(filterError, { status: 400, headers: corsHeaders });
+        }
+
+        const cacheDuration = getCacheDuration(request);
+        const search = getSearchOptions(request, env, userKeys, ctx);
+        // Category searches span several cache entries per tile, so only plain searches report a tile key
+        const cacheKey = search.category
+            ? `category:${search.category.id}`
+            : getTileCacheKey(tiles[0], getProviderChain(search.provider, env)[0].name, search.type, search.keywords);
 
         // Common headers to use for both cache hit and miss
         const responseHeaders = {
             ...corsHeaders,
             "Content-Type": "application/json",
-            "Cache-Control": `public, max-age=${cacheDuration.BROWSER}`,
+            "Cache-Control": `public, max-age=${cacheDuration.BROWSER}, stale-while-revalidate=${cacheDuration.KV}`,
             "X-Cache-Key": cacheKey
         };
 
-        // Check cache
-        if (!noCache) {
-            try {
-                let cachedData = await env.PLACES_KV.getWithMetadata(cacheKey, { type: "json" });
-                if (cachedData?.value) {
-                    console.log(`Cache HIT with key: ${cacheKey}`);
-                    return new Response(JSON.stringify(cachedData.value), {
-                        headers: { 
-                            ...responseHeaders,
-                            "X-Cache-Hit": "true",
-                            "X-Cache-Type": "places_nearby"
-                        },
-                    });
+        try {
+            const nearby = await findNearby({ lat, lng, radius, tiles, maxResults }, search, filters);
+
+            const { body, contentType } = formatPlaces(url, nearby.places);
+            return new Response(body, {
+                headers: {
+                    ...responseHeaders,
+                    "Content-Type": contentType,
+                    ...cacheHeaders(nearby.cached),
+                    "X-Cache-Hit": String(Boolean(nearby.cached)),
+                    ...(nearby.cached ? { "X-Cache-Type": "places_nearby" } : { "X-Places-Provider": nearby.provider }),
+                    "X-Nearby-Pages": String(nearby.pages),
+                    "X-Nearby-Has-More": String(nearby.hasMore),
+                    "X-Area-Tiles": String(nearby.tiles),
+                    "X-Area-Tiles-Cached": String(nearby.cachedTiles)
                 }
-            } catch (error) {
-                // Silent fail on cache errors
-            }
+            });
+        } catch (error) {
+            return new Response(JSON.stringify({
+                error: "Failed to fetch nearby places",
+                message: error.message,
+                providerErrors: error.providerErrors
+            }), { 
+                status: error.quota ? 429 : 500,
+                headers: responseHeaders
+            });
         }
+    },
 
-        console.log(`Cache MISS with key: ${cacheKey}`);
-        try {
-            const data = await nearbySearch({
-                lat,
-                lng,
-                radius,
-                type,
-                apiKey: userGoogleKey || env.GOOGLE_PLACES_API_KEY,
-                keywords: url.searchParams.getAll("keyword")
-            });
+    // Nearby search over a bbox or GeoJSON polygon, over the same cached tiles as circle searches
+    async handleAreaSearch(request, env, userKeys, ctx) {
+        const url = new URL(request.url);
+        let polygon = null;
+        let bbox = null;
 
-            if (data?.length > 0) {
-                await env.PLACES_KV.put(cacheKey, JSON.stringify(data), { 
-                    expirationTtl: cacheDuration.KV,
-                    metadata: { timestamp: Date.now() }
-                });
+        if (request.method === 'POST') {
+            const body = await request.json().catch(() => null);
+            polygon = parsePolygon(body?.polygon || body);
+            if (!polygon) {
+                return new Response("Invalid GeoJSON polygon", { status: 400, headers: corsHeaders });
+            }
+        } else if (url.searchParams.has("polygon")) {
+            polygon = parsePolygon(url.searchParams.get("polygon"));
+            if (!polygon) {
+                return new Response("Invalid GeoJSON polygon", { status: 400, headers: corsHeaders });
+            }
+        } else {
+            bbox = parseBbox(url.searchParams.get("bbox"));
+            if (!bbox) {
+                return new Response("Invalid bbox, expected west,south,east,north", { status: 400, headers: corsHeaders });
             }
+        }
+
+        const bounds = polygon ? polygonBbox(polygon) : bbox;
+        const tiles = coverBbox(bounds);
+        if (tiles.length > MAX_AREA_TILES) {
+            return new Response("Area too large", { status: 400, headers: corsHeaders });
+        }
+
+        // Distances default to the center of the area
+        const center = { lat: (bounds.south + bounds.north) / 2, lng: (bounds.west + bounds.east) / 2 };
+        const { filters, error: filterError } = parseQueryFilters(url.searchParams, center);
+        if (filterError) {
+            return new Response(filterError, { status: 400, headers: corsHeaders });
+        }
 
-            return new Response(JSON.stringify(data), {
+        const maxResults = parseInt(url.searchParams.get("maxResults")) || null;
+        const cacheDuration = getCacheDuration(request);
+        const search = getSearchOptions(request, env, userKeys, ctx);
+
+        const responseHeaders = {
+            ...corsHeaders,
+            "Content-Type": "application/json",
+            "Cache-Control": `public, max-age=${cacheDuration.BROWSER}, stale-while-revalidate=${cacheDuration.KV}`
+        };
+
+        try {
+            const area = await findInArea({ bbox, polygon, tiles, maxResults }, search, filters);
+
+            const { body, contentType } = formatPlaces(url, area.places);
+            return new Response(body, {
                 headers: {
                     ...responseHeaders,
-                    "X-Cache-Hit": "false"
+                    "Content-Type": contentType,
+                    ...cacheHeaders(area.cached),
+                    "X-Cache-Hit": String(Boolean(area.cached)),
+                    "X-Cache-Type": "places_area",
+                    "X-Area-Tiles": String(area.tiles),
+                    "X-Area-Tiles-Cached": String(area.cachedTiles)
                 }
             });
         } catch (error) {
             return new Response(JSON.stringify({
                 error: "Failed to fetch nearby places",
-                message: error.message
+                message: error.message,
+                providerErrors: error.providerErrors
             }), { 
-                status: 500,
+                status: error.quota ? 429 : 500,
                 headers: responseHeaders
             });
         }
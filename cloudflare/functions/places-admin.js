@@ -0,0 +1,226 @@
+/**
+ * Admin Cache API
+ *
+ * Inspect and purge PLACES_KV entries without bumping API_VERSION. Mounted by
+ * the places workers under /admin/cache. Both workers share the namespace, so
+ * listing, stats and key / prefix purges see every entry from either worker;
+ * place id and bbox purges cover the keys of the worker that handles them
+ * (see the keyspace each worker passes in).
+ *
+ * Auth: X-Admin-Key must equal env.ADMIN_API_KEY. Without ADMIN_API_KEY set the
+ * API is disabled (404).
+ *
+ * Routes:
+ * - GET    /admin/cache/keys?prefix=&cursor=&limit=
+ *          Keys with their type, write time (metadata timestamp) and expiry
+ * - GET    /admin/cache/stats?prefix=
+ *          Number of keys per key type (see getKeyType)
+ * - DELETE /admin/cache?key={exact key}
+ * - DELETE /admin/cache?prefix={key prefix}&cursor=
+ * - DELETE /admin/cache?placeId={id}          Details at every detail level / profile
+ * - DELETE /admin/cache?bbox={w},{s},{e},{n}&cursor=
+ *          Nearby search tiles centered inside the bbox
+ *
+ * Purges only touch cache entries, whose key type is in PURGEABLE_TYPES. The rest
+ * of the namespace (the venue crosswalk, usage and metrics counters, provider
+ * recordings and fixtures) is listed but never deleted: a key or prefix of any
+ * other type is a 400, and a prefix scan skips keys of other types.
+ *
+ * Scans stop after ADMIN.MAX_SCAN_PAGES list pages; the response then carries
+ * `complete: false` and a `cursor` to continue from.
+ *
+ * Keyspace (per worker):
+ * {
+ *   placeKeys(placeId): [key],          // Every cache key for a place
+ *   nearbyPrefix: 'v1.1.0:tile:',       // Prefix of the worker's nearby search keys
+ *   nearbyLocation(key): { lat, lng }   // Center of a nearby key's tile, or null
+ * }
+ */
+
+import { parseBbox, pointInBbox } from './places-geo.js';
+
+const ADMIN = {
+    LIST_LIMIT: 1000,       // KV list page size (KV maximum)
+    MAX_SCAN_PAGES: 20,     // List pages per request
+    DELETE_CONCURRENCY: 10
+};
+
+// Key types (see getKeyType) that are derived from upstream data and safe to drop
+const PURGEABLE_TYPES = [
+    'tile', 'nearby', 'radar', 'search',    // Nearby and text searches
+    'details', 'place', 'hydrate',          // Place details and pending hydration marks
+    'autocomplete', 'autocomplete-place',
+    'geocode', 'reverse',
+    'photo'
+];
+
+const jsonHeaders = { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' };
+
+function json(data, status = 200) {
+    return new Response(JSON.stringify(data), { status, headers: jsonHeaders });
+}
+
+// Compare without exiting early, so response time doesn't leak how much of the key matched
+function safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+}
+
+/**
+ * Key type: the first segment after the version prefix ('v1.1.0:nearby:...' -> 'nearby').
+ * Field-hash segments are skipped ('v2.0.5:Fields-abc:place:...' -> 'place').
+ */
+function getKeyType(name) {
+    const segments = name.split(':').filter(segment => !/^v\d+(\.\d+)*$/.test(segment) && !segment.startsWith('Fields-'));
+    return segments[0] === 'xw' ? `xw:${segments[1]}` : segments[0] || 'unknown';
+}
+
+function isPurgeable(name) {
+    return PURGEABLE_TYPES.includes(getKeyType(name));
+}
+
+const notPurgeable = () => json({ error: `Only cache entries can be purged (key types: ${PURGEABLE_TYPES.join(', ')})` }, 400);
+
+function describeKey(key) {
+    const timestamp = Number(key.metadata?.timestamp) || null;
+    return {
+        name: key.name,
+        type: getKeyType(key.name),
+        writtenAt: timestamp ? new Date(timestamp).toISOString() : null,
+        expiresAt: key.expiration ? new Date(key.expiration * 1000).toISOString() : null,
+        metadata: key.metadata || null
+    };
+}
+
+// Walk list pages from `cursor`, calling onKeys for each page, for at most MAX_SCAN_PAGES pages
+async function scanKeys(kv, { prefix, cursor }, onKeys) {
+    for (let page = 0; page < ADMIN.MAX_SCAN_PAGES; page++) {
+        const result = await kv.list({ prefix: prefix || undefined, cursor: cursor || undefined, limit: ADMIN.LIST_LIMIT });
+        await onKeys(result.keys);
+        if (result.list_complete) return { complete: true, cursor: null };
+        cursor = result.cursor;
+    }
+    return { complete: false, cursor };
+}
+
+async function deleteKeys(kv, names) {
+    names = names.filter(isPurgeable);
+    for (let i = 0; i < names.length; i += ADMIN.DELETE_CONCURRENCY) {
+        await Promise.all(names.slice(i, i + ADMIN.DELETE_CONCURRENCY).map(name => kv.delete(name)));
+    }
+    console.log(`Admin purge: deleted ${names.length} keys`);
+    return names.length;
+}
+
+async function listKeys(kv, searchParams) {
+    const limit = Math.min(parseInt(searchParams.get('limit')) || 100, ADMIN.LIST_LIMIT);
+    const result = await kv.list({
+        prefix: searchParams.get('prefix') || undefined,
+        cursor: searchParams.get('cursor') || undefined,
+        limit
+    });
+    return json({
+        keys: result.keys.map(describeKey),
+        complete: result.list_complete,
+        cursor: result.list_complete ? null : result.cursor
+    });
+}
+
+async function keyStats(kv, searchParams) {
+    const types = {};
+    let total = 0;
+    const scan = await scanKeys(kv, { prefix: searchParams.get('prefix'), cursor: searchParams.get('cursor') }, keys => {
+        for (const key of keys) {
+            const type = getKeyType(key.name);
+            types[type] = (types[type] || 0) + 1;
+        }
+        total += keys.length;
+    });
+    return json({ total, types, ...scan });
+}
+
+async function purge(kv, searchParams, keyspace) {
+    if (searchParams.has('key')) {
+        const key = searchParams.get('key');
+        if (!isPurgeable(key)) return notPurgeable();
+        const existed = (await kv.get(key)) !== null;
+        if (existed) await deleteKeys(kv, [key]);
+        return json({ deleted: existed ? 1 : 0, keys: existed ? [key] : [] });
+    }
+
+    if (searchParams.has('placeId')) {
+        const candidates = keyspace.placeKeys(searchParams.get('placeId'));
+        const existing = (await Promise.all(candidates.map(async key => (await kv.get(key)) !== null ? key : null))).filter(Boolean);
+        return json({ deleted: await deleteKeys(kv, existing), keys: existing });
+    }
+
+    if (searchParams.has('prefix')) {
+        const prefix = searchParams.get('prefix');
+        // Refuse to wipe everything by accident; an exact empty prefix would match every key
+        if (!prefix) return json({ error: 'prefix must not be empty' }, 400);
+        // The prefix has to name a cache key type, e.g. 'v1.0.0:photo' but not 'v1.0.0'
+        if (!isPurgeable(prefix)) return notPurgeable();
+
+        let deleted = 0;
+        const scan = await scanKeys(kv, { prefix, cursor: searchParams.get('cursor') }, async keys => {
+            deleted += await deleteKeys(kv, keys.map(key => key.name));
+        });
+        return json({ deleted, ...scan });
+    }
+
+    if (searchParams.has('bbox')) {
+        const bbox = parseBbox(searchParams.get('bbox'));
+        if (!bbox) return json({ error: 'bbox must be west,south,east,north' }, 400);
+
+        let deleted = 0;
+        const scan = await scanKeys(kv, { prefix: keyspace.nearbyPrefix, cursor: searchParams.get('cursor') }, async keys => {
+            const inside = keys.map(key => key.name).filter(name => {
+                const location = keyspace.nearbyLocation(name);
+                return location && pointInBbox(location.lat, location.lng, bbox);
+            });
+            deleted += await deleteKeys(kv, inside);
+        });
+        return json({ deleted, ...scan });
+    }
+
+    return json({ error: 'Expected key, prefix, placeId or bbox' }, 400);
+}
+
+/**
+ * Error response for a request without a valid X-Admin-Key, or null if it may proceed.
+ * Also used by /metrics (see places-metrics.js).
+ */
+function authorizeAdmin(request, env) {
+    if (!env.ADMIN_API_KEY) return json({ error: 'Not found' }, 404);
+    if (!safeEqual(request.headers.get('X-Admin-Key'), env.ADMIN_API_KEY)) {
+        return json({ error: 'Unauthorized' }, 403);
+    }
+    return null;
+}
+
+/**
+ * Handle an /admin/cache request, or return null if the path isn't an admin route
+ */
+async function handleAdminRequest(request, env, keyspace) {
+    const url = new URL(request.url);
+    if (!url.pathname.startsWith('/admin/cache')) return null;
+    const denied = authorizeAdmin(request, env);
+    if (denied) return denied;
+
+    const route = `${request.method} ${url.pathname.replace(/\/$/, '')}`;
+    switch (route) {
+        case 'GET /admin/cache/keys': return listKeys(env.PLACES_KV, url.searchParams);
+        case 'GET /admin/cache/stats': return keyStats(env.PLACES_KV, url.searchParams);
+        case 'DELETE /admin/cache': return purge(env.PLACES_KV, url.searchParams, keyspace);
+        default: return json({ error: 'Not found' }, 404);
+    }
+}
+
+export {
+    PURGEABLE_TYPES,
+    getKeyType,
+    authorizeAdmin,
+    handleAdminRequest
+};
@@ -0,0 +1,216 @@
+/**
+ * Place Autocomplete
+ *
+ * Proxies Google Places Autocomplete (New) so the browser never needs the Google
+ * key or the Maps JS library.
+ *
+ * Sessions:
+ * - The client creates a session token (e.g. crypto.randomUUID()) when the user
+ *   starts typing and sends it with every keystroke
+ * - Selecting a suggestion calls getAutocompletePlace with the same token, which
+ *   ends the session with a Place Details (New) request - Google bills the whole
+ *   session as one lookup
+ * - Start a new token after a selection
+ *
+ * Caching:
+ * - Suggestions are cached in KV per normalized input, bias cell (the map center
+ *   rounded to BIAS_PRECISION decimals) and types, so short prefixes typed by many
+ *   users in the same area are answered without an upstream call
+ * - Selected places are cached per place id
+ * - Keys hold what the user typed, so lookups are never logged; hits and misses
+ *   are counted per key type by places-metrics.js
+ *
+ * Suggestion shape:
+ *   { type: 'place' | 'query', placeId, text, mainText, secondaryText, types, distanceMeters }
+ * placeId is null for query suggestions (search terms rather than places).
+ */
+
+import { readCache, writeCache, coalesce } from './places-cache.js';
+import { upstreamFetch } from './places-upstream.js';
+import { normalizePlace } from '../../public/src/utils/placeModel.js';
+
+const API_VERSION = 'v1.0.0';
+
+const AUTOCOMPLETE = {
+    MIN_LENGTH: 2,
+    MAX_LENGTH: 100,
+    BIAS_RADIUS: 5000,          // Meters around the map center, default
+    MAX_BIAS_RADIUS: 50000,     // Google's limit for a circle bias
+    BIAS_PRECISION: 2,          // ~1km cells for the cache key
+    REGION_CODES: ['us']
+};
+
+const AUTOCOMPLETE_TTL = {
+    SUGGESTIONS: 86400,         // 1 day
+    PLACE: 604800               // 1 week
+};
+
+// Fields needed to move the map to a selected suggestion
+const PLACE_FIELDS = ['id', 'displayName', 'location', 'formattedAddress', 'shortFormattedAddress', 'addressComponents', 'types', 'primaryType'];
+
+// Google accepts URL-safe base64 tokens of at most 36 characters
+const SESSION_TOKEN_PATTERN = /^[A-Za-z0-9_-]{1,36}$/;
+
+function isValidSessionToken(token) {
+    return SESSION_TOKEN_PATTERN.test(token || '');
+}
+
+function normalizeInput(input) {
+    return String(input || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function getSuggestionsCacheKey({ input, location, radius, types }) {
+    const bias = location
+        ? `${location.lat.toFixed(AUTOCOMPLETE.BIAS_PRECISION)},${location.lng.toFixed(AUTOCOMPLETE.BIAS_PRECISION)}:${radius}`
+        : 'none';
+    return `${API_VERSION}:autocomplete:${bias}:types=${types.join(',')}:${encodeURIComponent(normalizeInput(input))}`;
+}
+
+function getPlaceCacheKey(placeId) {
+    return `${API_VERSION}:autocomplete-place:${placeId}`;
+}
+
+function toSuggestion(suggestion) {
+    const place = suggestion.placePrediction;
+    if (place) {
+        return {
+            type: 'place',
+            placeId: place.placeId,
+            text: place.text?.text || '',
+            mainText: place.structuredFormat?.mainText?.text || place.text?.text || '',
+            secondaryText: place.structuredFormat?.secondaryText?.text || '',
+            types: place.types || [],
+            distanceMeters: place.distanceMeters ?? null
+        };
+    }
+
+    const query = suggestion.queryPrediction;
+    return {
+        type: 'query',
+        placeId: null,
+        text: query?.text?.text || '',
+        mainText: query?.structuredFormat?.mainText?.text || query?.text?.text || '',
+        secondaryText: query?.structuredFormat?.secondaryText?.text || '',
+        types: [],
+        distanceMeters: null
+    };
+}
+
+async function googleAutocomplete({ input, sessionToken, location, radius, types }, env, apiKey) {
+    const body = {
+        input,
+        includedRegionCodes: AUTOCOMPLETE.REGION_CODES
+    };
+    if (sessionToken) body.sessionToken = sessionToken;
+    if (types.length) body.includedPrimaryTypes = types;
+    if (location) {
+        body.locationBias = { circle: { center: { latitude: location.lat, longitude: location.lng }, radius } };
+        body.origin = { latitude: location.lat, longitude: location.lng };
+    }
+
+    env.usage?.record('google', 'autocomplete');
+    const response = await upstreamFetch(env, 'https://places.googleapis.com/v1/places:autocomplete', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Goog-Api-Key': apiKey
+        },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(`Autocomplete failed: ${data.error?.message || response.status}`);
+    }
+    return (data.suggestions || []).map(toSuggestion).filter(suggestion => suggestion.text);
+}
+
+/**
+ * Read autocomplete options from the query string.
+ * Returns { options } or { error } for an invalid parameter.
+ */
+function parseAutocompleteParams(searchParams) {
+    const input = (searchParams.get('input') || '').trim();
+    if (input.length < AUTOCOMPLETE.MIN_LENGTH || input.length > AUTOCOMPLETE.MAX_LENGTH) {
+        return { error: `input must be ${AUTOCOMPLETE.MIN_LENGTH} to ${AUTOCOMPLETE.MAX_LENGTH} characters` };
+    }
+
+    const sessionToken = searchParams.get('sessionToken');
+    if (sessionToken && !isValidSessionToken(sessionToken)) {
+        return { error: 'sessionToken must be up to 36 URL-safe base64 characters' };
+    }
+
+    let location = null;
+    if (searchParams.has('lat') || searchParams.has('lng')) {
+        const lat = parseFloat(searchParams.get('lat'));
+        const lng = parseFloat(searchParams.get('lng'));
+        if (isNaN(lat) || isNaN(lng)) {
+            return { error: 'lat and lng must be valid numbers' };
+        }
+        location = { lat, lng };
+    }
+
+    const radius = Math.min(parseFloat(searchParams.get('radius')) || AUTOCOMPLETE.BIAS_RADIUS, AUTOCOMPLETE.MAX_BIAS_RADIUS);
+    const types = (searchParams.get('types') || '').split(',').map(type => type.trim()).filter(Boolean).sort();
+
+    return { options: { input, sessionToken, location, radius, types } };
+}
+
+/**
+ * Suggestions for `input`, from KV or Google. Returns { suggestions, cached }.
+ */
+async function getAutocompleteSuggestions(options, env, { keys } = {}) {
+    const cacheKey = getSuggestionsCacheKey(options);
+
+    const cached = await readCache(env.PLACES_KV, cacheKey);
+    if (cached?.value) {
+        return { suggestions: cached.value, cached: true };
+    }
+
+    const suggestions = await coalesce(cacheKey, async () => {
+        const result = await googleAutocomplete(options, env, keys?.google || env.GOOGLE_PLACES_API_KEY);
+        await writeCache(env.PLACES_KV, cacheKey, result, { hardTtl: AUTOCOMPLETE_TTL.SUGGESTIONS });
+        return result;
+    });
+    return { suggestions, cached: false };
+}
+
+/**
+ * The place behind a selected suggestion, as a canonical place. Ends the
+ * autocomplete session when it has to ask Google. Returns { place, cached }.
+ */
+async function getAutocompletePlace({ placeId, sessionToken }, env, { keys } = {}) {
+    const cacheKey = getPlaceCacheKey(placeId);
+
+    const cached = await readCache(env.PLACES_KV, cacheKey);
+    if (cached?.value) {
+        return { place: normalizePlace(cached.value), cached: true };
+    }
+
+    const raw = await coalesce(cacheKey, async () => {
+        const url = new URL(`https://places.googleapis.com/v1/places/${encodeURIComponent(placeId)}`);
+        if (sessionToken) url.searchParams.set('sessionToken', sessionToken);
+
+        env.usage?.record('google', 'place_details');
+        const response = await upstreamFetch(env, url, {
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Goog-Api-Key': keys?.google || env.GOOGLE_PLACES_API_KEY,
+                'X-Goog-FieldMask': PLACE_FIELDS.join(',')
+            }
+        });
+        const data = await response.json();
+        if (!data?.id) return null;
+
+        await writeCache(env.PLACES_KV, cacheKey, data, { hardTtl: AUTOCOMPLETE_TTL.PLACE });
+        return data;
+    });
+    return { place: raw ? normalizePlace(raw) : null, cached: false };
+}
+
+export {
+    AUTOCOMPLETE,
+    isValidSessionToken,
+    parseAutocompleteParams,
+    getAutocompleteSuggestions,
+    getAutocompletePlace
+};
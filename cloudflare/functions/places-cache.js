@@ -0,0 +1,122 @@
+/**
+ * Stale-While-Revalidate KV Cache
+ *
+ * Entries carry their write time in KV metadata ({ timestamp }) and are judged
+ * against two TTLs:
+ * - soft TTL: after this the entry is stale. It is still served right away,
+ *   but a refresh is scheduled in the background with ctx.waitUntil
+ * - hard TTL: KV expirationTtl, after which the entry is gone and the request
+ *   blocks on the upstream call
+ *
+ * Response headers:
+ * - X-Cache-Age: Seconds since the served entry was written
+ * - X-Cache-Stale: 'true' if the entry was past its soft TTL
+ *
+ * Request coalescing:
+ * - coalesce(key, fn) shares one in-flight upstream fetch between every
+ *   concurrent miss for the same cache key within an isolate
+ * - Waiters that outlive COALESCE_TIMEOUT_MS stop waiting and fetch for
+ *   themselves, so a stuck leader request cannot hang its followers
+ */
+
+import { recordCacheLookup } from './places-metrics.js';
+
+const CACHE_HEADERS = {
+    AGE: 'X-Cache-Age',
+    STALE: 'X-Cache-Stale'
+};
+
+const COALESCE_TIMEOUT_MS = 10000;
+
+// Cache key -> promise of the upstream fetch currently running for it
+const inFlight = new Map();
+
+function coalesce(key, fn) {
+    const pending = inFlight.get(key);
+    if (pending) {
+        console.log(`Coalesced request for key: ${key}`);
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), COALESCE_TIMEOUT_MS);
+        });
+        return Promise.race([pending.then(result => ({ result })), timeout])
+            .finally(() => clearTimeout(timer))
+            .then(settled => settled ? settled.result : fn());
+    }
+
+    const promise = Promise.resolve()
+        .then(fn)
+        .finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+}
+
+// Read an entry and work out how old it is. Returns null on miss or read error.
+// Every lookup is counted as a hit, stale hit or miss (see places-metrics.js).
+async function readCache(kv, key, { softTtl, type = 'json' } = {}) {
+    try {
+        const cached = await kv.getWithMetadata(key, { type });
+        if (cached?.value === null || cached?.value === undefined) {
+            recordCacheLookup(key, null);
+            return null;
+        }
+
+        // Entries written without metadata are treated as stale so they get refreshed
+        const timestamp = Number(cached.metadata?.timestamp) || 0;
+        const age = timestamp ? Math.max(0, Math.floor((Date.now() - timestamp) / 1000)) : null;
+        const entry = {
+            value: cached.value,
+            metadata: cached.metadata || {},
+            age,
+            stale: age === null || (softTtl !== undefined && age > softTtl)
+        };
+        recordCacheLookup(key, entry);
+        return entry;
+    } catch (error) {
+        console.error('Cache read error:', error);
+        return null;
+    }
+}
+
+async function writeCache(kv, key, value, { hardTtl, metadata = {} } = {}) {
+    try {
+        await kv.put(key, typeof value === 'string' || value instanceof ArrayBuffer ? value : JSON.stringify(value), {
+            expirationTtl: hardTtl,
+            metadata: { ...metadata, timestamp: Date.now() }
+        });
+    } catch (error) {
+        console.error('Cache write error:', error);
+    }
+}
+
+// Run a refresh after the response has been sent
+function revalidateInBackground(ctx, key, refresh) {
+    console.log(`Cache STALE, revalidating key: ${key}`);
+    const task = Promise.resolve()
+        .then(refresh)
+        .catch(error => console.error(`Background revalidation failed for ${key}:`, error));
+
+    if (ctx?.waitUntil) {
+        ctx.waitUntil(task);
+    }
+    return task;
+}
+
+function cacheHeaders(entry) {
+    if (!entry) {
+        return { [CACHE_HEADERS.AGE]: '0', [CACHE_HEADERS.STALE]: 'false' };
+    }
+    return {
+        [CACHE_HEADERS.AGE]: String(entry.age ?? 0),
+        [CACHE_HEADERS.STALE]: String(entry.stale)
+    };
+}
+
+export {
+    CACHE_HEADERS,
+    readCache,
+    writeCache,
+    revalidateInBackground,
+    cacheHeaders,
+    coalesce
+};
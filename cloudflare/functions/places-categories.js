@@ -0,0 +1,103 @@
+/**
+ * Barzo Category Registry
+ *
+ * A category is a Barzo venue grouping (e.g. 'music' for karaoke & live music)
+ * expressed in provider terms:
+ * - types:    Provider place types to search. Each type is its own cached nearby search
+ * - keywords: Keyword searches to run for every type (none = plain type search)
+ * - synonyms: Extra terms that raise a place's score when they appear in its name or types
+ * - exclude:  { types, names } - places with any of these types, or whose names
+ *             contain any of these terms, are dropped
+ *
+ * Request with &category={id} instead of &type / &keyword. Results from every
+ * type/keyword search are merged, excluded places removed, and the rest ordered
+ * by score (matches of keywords and synonyms first, provider order otherwise).
+ *
+ * Add a category here and it is available to every client immediately.
+ */
+
+const CATEGORIES = {
+    bars: {
+        label: 'Bars',
+        types: ['bar', 'night_club'],
+        keywords: [],
+        synonyms: ['pub', 'tavern', 'lounge', 'brewery', 'taproom', 'speakeasy'],
+        exclude: { types: ['liquor_store', 'gas_station'], names: [] }
+    },
+    restaurants: {
+        label: 'Restaurants',
+        types: ['restaurant', 'cafe'],
+        keywords: [],
+        synonyms: ['kitchen', 'grill', 'bistro', 'eatery'],
+        exclude: { types: ['gas_station', 'lodging'], names: [] }
+    },
+    cigar: {
+        label: 'Cigar & Hookah',
+        types: ['bar'],
+        keywords: ['cigar', 'hookah'],
+        synonyms: ['cigar lounge', 'hookah lounge', 'shisha', 'smoke lounge'],
+        exclude: { types: ['convenience_store', 'gas_station'], names: ['vape', 'smoke shop', 'tobacco outlet'] }
+    },
+    music: {
+        label: 'Karaoke & Live Music',
+        types: ['bar'],
+        keywords: ['karaoke', 'live music'],
+        synonyms: ['piano bar', 'jazz', 'blues', 'open mic', 'music hall', 'concert'],
+        exclude: { types: ['store', 'school'], names: ['music store', 'lessons'] }
+    }
+};
+
+const SCORE = {
+    KEYWORD: 3,     // Name or types contain one of the category keywords
+    SYNONYM: 2,     // ... or one of its synonyms
+    TYPE: 1         // Place has one of the category types
+};
+
+function getCategory(id) {
+    return Object.hasOwn(CATEGORIES, id) ? { id, ...CATEGORIES[id] } : null;
+}
+
+function listCategories() {
+    return Object.entries(CATEGORIES).map(([id, { label, types }]) => ({ id, label, types }));
+}
+
+// Every (type, keywords) nearby search the category expands to
+function expandCategory(category) {
+    return category.types.map(type => ({ type, keywords: category.keywords }));
+}
+
+function placeText(place) {
+    return `${place.name || ''} ${(place.types || []).join(' ').replace(/_/g, ' ')}`.toLowerCase();
+}
+
+function isExcluded(place, category) {
+    const name = (place.name || '').toLowerCase();
+    return category.exclude.types.some(type => place.types?.includes(type)) ||
+        category.exclude.names.some(term => name.includes(term));
+}
+
+function scorePlace(place, category) {
+    const text = placeText(place);
+    let score = 0;
+    if (category.keywords.some(keyword => text.includes(keyword))) score += SCORE.KEYWORD;
+    if (category.synonyms.some(synonym => text.includes(synonym))) score += SCORE.SYNONYM;
+    if (category.types.some(type => place.types?.includes(type))) score += SCORE.TYPE;
+    return score;
+}
+
+// Drop excluded places and order the rest by score. Relies on a stable sort to keep provider order within a score.
+function rankCategoryPlaces(places, category) {
+    return places
+        .filter(place => !isExcluded(place, category))
+        .map(place => ({ place, score: scorePlace(place, category) }))
+        .sort((a, b) => b.score - a.score)
+        .map(({ place }) => place);
+}
+
+export {
+    CATEGORIES,
+    getCategory,
+    listCategories,
+    expandCategory,
+    rankCategoryPlaces
+};
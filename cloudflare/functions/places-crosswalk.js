@@ -0,0 +1,284 @@
+/**
+ * Venue Crosswalk
+ *
+ * Links the ids different providers use for the same real-world venue - Google
+ * place ids, Radar ids and Barzo venue ids - to one stable venue id, so
+ * favorites, check-ins and posts can attach to a venue whatever provider the
+ * client saw it through.
+ *
+ * Id types (getIdType):
+ * - venue:  'vn_' + uuid, issued here
+ * - barzo:  bare uuid (Barzo venue ids)
+ * - radar:  24-char hex object id
+ * - google: anything else
+ *
+ * Matching (matchScore, 0-1): a new place joins the best-scoring venue within
+ * MAX_DISTANCE_METERS if the score reaches MATCH_THRESHOLD, else it becomes a
+ * new venue. The score weighs
+ * - name similarity (bigram Dice coefficient of normalized names)
+ * - distance (1 at the same spot, 0 at MAX_DISTANCE_METERS)
+ * - address similarity (street numbers must agree, then token overlap), left
+ *   out when either side has no street address
+ * A venue holds at most one id per provider.
+ *
+ * Storage (PLACES_KV, no expiry):
+ * - xw:venue:{venueId}      -> { venueId, ids: { google, radar, barzo }, name, location, address, updatedAt }
+ * - xw:id:{idType}:{id}     -> venueId
+ * - xw:cell:{row},{col}     -> [venueId] in a CELL_SIZE grid cell, for finding candidates
+ * KV writes are last-writer-wins, so two isolates reconciling neighbours at the
+ * same moment can drop a cell entry; the next reconcile of that place re-adds it.
+ */
+
+import { distanceMeters } from './places-geo.js';
+
+const API_VERSION = 'v1.0.0';
+
+const CROSSWALK = {
+    CELL_SIZE: 0.01,            // Degrees; candidates come from a place's cell and its 8 neighbours
+    MAX_DISTANCE_METERS: 150,
+    MATCH_THRESHOLD: 0.75,
+    WEIGHTS: { NAME: 0.5, DISTANCE: 0.3, ADDRESS: 0.2 }
+};
+
+const ID_PATTERNS = {
+    venue: /^vn_[0-9a-f-]{36}$/i,
+    barzo: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    radar: /^[0-9a-f]{24}$/i
+};
+
+const NAME_STOPWORDS = new Set(['the', 'a', 'an', 'and']);
+
+const ADDRESS_ABBREVIATIONS = {
+    street: 'st', avenue: 'ave', boulevard: 'blvd', road: 'rd', drive: 'dr',
+    lane: 'ln', court: 'ct', place: 'pl', highway: 'hwy', parkway: 'pkwy',
+    north: 'n', south: 's', east: 'e', west: 'w',
+    suite: 'ste', unit: 'ste', '#': 'ste'
+};
+
+function getIdType(id) {
+    return Object.keys(ID_PATTERNS).find(type => ID_PATTERNS[type].test(id || '')) || 'google';
+}
+
+function tokens(text) {
+    return String(text || '')
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/['’]/g, '')
+        .split(/[^a-z0-9#]+/)
+        .filter(Boolean);
+}
+
+function normalizeName(name) {
+    return tokens(name).filter(token => !NAME_STOPWORDS.has(token)).join(' ');
+}
+
+function bigrams(text) {
+    const compact = text.replace(/\s+/g, '');
+    const grams = [];
+    for (let i = 0; i < compact.length - 1; i++) grams.push(compact.slice(i, i + 2));
+    return grams;
+}
+
+// Dice coefficient over character bigrams: 1 for equal strings, 0 for nothing in common
+function diceSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    const gramsA = bigrams(a);
+    const gramsB = bigrams(b);
+    if (!gramsA.length || !gramsB.length) return 0;
+
+    const counts = new Map();
+    gramsA.forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+    let shared = 0;
+    for (const gram of gramsB) {
+        if (counts.get(gram) > 0) {
+            shared++;
+            counts.set(gram, counts.get(gram) - 1);
+        }
+    }
+    return 2 * shared / (gramsA.length + gramsB.length);
+}
+
+function nameSimilarity(a, b) {
+    return diceSimilarity(normalizeName(a), normalizeName(b));
+}
+
+// The street part of an address ('719 N Franklin St, Tampa, 33602' -> { number: '719', words: [...] })
+function parseStreet(address) {
+    const words = tokens(String(address || '').split(',')[0]).map(word => ADDRESS_ABBREVIATIONS[word] || word);
+    const number = words.find(word => /^\d+[a-z]?$/.test(word));
+    return number ? { number, words: words.filter(word => word !== number) } : null;
+}
+
+// 0-1, or null when either side has no street address to compare
+function addressSimilarity(a, b) {
+    const streetA = parseStreet(a);
+    const streetB = parseStreet(b);
+    if (!streetA || !streetB) return null;
+    if (streetA.number !== streetB.number) return 0;
+    return diceSimilarity(streetA.words.join(' '), streetB.words.join(' '));
+}
+
+/**
+ * How likely two places ({ name, location, address }) are the same venue, 0-1.
+ * 0 without locations or beyond MAX_DISTANCE_METERS.
+ */
+function matchScore(a, b) {
+    if (!a?.location || !b?.location) return 0;
+    const distance = distanceMeters(a.location.lat, a.location.lng, b.location.lat, b.location.lng);
+    if (distance > CROSSWALK.MAX_DISTANCE_METERS) return 0;
+
+    const { NAME, DISTANCE, ADDRESS } = CROSSWALK.WEIGHTS;
+    const name = nameSimilarity(a.name, b.name);
+    const proximity = 1 - distance / CROSSWALK.MAX_DISTANCE_METERS;
+    const address = addressSimilarity(a.address, b.address);
+
+    if (address === null) {
+        return (NAME * name + DISTANCE * proximity) / (NAME + DISTANCE);
+    }
+    return NAME * name + DISTANCE * proximity + ADDRESS * address;
+}
+
+function venueKey(venueId) {
+    return `${API_VERSION}:xw:venue:${venueId}`;
+}
+
+function idKey(idType, id) {
+    return `${API_VERSION}:xw:id:${idType}:${id}`;
+}
+
+function cellOf({ lat, lng }) {
+    return { row: Math.floor(lat / CROSSWALK.CELL_SIZE), col: Math.floor(lng / CROSSWALK.CELL_SIZE) };
+}
+
+function cellKey({ row, col }) {
+    return `${API_VERSION}:xw:cell:${row},${col}`;
+}
+
+async function getVenue(venueId, env) {
+    return env.PLACES_KV.get(venueKey(venueId), { type: 'json' });
+}
+
+// Venues in the place's grid cell and the cells around it
+async function getCandidateVenues(location, env) {
+    const { row, col } = cellOf(location);
+    const cells = [];
+    for (let dRow = -1; dRow <= 1; dRow++) {
+        for (let dCol = -1; dCol <= 1; dCol++) cells.push({ row: row + dRow, col: col + dCol });
+    }
+
+    const venueIds = (await Promise.all(cells.map(cell => env.PLACES_KV.get(cellKey(cell), { type: 'json' }))))
+        .flatMap(ids => ids || []);
+    return (await Promise.all([...new Set(venueIds)].map(venueId => getVenue(venueId, env)))).filter(Boolean);
+}
+
+async function saveVenue(venue, env) {
+    venue.updatedAt = new Date().toISOString();
+    await env.PLACES_KV.put(venueKey(venue.venueId), JSON.stringify(venue));
+}
+
+async function addToCell(venue, env) {
+    const key = cellKey(cellOf(venue.location));
+    const venueIds = await env.PLACES_KV.get(key, { type: 'json' }) || [];
+    if (!venueIds.includes(venue.venueId)) {
+        await env.PLACES_KV.put(key, JSON.stringify([...venueIds, venue.venueId]));
+    }
+}
+
+/**
+ * The venue a canonical place (Google, Radar or Barzo) belongs to, linking it
+ * to the best matching venue nearby or creating a new one. Returns the venue
+ * record, or null for places without an id or location.
+ */
+async function reconcilePlace(place, env) {
+    if (!place?.id || !place.location) return null;
+    const idType = getIdType(place.id);
+    if (idType === 'venue') return getVenue(place.id, env);
+
+    const knownVenueId = await env.PLACES_KV.get(idKey(idType, place.id));
+    if (knownVenueId) {
+        const known = await getVenue(knownVenueId, env);
+        if (known) return known;
+    }
+
+    // Best venue nearby that has no id of this type yet
+    const candidates = (await getCandidateVenues(place.location, env))
+        .filter(venue => !venue.ids[idType])
+        .map(venue => ({ venue, score: matchScore(place, venue) }))
+        .filter(({ score }) => score >= CROSSWALK.MATCH_THRESHOLD)
+        .sort((a, b) => b.score - a.score);
+
+    const venue = candidates[0]?.venue || {
+        venueId: `vn_${crypto.randomUUID()}`,
+        ids: {},
+        name: place.name,
+        location: place.location,
+        address: place.address
+    };
+    if (candidates[0]) {
+        console.log(`Crosswalk: ${idType} ${place.id} -> ${venue.venueId} (score ${candidates[0].score.toFixed(2)})`);
+    }
+
+    venue.ids[idType] = place.id;
+    // Barzo's own record is the reference for the venue's name and address
+    if (idType === 'barzo') {
+        Object.assign(venue, { name: place.name, location: place.location, address: place.address || venue.address });
+    }
+    venue.address ||= place.address;
+
+    await saveVenue(venue, env);
+    await env.PLACES_KV.put(idKey(idType, place.id), venue.venueId);
+    await addToCell(venue, env);
+    return venue;
+}
+
+// One at a time: places in the same response usually share grid cells
+async function reconcilePlaces(places, env) {
+    const venues = [];
+    for (const place of places || []) {
+        try {
+            venues.push(await reconcilePlace(place, env));
+        } catch (error) {
+            console.error(`Crosswalk failed for ${place?.id}:`, error);
+            venues.push(null);
+        }
+    }
+    return venues;
+}
+
+/**
+ * The venue record for an id of any type, or null if it hasn't been reconciled
+ */
+async function resolveVenue(id, env) {
+    const idType = getIdType(id);
+    if (idType === 'venue') return getVenue(id, env);
+    const venueId = await env.PLACES_KV.get(idKey(idType, id));
+    return venueId ? getVenue(venueId, env) : null;
+}
+
+/**
+ * An id any of `providers` can look up, for an id of any type.
+ * Provider ids pass through; venue and Barzo ids go through the crosswalk.
+ * Returns { provider, id }, or null if the venue has no id for those providers.
+ */
+async function resolveProviderId(id, providers, env) {
+    const idType = getIdType(id);
+    if (providers.includes(idType)) return { provider: idType, id };
+
+    const venue = await resolveVenue(id, env);
+    const provider = providers.find(name => venue?.ids[name]);
+    return provider ? { provider, id: venue.ids[provider] } : null;
+}
+
+export {
+    CROSSWALK,
+    getIdType,
+    nameSimilarity,
+    addressSimilarity,
+    matchScore,
+    reconcilePlace,
+    reconcilePlaces,
+    resolveVenue,
+    resolveProviderId
+};
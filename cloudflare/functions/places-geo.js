@@ -0,0 +1,252 @@
+/**
+ * Geometry helpers for the places workers
+ *
+ * - Distances in meters (haversine)
+ * - bbox parsing: 'west,south,east,north' in degrees
+ * - GeoJSON Polygon parsing (bare geometry or Feature), with holes
+ * - Tiling: circles and bboxes are covered by Web Mercator quadkey tiles (the
+ *   slippy map / Bing Maps scheme), so overlapping and panned queries land on
+ *   the same tiles, and so the same cache keys. Each zoom level halves the tile
+ *   size; a quadkey has one digit per level, so a tile's key starts with its parent's
+ */
+
+const EARTH_RADIUS_METERS = 6371e3;
+const EARTH_CIRCUMFERENCE_METERS = 2 * Math.PI * EARTH_RADIUS_METERS;
+
+const TILE_ZOOM = {
+    MIN: 10,        // ~39km tiles at the equator (~34km at 30°)
+    MAX: 18         // ~150m tiles at the equator
+};
+const MAX_LATITUDE = 85.05112878;   // Web Mercator limit
+// Circles are covered by tiles at least one radius wide, so a circle touches at
+// most 3x3 tiles and costs at most 9 provider searches (per category search). Each
+// tile is searched with its circumscribing circle, 0.7-1.4x the circle's radius, so
+// a provider's per-search result cap thins results no more than one search would.
+const CIRCLE_TILE_WIDTH = 1;        // In radii
+const MAX_TILES = 9;                // Per circle or area, so an area costs no more than a circle
+const MAX_AREA_TILES = 64;          // Beyond this even the largest tiles cost too many upstream calls
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function distanceMeters(lat1, lng1, lat2, lng2) {
+    const φ1 = toRadians(lat1);
+    const φ2 = toRadians(lat2);
+    const Δφ = toRadians(lat2 - lat1);
+    const Δλ = toRadians(lng2 - lng1);
+
+    const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+            Math.cos(φ1) * Math.cos(φ2) *
+            Math.sin(Δλ/2) * Math.sin(Δλ/2);
+    return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+}
+
+// 'west,south,east,north' -> { west, south, east, north }, or null if invalid
+function parseBbox(value) {
+    if (!value) return null;
+    const parts = value.split(',').map(Number);
+    if (parts.length !== 4 || parts.some(isNaN)) return null;
+
+    const [west, south, east, north] = parts;
+    if (south >= north || west >= east) return null;
+    if (south < -90 || north > 90 || west < -180 || east > 180) return null;
+    return { west, south, east, north };
+}
+
+// GeoJSON Polygon (or a Feature holding one) -> array of rings of [lng, lat], or null if invalid
+function parsePolygon(value) {
+    if (!value) return null;
+    let geojson;
+    try {
+        geojson = typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+        return null;
+    }
+
+    const geometry = geojson?.type === 'Feature' ? geojson.geometry : geojson;
+    if (geometry?.type !== 'Polygon' || !Array.isArray(geometry.coordinates?.[0])) return null;
+
+    const rings = geometry.coordinates;
+    const valid = rings.every(ring => ring.length >= 4 &&
+        ring.every(point => Array.isArray(point) && point.length >= 2 && point.every(n => typeof n === 'number')));
+    return valid ? rings : null;
+}
+
+function polygonBbox(rings) {
+    const outer = rings[0];
+    return {
+        west: Math.min(...outer.map(p => p[0])),
+        south: Math.min(...outer.map(p => p[1])),
+        east: Math.max(...outer.map(p => p[0])),
+        north: Math.max(...outer.map(p => p[1]))
+    };
+}
+
+// Ray casting against one ring
+function pointInRing(lat, lng, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Inside the outer ring and outside every hole
+function pointInPolygon(lat, lng, rings) {
+    if (!pointInRing(lat, lng, rings[0])) return false;
+    return !rings.slice(1).some(hole => pointInRing(lat, lng, hole));
+}
+
+function pointInBbox(lat, lng, bbox) {
+    return lat >= bbox.south && lat <= bbox.north && lng >= bbox.west && lng <= bbox.east;
+}
+
+// East-west width of a tile in meters, at a latitude
+function tileWidthMeters(lat, zoom) {
+    return EARTH_CIRCUMFERENCE_METERS * Math.cos(toRadians(lat)) / 2 ** zoom;
+}
+
+// Deepest zoom whose tiles are at least `meters` wide at this latitude
+function getTileZoom(lat, meters) {
+    for (let zoom = TILE_ZOOM.MAX; zoom > TILE_ZOOM.MIN; zoom--) {
+        if (tileWidthMeters(lat, zoom) >= meters) return zoom;
+    }
+    return TILE_ZOOM.MIN;
+}
+
+function clampLat(lat) {
+    return Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+}
+
+function tileX(lng, zoom) {
+    return Math.min(2 ** zoom - 1, Math.max(0, Math.floor((lng + 180) / 360 * 2 ** zoom)));
+}
+
+function tileY(lat, zoom) {
+    const φ = toRadians(clampLat(lat));
+    const y = (1 - Math.log(Math.tan(φ) + 1 / Math.cos(φ)) / Math.PI) / 2;
+    return Math.min(2 ** zoom - 1, Math.max(0, Math.floor(y * 2 ** zoom)));
+}
+
+function tileLng(x, zoom) {
+    return x / 2 ** zoom * 360 - 180;
+}
+
+function tileLat(y, zoom) {
+    const n = Math.PI - 2 * Math.PI * y / 2 ** zoom;
+    return 180 / Math.PI * Math.atan(Math.sinh(n));
+}
+
+function toQuadkey(x, y, zoom) {
+    let quadkey = '';
+    for (let level = zoom; level > 0; level--) {
+        const mask = 1 << (level - 1);
+        quadkey += ((x & mask) ? 1 : 0) + ((y & mask) ? 2 : 0);
+    }
+    return quadkey;
+}
+
+/**
+ * Tile for a quadkey, or null if it isn't one: { quadkey, zoom, lat, lng, radius, bbox }.
+ * lat / lng / radius describe the tile's circumscribing circle, for a nearby search.
+ */
+function getTile(quadkey) {
+    if (!/^[0-3]+$/.test(quadkey || '')) return null;
+    let x = 0;
+    let y = 0;
+    for (const digit of quadkey) {
+        x = x * 2 + (digit & 1);
+        y = y * 2 + (digit >> 1);
+    }
+
+    const zoom = quadkey.length;
+    const bbox = { west: tileLng(x, zoom), south: tileLat(y + 1, zoom), east: tileLng(x + 1, zoom), north: tileLat(y, zoom) };
+    const lat = (bbox.south + bbox.north) / 2;
+    const lng = (bbox.west + bbox.east) / 2;
+    return {
+        quadkey,
+        zoom,
+        lat: Number(lat.toFixed(6)),
+        lng: Number(lng.toFixed(6)),
+        radius: Math.ceil(distanceMeters(lat, lng, bbox.north, bbox.east)),
+        bbox
+    };
+}
+
+// Tile holding a point at a zoom level
+function getTileAt(lat, lng, zoom) {
+    return getTile(toQuadkey(tileX(lng, zoom), tileY(lat, zoom), zoom));
+}
+
+function countTiles(bbox, zoom) {
+    return (tileX(bbox.east, zoom) - tileX(bbox.west, zoom) + 1) * (tileY(bbox.south, zoom) - tileY(bbox.north, zoom) + 1);
+}
+
+function tilesAt(bbox, zoom) {
+    const tiles = [];
+    for (let y = tileY(bbox.north, zoom); y <= tileY(bbox.south, zoom); y++) {
+        for (let x = tileX(bbox.west, zoom); x <= tileX(bbox.east, zoom); x++) {
+            tiles.push(getTile(toQuadkey(x, y, zoom)));
+        }
+    }
+    return tiles;
+}
+
+/**
+ * Cover a bbox with tiles of one zoom level, the deepest that needs no more
+ * than maxTiles. Callers check the result against MAX_AREA_TILES, since at
+ * TILE_ZOOM.MIN a large bbox can still need more.
+ */
+function coverBbox(bbox, maxTiles = MAX_TILES) {
+    for (let zoom = TILE_ZOOM.MAX; zoom > TILE_ZOOM.MIN; zoom--) {
+        if (countTiles(bbox, zoom) <= maxTiles) return tilesAt(bbox, zoom);
+    }
+    return tilesAt(bbox, TILE_ZOOM.MIN);
+}
+
+/**
+ * Cover a circle with the tiles it overlaps (see CIRCLE_TILE_WIDTH). Radii past
+ * the TILE_ZOOM.MIN tile width (~34km at 30°) need more than 3x3 tiles.
+ */
+function coverCircle(lat, lng, radius) {
+    const zoom = getTileZoom(lat, CIRCLE_TILE_WIDTH * radius);
+    const dLat = radius / (EARTH_CIRCUMFERENCE_METERS / 360);
+    const dLng = dLat / Math.max(Math.cos(toRadians(lat)), 0.01);
+    const bbox = {
+        west: Math.max(-180, lng - dLng),
+        south: clampLat(lat - dLat),
+        east: Math.min(180, lng + dLng),
+        north: clampLat(lat + dLat)
+    };
+
+    // Skip corner tiles the circle only reaches through its bbox
+    const tiles = tilesAt(bbox, zoom).filter(tile => {
+        const nearestLat = Math.max(tile.bbox.south, Math.min(tile.bbox.north, lat));
+        const nearestLng = Math.max(tile.bbox.west, Math.min(tile.bbox.east, lng));
+        return distanceMeters(lat, lng, nearestLat, nearestLng) <= radius;
+    });
+    // Past the Web Mercator latitude limit only the clamped center tile is left
+    return tiles.length ? tiles : [getTileAt(lat, lng, zoom)];
+}
+
+export {
+    TILE_ZOOM,
+    MAX_TILES,
+    MAX_AREA_TILES,
+    distanceMeters,
+    parseBbox,
+    parsePolygon,
+    polygonBbox,
+    pointInPolygon,
+    pointInBbox,
+    getTileZoom,
+    getTile,
+    getTileAt,
+    coverBbox,
+    coverCircle
+};
@@ -0,0 +1,337 @@
+/**
+ * Geocoding with a provider fallback chain
+ *
+ * Forward (query -> locations) and reverse (lat/lng -> location) geocoding over
+ * Mapbox, Google (Geocoding API) and Radar, in the same style as the places
+ * providers (see places-providers.js):
+ * - The requested provider goes first, then GEOCODING_PROVIDER, then
+ *   DEFAULT_GEOCODER_ORDER. Providers without a configured key are skipped,
+ *   except in the offline provider modes (see places-upstream.js)
+ * - A provider that errors or finds nothing hands over to the next one
+ * - With no provider configured, lookups reject with a status 503 error
+ *
+ * Results share one shape whatever the provider:
+ *   { formattedAddress, name, neighborhood, city, region, regionCode,
+ *     postalCode, country, countryCode, location: { lat, lng }, provider }
+ * Missing parts are null.
+ *
+ * Caching (KV, stale-while-revalidate, see places-cache.js):
+ * - reverse: keyed by coordinates rounded to REVERSE_PRECISION decimals (~11m)
+ * - forward: keyed by the normalized query (and rounded proximity, if given)
+ * Only found results are cached.
+ */
+
+import { readCache, writeCache, revalidateInBackground, coalesce } from './places-cache.js';
+import { withProviderFallback } from './places-providers.js';
+import { upstreamFetch, isOfflineMode } from './places-upstream.js';
+
+const API_VERSION = 'v1.0.0';
+
+const DEFAULT_GEOCODER_ORDER = ['mapbox', 'google', 'radar'];
+
+const GEOCODING = {
+    REVERSE_PRECISION: 4,       // ~11m cells share a reverse geocode
+    PROXIMITY_PRECISION: 1,     // ~11km cells for a forward query's proximity bias
+    FORWARD_LIMIT: 5,
+    MAX_QUERY_LENGTH: 200
+};
+
+const GEOCODING_TTL = {
+    HARD: 2592000,      // 30 days
+    SOFT: 604800        // 7 days before a background refresh
+};
+
+function notFound(provider) {
+    const error = new Error(`${provider}: No geocoding result`);
+    error.provider = provider;
+    error.status = 404;
+    error.notFound = true;
+    return error;
+}
+
+// No geocoder has a key: a configuration problem, not a failed lookup
+function notConfigured() {
+    const error = new Error('Geocoding is not configured: set MAPBOX_API_KEY, GOOGLE_PLACES_API_KEY or RADAR_API_KEY');
+    error.status = 503;
+    return error;
+}
+
+function geocodeResult(provider, fields) {
+    return {
+        formattedAddress: fields.formattedAddress || null,
+        name: fields.name || null,
+        neighborhood: fields.neighborhood || null,
+        city: fields.city || null,
+        region: fields.region || null,
+        regionCode: fields.regionCode || null,
+        postalCode: fields.postalCode || null,
+        country: fields.country || null,
+        countryCode: fields.countryCode?.toUpperCase() || null,
+        location: fields.location,
+        provider
+    };
+}
+
+/* ================================
+    Mapbox (Geocoding v5)
+   ================================ */
+const mapboxGeocoder = {
+    name: 'mapbox',
+
+    hasKey(env) {
+        return Boolean(env.MAPBOX_API_KEY);
+    },
+
+    async geocode(query, env, { proximity } = {}) {
+        const url = new URL(`https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(query)}.json`);
+        url.searchParams.append('access_token', env.MAPBOX_API_KEY);
+        url.searchParams.append('limit', String(GEOCODING.FORWARD_LIMIT));
+        if (proximity) url.searchParams.append('proximity', `${proximity.lng},${proximity.lat}`);
+        return (await this.fetch(url, env, 'geocode')).map(feature => this.normalize(feature));
+    },
+
+    async reverse({ lat, lng }, env) {
+        const url = new URL(`https://api.mapbox.com/geocoding/v5/mapbox.places/${lng},${lat}.json`);
+        url.searchParams.append('access_token', env.MAPBOX_API_KEY);
+        url.searchParams.append('types', 'address,poi,neighborhood,place');
+        url.searchParams.append('limit', '1');
+        const [feature] = await this.fetch(url, env, 'reverse_geocode');
+        return feature ? this.normalize(feature) : null;
+    },
+
+    async fetch(url, env, sku) {
+        env.usage?.record('mapbox', sku);
+        const response = await upstreamFetch(env, url);
+        if (!response.ok) {
+            throw new Error(`mapbox: API error ${response.status}`);
+        }
+        const data = await response.json();
+        return data.features || [];
+    },
+
+    normalize(feature) {
+        // The feature itself and its context are typed by id prefix, e.g. 'place.123'
+        const parts = [feature, ...(feature.context || [])];
+        const part = (type) => parts.find(p => p.id?.startsWith(`${type}.`));
+        const region = part('region');
+        return geocodeResult('mapbox', {
+            formattedAddress: feature.place_name,
+            name: feature.text,
+            neighborhood: part('neighborhood')?.text || part('locality')?.text,
+            city: part('place')?.text,
+            region: region?.text,
+            regionCode: region?.short_code?.split('-').pop(),
+            postalCode: part('postcode')?.text,
+            country: part('country')?.text,
+            countryCode: part('country')?.short_code,
+            location: { lat: feature.center[1], lng: feature.center[0] }
+        });
+    }
+};
+
+/* ================================
+    Google (Geocoding API)
+   ================================ */
+const googleGeocoder = {
+    name: 'google',
+
+    hasKey(env) {
+        return Boolean(env.GOOGLE_PLACES_API_KEY);
+    },
+
+    async geocode(query, env, { proximity } = {}) {
+        const searchParams = new URLSearchParams({ address: query, key: env.GOOGLE_PLACES_API_KEY });
+        if (proximity) {
+            // Google only biases by viewport; use a ~0.1 degree box around the proximity point
+            const { lat, lng } = proximity;
+            searchParams.append('bounds', `${lat - 0.05},${lng - 0.05}|${lat + 0.05},${lng + 0.05}`);
+        }
+        const results = await this.fetch(searchParams, env, 'geocode');
+        return results.slice(0, GEOCODING.FORWARD_LIMIT).map(result => this.normalize(result));
+    },
+
+    async reverse({ lat, lng }, env) {
+        const searchParams = new URLSearchParams({ latlng: `${lat},${lng}`, key: env.GOOGLE_PLACES_API_KEY });
+        const [result] = await this.fetch(searchParams, env, 'reverse_geocode');
+        return result ? this.normalize(result) : null;
+    },
+
+    async fetch(searchParams, env, sku) {
+        env.usage?.record('google', sku);
+        const response = await upstreamFetch(env, `https://maps.googleapis.com/maps/api/geocode/json?${searchParams}`);
+        const data = await response.json();
+        if (data.status === 'ZERO_RESULTS') return [];
+        if (data.status !== 'OK') {
+            throw new Error(`google: ${data.status}${data.error_message ? ` - ${data.error_message}` : ''}`);
+        }
+        return data.results || [];
+    },
+
+    normalize(result) {
+        const component = (...types) => result.address_components?.find(c => types.some(type => c.types.includes(type)));
+        const region = component('administrative_area_level_1');
+        const country = component('country');
+        return geocodeResult('google', {
+            formattedAddress: result.formatted_address,
+            name: result.formatted_address?.split(',')[0],
+            neighborhood: component('neighborhood', 'sublocality')?.long_name,
+            city: component('locality', 'postal_town')?.long_name,
+            region: region?.long_name,
+            regionCode: region?.short_name,
+            postalCode: component('postal_code')?.long_name,
+            country: country?.long_name,
+            countryCode: country?.short_name,
+            location: { lat: result.geometry.location.lat, lng: result.geometry.location.lng }
+        });
+    }
+};
+
+/* ================================
+    Radar
+   ================================ */
+const radarGeocoder = {
+    name: 'radar',
+
+    hasKey(env) {
+        return Boolean(env.RADAR_API_KEY);
+    },
+
+    async geocode(query, env) {
+        const url = new URL('https://api.radar.io/v1/geocode/forward');
+        url.searchParams.append('query', query);
+        const addresses = await this.fetch(url, env, 'geocode');
+        return addresses.slice(0, GEOCODING.FORWARD_LIMIT).map(address => this.normalize(address));
+    },
+
+    async reverse({ lat, lng }, env) {
+        const url = new URL('https://api.radar.io/v1/geocode/reverse');
+        url.searchParams.append('coordinates', `${lat},${lng}`);
+        const [address] = await this.fetch(url, env, 'reverse_geocode');
+        return address ? this.normalize(address) : null;
+    },
+
+    async fetch(url, env, sku) {
+        env.usage?.record('radar', sku);
+        const response = await upstreamFetch(env, url, {
+            headers: { 'Authorization': env.RADAR_API_KEY }
+        });
+        if (!response.ok) {
+            throw new Error(`radar: API error ${response.status}`);
+        }
+        const data = await response.json();
+        return data.addresses || [];
+    },
+
+    normalize(address) {
+        return geocodeResult('radar', {
+            formattedAddress: address.formattedAddress,
+            name: address.placeLabel || address.addressLabel,
+            neighborhood: address.neighborhood,
+            city: address.city,
+            region: address.state,
+            regionCode: address.stateCode,
+            postalCode: address.postalCode,
+            country: address.country,
+            countryCode: address.countryCode,
+            location: { lat: address.latitude, lng: address.longitude }
+        });
+    }
+};
+
+const GEOCODERS = {
+    mapbox: mapboxGeocoder,
+    google: googleGeocoder,
+    radar: radarGeocoder
+};
+
+function getGeocoderChain(requested, env) {
+    const first = GEOCODERS[requested] ? requested : (GEOCODERS[env?.GEOCODING_PROVIDER] ? env.GEOCODING_PROVIDER : DEFAULT_GEOCODER_ORDER[0]);
+    return [first, ...DEFAULT_GEOCODER_ORDER.filter(name => name !== first)]
+        .map(name => GEOCODERS[name])
+        .filter(geocoder => geocoder.hasKey(env) || isOfflineMode(env));
+}
+
+// Run the chain, treating "nothing found" as a reason to try the next provider.
+// Resolves to { result, provider }, with a null result if no provider found anything.
+// Rejects with status 503 when no provider is configured.
+async function runChain(chain, operation) {
+    if (!chain.length) throw notConfigured();
+    try {
+        return await withProviderFallback(chain, async (geocoder) => {
+            const result = await operation(geocoder);
+            if (!result || (Array.isArray(result) && !result.length)) throw notFound(geocoder.name);
+            return result;
+        });
+    } catch (error) {
+        if (error.providerErrors && error.notFound) return { result: null, provider: null };
+        throw error;
+    }
+}
+
+// Cached lookup: serve KV (refreshing stale entries in the background), else run the chain
+async function cachedLookup(cacheKey, lookup, env, ctx) {
+    const refresh = () => coalesce(cacheKey, async () => {
+        const { result, provider } = await lookup();
+        if (result) {
+            await writeCache(env.PLACES_KV, cacheKey, result, {
+                hardTtl: GEOCODING_TTL.HARD,
+                metadata: { provider }
+            });
+        }
+        return result;
+    });
+
+    const cached = await readCache(env.PLACES_KV, cacheKey, { softTtl: GEOCODING_TTL.SOFT });
+    if (cached?.value) {
+        if (cached.stale) {
+            revalidateInBackground(ctx, cacheKey, refresh);
+        }
+        return { result: cached.value, cached };
+    }
+
+    return { result: await refresh(), cached: null };
+}
+
+function normalizeQuery(query) {
+    return String(query || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Locations matching `query`, best first. `proximity` ({ lat, lng }) biases
+ * the results. Resolves to { results, cached } where cached is the KV entry
+ * that answered, or null.
+ */
+async function geocode({ query, proximity = null, provider = null }, env, ctx) {
+    const normalized = normalizeQuery(query);
+    if (!normalized || normalized.length > GEOCODING.MAX_QUERY_LENGTH) return { results: [], cached: null };
+
+    const bias = proximity
+        ? `${proximity.lat.toFixed(GEOCODING.PROXIMITY_PRECISION)},${proximity.lng.toFixed(GEOCODING.PROXIMITY_PRECISION)}`
+        : 'none';
+    const cacheKey = `${API_VERSION}:geocode:${bias}:${encodeURIComponent(normalized)}`;
+
+    const { result, cached } = await cachedLookup(cacheKey,
+        () => runChain(getGeocoderChain(provider, env), geocoder => geocoder.geocode(normalized, env, { proximity })),
+        env, ctx);
+    return { results: result || [], cached };
+}
+
+/**
+ * Address for a coordinate. Resolves to { result, cached } with a null result
+ * if no provider could place it.
+ */
+async function reverseGeocode({ lat, lng, provider = null }, env, ctx) {
+    const cacheKey = `${API_VERSION}:reverse:${lat.toFixed(GEOCODING.REVERSE_PRECISION)},${lng.toFixed(GEOCODING.REVERSE_PRECISION)}`;
+
+    return cachedLookup(cacheKey,
+        () => runChain(getGeocoderChain(provider, env), geocoder => geocoder.reverse({ lat, lng }, env)),
+        env, ctx);
+}
+
+export {
+    GEOCODERS,
+    DEFAULT_GEOCODER_ORDER,
+    getGeocoderChain,
+    geocode,
+    reverseGeocode
+};
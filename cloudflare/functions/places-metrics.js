@@ -0,0 +1,308 @@
+/**
+ * Request, Cache & Upstream Metrics
+ *
+ * Hourly counters for tuning GRID sizes and cache TTLs on real numbers:
+ * - requests per worker, by status class (2xx, 4xx, 5xx) plus rate limited (429)
+ * - cache lookups per key type (see getKeyType in places-admin.js): hits, misses,
+ *   and stale hits (served past the soft TTL), counted by readCache
+ * - upstream calls per provider and SKU, counted by the usage tracker (places-ratelimit.js)
+ * - estimated spend, from UPSTREAM_PRICING at read time
+ *
+ * Storage:
+ * - Each isolate adds up counters in memory and writes them to PLACES_KV at most
+ *   every METRICS.FLUSH_INTERVAL_MS, under
+ *   `metrics:hourly:{YYYY-MM-DDTHH}:{worker}:{isolate id}`, kept METRICS.TTL seconds
+ * - One entry per isolate, overwritten with its running totals, so isolates never
+ *   race on a key. Counts from the last interval before an isolate is evicted are lost
+ * - Once an hour is METRICS.ROLLUP_DELAY_HOURS old, the next flush adds its isolate
+ *   entries up into `metrics:rollup:{YYYY-MM-DDTHH}` = { [worker]: counters }.
+ *   GET /metrics reads one rollup per hour and lists isolate entries only for hours
+ *   without one (the last few, or hours with no flush to roll them up), which keeps
+ *   hours=168 well inside the Workers subrequest limit. Isolate entries written
+ *   after their hour was rolled up are not counted
+ *
+ * Endpoint (mounted by both workers; both see every worker's counters):
+ *   GET /metrics?hours={1-168, default 24}&worker={nearby-places|enhanced-places}
+ *   Authenticated like /admin/cache, with X-Admin-Key; responses carry the worker's CORS headers
+ *   Returns { from, to, workers, requests, cache, upstream, totals, hours: [...] }
+ *
+ * Pricing:
+ * - UPSTREAM_PRICING holds list prices in USD per 1000 calls, before free tiers and
+ *   volume discounts. env.UPSTREAM_PRICING (JSON, same shape) overrides entries
+ * - Calls to SKUs without a price are listed with estimatedCost null
+ */
+
+import { getKeyType, authorizeAdmin } from './places-admin.js';
+
+const METRICS = {
+    KEY_PREFIX: 'metrics:hourly',
+    ROLLUP_PREFIX: 'metrics:rollup',
+    ROLLUP_DELAY_HOURS: 2,          // Late enough that isolates have flushed the hour
+    FLUSH_INTERVAL_MS: 60 * 1000,
+    TTL: 60 * 60 * 24 * 35,         // Keep hourly counters for 35 days
+    DEFAULT_HOURS: 24,
+    MAX_HOURS: 168
+};
+
+const UPSTREAM_PRICING = {
+    'google:nearby_search': 32,
+    'google:text_search': 32,
+    'google:place_details': 17,
+    'google:autocomplete': 2.83,
+    'google:photo': 7,
+    'google:geocode': 5,
+    'google:reverse_geocode': 5,
+    'mapbox:geocode': 0.75,
+    'mapbox:reverse_geocode': 0.75,
+    'radar:search_places': 0.5,
+    'radar:geocode': 0.5,
+    'radar:reverse_geocode': 0.5
+};
+
+// UTC hour -> { requests: { [status class]: n }, cache: { [type]: { hits, misses, stale } }, upstream: { [provider:sku]: n } }
+const hourlyCounters = new Map();
+let isolateId = null;
+let lastFlush = 0;
+let dirty = false;
+let lastRollupHour = null;      // Newest hour this isolate has rolled up (or found rolled up)
+
+function getUtcHour(date = new Date()) {
+    return date.toISOString().slice(0, 13);
+}
+
+function currentCounters() {
+    const hour = getUtcHour();
+    if (!hourlyCounters.has(hour)) {
+        hourlyCounters.set(hour, { requests: {}, cache: {}, upstream: {} });
+    }
+    dirty = true;
+    return hourlyCounters.get(hour);
+}
+
+function hoursAgo(hours, now = Date.now()) {
+    return getUtcHour(new Date(now - hours * 3600000));
+}
+
+function increment(counters, name, count = 1) {
+    counters[name] = (counters[name] || 0) + count;
+}
+
+// Add every number in `source` to `target`, at any depth
+function addCounters(target, source) {
+    for (const [name, value] of Object.entries(source || {})) {
+        if (typeof value === 'number') increment(target, name, value);
+        else addCounters(target[name] ||= {}, value);
+    }
+    return target;
+}
+
+function recordRequest(status) {
+    const { requests } = currentCounters();
+    increment(requests, 'total');
+    increment(requests, status === 429 ? 'rateLimited' : `${Math.floor(status / 100)}xx`);
+}
+
+// entry is readCache's result: null on a miss
+function recordCacheLookup(key, entry) {
+    const { cache } = currentCounters();
+    const type = cache[getKeyType(key)] ||= { hits: 0, misses: 0, stale: 0 };
+    if (!entry) type.misses++;
+    else {
+        type.hits++;
+        if (entry.stale) type.stale++;
+    }
+}
+
+function recordUpstreamCall(provider, sku, count = 1) {
+    increment(currentCounters().upstream, `${provider}:${sku}`, count);
+}
+
+/**
+ * Write this isolate's counters to KV, if FLUSH_INTERVAL_MS has passed or the hour
+ * has rolled over. Call after the request's background tasks have settled.
+ */
+async function flushMetrics(env, worker) {
+    if (!dirty || !env.PLACES_KV) return;
+    const hour = getUtcHour();
+    if (Date.now() - lastFlush < METRICS.FLUSH_INTERVAL_MS && hourlyCounters.size === 1) return;
+
+    // Random values aren't available at global scope in Workers, so the id is made on first flush
+    isolateId ||= crypto.randomUUID().slice(0, 8);
+    lastFlush = Date.now();
+    dirty = false;
+
+    await Promise.all([...hourlyCounters].map(async ([counterHour, counters]) => {
+        if (counterHour !== hour) hourlyCounters.delete(counterHour);
+        try {
+            await env.PLACES_KV.put(`${METRICS.KEY_PREFIX}:${counterHour}:${worker}:${isolateId}`, JSON.stringify(counters), {
+                expirationTtl: METRICS.TTL,
+                metadata: { timestamp: Date.now() }
+            });
+        } catch (error) {
+            console.error('Metrics write error:', error);
+        }
+    }));
+
+    await rollUpHour(env.PLACES_KV, hoursAgo(METRICS.ROLLUP_DELAY_HOURS));
+}
+
+// Isolate entries of an hour, as { [worker]: counters }
+async function readIsolateEntries(kv, hour, worker) {
+    const prefix = `${METRICS.KEY_PREFIX}:${hour}:${worker ? `${worker}:` : ''}`;
+    const byWorker = {};
+    let cursor;
+    do {
+        const list = await kv.list({ prefix, cursor });
+        const values = await Promise.all(list.keys.map(key => kv.get(key.name, { type: 'json' })));
+        list.keys.forEach((key, i) => {
+            const name = key.name.split(':')[3];
+            addCounters(byWorker[name] ||= { requests: {}, cache: {}, upstream: {} }, values[i]);
+        });
+        cursor = list.list_complete ? null : list.cursor;
+    } while (cursor);
+    return byWorker;
+}
+
+// Add an hour's isolate entries up into its rollup, once per isolate and hour.
+// Isolates that race here write the same sums, so no coordination is needed.
+async function rollUpHour(kv, hour) {
+    if (lastRollupHour === hour) return;
+    lastRollupHour = hour;
+    try {
+        const key = `${METRICS.ROLLUP_PREFIX}:${hour}`;
+        if (await kv.get(key)) return;
+        const byWorker = await readIsolateEntries(kv, hour);
+        if (!Object.keys(byWorker).length) return;
+        await kv.put(key, JSON.stringify(byWorker), {
+            expirationTtl: METRICS.TTL,
+            metadata: { timestamp: Date.now() }
+        });
+    } catch (error) {
+        console.error('Metrics rollup error:', error);
+    }
+}
+
+function getPricing(env) {
+    try {
+        return { ...UPSTREAM_PRICING, ...JSON.parse(env.UPSTREAM_PRICING || '{}') };
+    } catch (error) {
+        console.error('Invalid UPSTREAM_PRICING:', error);
+        return UPSTREAM_PRICING;
+    }
+}
+
+function estimateCost(upstream, pricing) {
+    const skus = {};
+    let total = 0;
+    for (const [sku, calls] of Object.entries(upstream)) {
+        const unitCost = pricing[sku] ?? null;
+        const estimatedCost = unitCost === null ? null : Math.round(calls * unitCost * 10) / 10000;
+        skus[sku] = { calls, unitCost, estimatedCost };
+        total += estimatedCost || 0;
+    }
+    return { skus, total: Math.round(total * 10000) / 10000 };
+}
+
+function hitRate({ hits = 0, misses = 0 }) {
+    return hits + misses ? Math.round(hits / (hits + misses) * 1000) / 1000 : null;
+}
+
+function sum(counters) {
+    return Object.values(counters).reduce((total, count) => total + count, 0);
+}
+
+// Hits, misses and stale hits over every cache type
+function cacheTotals(cache) {
+    return Object.values(cache).reduce((all, type) => addCounters(all, type), { hits: 0, misses: 0, stale: 0 });
+}
+
+// One hour's counters, from its rollup or else its isolate entries
+async function readHour(kv, hour, worker) {
+    let byWorker = await kv.get(`${METRICS.ROLLUP_PREFIX}:${hour}`, { type: 'json' });
+    if (!byWorker) {
+        byWorker = await readIsolateEntries(kv, hour, worker);
+    }
+
+    const counters = { requests: {}, cache: {}, upstream: {} };
+    const workers = new Set();
+    for (const [name, workerCounters] of Object.entries(byWorker)) {
+        if (worker && name !== worker) continue;
+        addCounters(counters, workerCounters);
+        workers.add(name);
+    }
+    return { counters, workers };
+}
+
+async function getMetrics(env, { hours, worker }) {
+    const pricing = getPricing(env);
+    const now = Date.now();
+    const hourKeys = Array.from({ length: hours }, (_, i) => hoursAgo(hours - 1 - i, now));
+    const perHour = await Promise.all(hourKeys.map(hour => readHour(env.PLACES_KV, hour, worker)));
+
+    const totals = { requests: {}, cache: {}, upstream: {} };
+    const workers = new Set();
+    const hourly = perHour.map(({ counters, workers: hourWorkers }, i) => {
+        addCounters(totals, counters);
+        hourWorkers.forEach(name => workers.add(name));
+        const cache = cacheTotals(counters.cache);
+        return {
+            hour: `${hourKeys[i]}:00:00Z`,
+            requests: counters.requests.total || 0,
+            cacheHits: cache.hits,
+            cacheMisses: cache.misses,
+            upstreamCalls: sum(counters.upstream),
+            estimatedCost: estimateCost(counters.upstream, pricing).total
+        };
+    });
+
+    const cache = cacheTotals(totals.cache);
+    const cost = estimateCost(totals.upstream, pricing);
+    return {
+        from: `${hourKeys[0]}:00:00Z`,
+        to: new Date(now).toISOString(),
+        workers: [...workers].sort(),
+        requests: totals.requests,
+        cache: Object.fromEntries(Object.entries(totals.cache).map(([type, counts]) => [type, { ...counts, hitRate: hitRate(counts) }])),
+        upstream: cost.skus,
+        totals: {
+            requests: totals.requests.total || 0,
+            cacheHits: cache.hits,
+            cacheMisses: cache.misses,
+            cacheStale: cache.stale,
+            hitRate: hitRate(cache),
+            upstreamCalls: sum(totals.upstream),
+            estimatedCost: cost.total
+        },
+        hours: hourly
+    };
+}
+
+/**
+ * Handle a /metrics request, or return null if the path isn't /metrics.
+ * `corsHeaders` are the calling worker's, added to every response.
+ */
+async function handleMetricsRequest(request, env, corsHeaders = {}) {
+    const url = new URL(request.url);
+    if (url.pathname.replace(/\/$/, '') !== '/metrics') return null;
+
+    const denied = authorizeAdmin(request, env);
+    if (denied) {
+        return new Response(denied.body, { status: denied.status, headers: { ...Object.fromEntries(denied.headers), ...corsHeaders } });
+    }
+
+    const hours = Math.min(Math.max(parseInt(url.searchParams.get('hours')) || METRICS.DEFAULT_HOURS, 1), METRICS.MAX_HOURS);
+    const metrics = await getMetrics(env, { hours, worker: url.searchParams.get('worker') });
+    return new Response(JSON.stringify(metrics), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+    });
+}
+
+export {
+    METRICS,
+    UPSTREAM_PRICING,
+    recordRequest,
+    recordCacheLookup,
+    recordUpstreamCall,
+    flushMetrics,
+    handleMetricsRequest
+};
@@ -0,0 +1,138 @@
+/**
+ * Place Photos
+ *
+ * Proxies Google place photos so the Google key stays on the server. Clients link
+ * to /photo/{ref}?w={width} on the places worker (see getPhotoUrl in
+ * public/src/services/apiService.js) instead of Google's photo endpoints.
+ *
+ * Access:
+ * - <img> tags can't send X-API-Key, so photo links carry no key. Instead the
+ *   page's origin, from the Origin or Referer header, must be listed in
+ *   PHOTO_ORIGINS (env, comma-separated, e.g. 'https://example.com,http://localhost:3000'),
+ *   or DEFAULT_PHOTO_ORIGINS, the app's own origins, when it is unset
+ * - Requests with X-API-Key are accepted from anywhere, like every other route
+ *
+ * References (photo.ref of a canonical place, see placeModel.js):
+ * - Legacy photo_reference: fetched from the Places API photo endpoint
+ * - v1 photos[].name ('places/{placeId}/photos/{ref}'): fetched from Places API (New) media
+ *
+ * Sizes:
+ * - The requested width is rounded up to the next WIDTH_BUCKETS entry and Google
+ *   resizes to it, so each photo is fetched and cached in a handful of sizes only
+ *
+ * Caching:
+ * - Image bytes are cached in KV per ref and width bucket, under a hash of the ref
+ *   (refs can run past KV's key length limit), with the content type in metadata
+ * - Responses are public and immutable for PHOTO_TTL.BROWSER, so browsers and
+ *   Cloudflare's edge cache keep them too
+ */
+
+import { readCache, writeCache, coalesce } from './places-cache.js';
+import { upstreamFetch } from './places-upstream.js';
+
+const API_VERSION = 'v1.0.0';
+
+const PHOTO = {
+    WIDTH_BUCKETS: [100, 200, 400, 800, 1600],     // Google serves up to 4800px; the UI never needs more than 1600
+    DEFAULT_WIDTH: 400,
+    MAX_REF_LENGTH: 1000
+};
+
+const PHOTO_TTL = {
+    KV: 2592000,        // 30 days
+    BROWSER: 604800     // 1 week
+};
+
+// The PWA and its dev server (see wrangler.nearby.toml)
+const DEFAULT_PHOTO_ORIGINS = ['https://pwa.barzo.work', 'http://localhost:3000'];
+
+const LEGACY_REF_PATTERN = /^[A-Za-z0-9_-]+$/;
+const V1_NAME_PATTERN = /^places\/[A-Za-z0-9_-]+\/photos\/[A-Za-z0-9_-]+$/;
+
+function isValidPhotoRef(ref) {
+    return typeof ref === 'string' && ref.length <= PHOTO.MAX_REF_LENGTH &&
+        (LEGACY_REF_PATTERN.test(ref) || V1_NAME_PATTERN.test(ref));
+}
+
+// Key-less photo requests must come from a page on one of PHOTO_ORIGINS
+function isAllowedPhotoOrigin(request, env) {
+    const allowed = env.PHOTO_ORIGINS
+        ? env.PHOTO_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+        : DEFAULT_PHOTO_ORIGINS;
+    const source = request.headers.get('Origin') || request.headers.get('Referer');
+    if (!source) return false;
+    try {
+        return allowed.includes(new URL(source).origin);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Smallest bucket at least `width` wide; the largest bucket for anything wider
+function getWidthBucket(width) {
+    const requested = parseInt(width) || PHOTO.DEFAULT_WIDTH;
+    return PHOTO.WIDTH_BUCKETS.find(bucket => bucket >= requested) || PHOTO.WIDTH_BUCKETS[PHOTO.WIDTH_BUCKETS.length - 1];
+}
+
+async function getPhotoCacheKey(ref, width) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(ref));
+    const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${API_VERSION}:photo:${width}:${hex}`;
+}
+
+// Both endpoints redirect to the resized image, which fetch follows
+function fetchFromGoogle(ref, width, env, apiKey) {
+    if (V1_NAME_PATTERN.test(ref)) {
+        return upstreamFetch(env, `https://places.googleapis.com/v1/${ref}/media?maxWidthPx=${width}`, {
+            headers: { 'X-Goog-Api-Key': apiKey }
+        });
+    }
+    const searchParams = new URLSearchParams({ maxwidth: width, photo_reference: ref, key: apiKey });
+    return upstreamFetch(env, `https://maps.googleapis.com/maps/api/place/photo?${searchParams}`);
+}
+
+/**
+ * Photo bytes for a ref at a width bucket, from KV or Google.
+ * Returns { bytes, contentType, width, cached }, or null for an unknown or expired ref.
+ */
+async function getPlacePhoto({ ref, width }, env, { keys } = {}) {
+    const bucket = getWidthBucket(width);
+    const cacheKey = await getPhotoCacheKey(ref, bucket);
+
+    const cached = await readCache(env.PLACES_KV, cacheKey, { type: 'arrayBuffer' });
+    if (cached?.value) {
+        console.log(`Cache HIT with key: ${cacheKey}`);
+        return { bytes: cached.value, contentType: cached.metadata.contentType, width: bucket, cached: true };
+    }
+
+    console.log(`Cache MISS with key: ${cacheKey}`);
+    const photo = await coalesce(cacheKey, async () => {
+        env.usage?.record('google', 'photo');
+        const response = await fetchFromGoogle(ref, bucket, env, keys?.google || env.GOOGLE_PLACES_API_KEY);
+
+        // Google answers 400 for malformed and expired references
+        if (response.status === 400 || response.status === 404) return null;
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!response.ok || !contentType.startsWith('image/')) {
+            throw new Error(`Photo fetch failed: ${response.status} ${contentType}`);
+        }
+
+        const bytes = await response.arrayBuffer();
+        await writeCache(env.PLACES_KV, cacheKey, bytes, {
+            hardTtl: PHOTO_TTL.KV,
+            metadata: { contentType, width: bucket }
+        });
+        return { bytes, contentType };
+    });
+
+    return photo ? { ...photo, width: bucket, cached: false } : null;
+}
+
+export {
+    PHOTO,
+    PHOTO_TTL,
+    isValidPhotoRef,
+    isAllowedPhotoOrigin,
+    getWidthBucket,
+    getPlacePhoto
+};
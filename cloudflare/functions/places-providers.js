@@ -0,0 +1,342 @@
+/**
+ * Places Provider Layer
+ *
+ * Every upstream places backend implements the same small interface so the
+ * workers can switch providers per request, or fall back to another one when
+ * the first errors out or runs out of quota.
+ *
+ * Provider interface:
+ * - name:               Provider id used in `provider=` and `PLACES_PROVIDER`
+ * - matchesId(id):      True if the place id was issued by this provider
+ * - nearby(params, env): Nearby search, resolves to { places, pages, hasMore }
+ *                       where places are normalized, pages is the number of
+ *                       upstream pages read and hasMore is true if the
+ *                       provider had more results than params.maxPages allowed
+ * - details(placeId, env, opts): Place details, resolves to a normalized place
+ * - search(params, env): Text search ({ query, lat, lng, radius, type, keys }),
+ *                       resolves to normalized places, best match first
+ * - normalize(raw):     Convert one upstream record to the canonical Place
+ *                       model (public/src/utils/placeModel.js)
+ *
+ * Selection:
+ * - `provider` query param (per request), else
+ * - `PLACES_PROVIDER` env var, else
+ * - 'google'
+ * The remaining providers follow in DEFAULT_PROVIDER_ORDER and are tried in
+ * turn when the previous one fails.
+ *
+ * Keys:
+ * - Google: X-Google-API-Key header or env.GOOGLE_PLACES_API_KEY
+ * - Radar:  X-Radar-Key header or env.RADAR_API_KEY
+ *
+ * Upstream calls go through upstreamFetch, so PROVIDER_MODE=record|replay|fixture
+ * applies to every provider (see places-upstream.js).
+ */
+
+import { fromGoogleLegacy, fromRadar } from '../../public/src/utils/placeModel.js';
+import { upstreamFetch, isOfflineMode } from './places-upstream.js';
+
+const DEFAULT_PROVIDER_ORDER = ['google', 'radar'];
+
+// Google place types -> Radar categories
+const RADAR_CATEGORY_MAP = {
+    bar: 'bar',
+    night_club: 'nightclub',
+    restaurant: 'restaurant',
+    cafe: 'coffee-shop',
+    food: 'food-beverage'
+};
+
+// Radar categories -> Google place types (reverse of the above)
+const GOOGLE_TYPE_MAP = Object.fromEntries(
+    Object.entries(RADAR_CATEGORY_MAP).map(([type, category]) => [category, type])
+);
+
+// Google legacy API statuses that mean "try someone else"
+const GOOGLE_QUOTA_STATUSES = ['OVER_QUERY_LIMIT', 'OVER_DAILY_LIMIT', 'REQUEST_DENIED'];
+
+// Google nearby search pagination (20 results per page, at most 3 pages)
+const GOOGLE_PAGINATION = {
+    PAGE_SIZE: 20,
+    MAX_PAGES: 3,
+    TOKEN_DELAY_MS: 2000,   // next_page_token is not valid until shortly after it is issued
+    RETRY_DELAY_MS: 500,
+    MAX_WAIT_MS: 4000       // Total time one search may spend waiting on tokens
+};
+
+function providerError(provider, message, { status = 502, quota = false } = {}) {
+    const error = new Error(`${provider}: ${message}`);
+    error.provider = provider;
+    error.status = status;
+    error.quota = quota;
+    return error;
+}
+
+/* ================================
+    Google Places (legacy web service)
+   ================================ */
+const googleProvider = {
+    name: 'google',
+
+    matchesId(id) {
+        return !radarProvider.matchesId(id);
+    },
+
+    async nearby(params, env) {
+        const apiKey = params.keys?.google || env.GOOGLE_PLACES_API_KEY;
+        const baseParams = new URLSearchParams({
+            location: `${params.lat},${params.lng}`,
+            radius: params.radius,
+            type: params.type,
+            key: apiKey
+        });
+
+        const maxPages = Math.min(Math.max(params.maxPages || 1, 1), GOOGLE_PAGINATION.MAX_PAGES);
+
+        // One request without keywords, otherwise one request per keyword
+        const keywords = params.keywords?.length ? params.keywords : [null];
+        const settled = await Promise.allSettled(keywords.map(async keyword => {
+            const searchParams = new URLSearchParams(baseParams);
+            if (keyword) searchParams.append('keyword', keyword);
+            return googleNearbyPages(searchParams, apiKey, maxPages, env);
+        }));
+
+        // A failed keyword contributes no results; only fail (and fall back) when every request failed
+        const allResults = settled.filter(r => r.status === 'fulfilled').map(r => r.value);
+        if (!allResults.length) throw settled[0].reason;
+        settled.forEach((r, i) => {
+            if (r.status === 'rejected') console.error(`Error fetching places for keyword ${keywords[i]}:`, r.reason.message);
+        });
+
+        return {
+            places: dedupePlaces(allResults.flatMap(r => r.results).map(place => this.normalize(place))),
+            pages: Math.max(...allResults.map(r => r.pages)),
+            hasMore: allResults.some(r => r.hasMore)
+        };
+    },
+
+    async details(placeId, env, { keys } = {}) {
+        const searchParams = new URLSearchParams({
+            place_id: placeId,
+            key: keys?.google || env.GOOGLE_PLACES_API_KEY,
+            fields: [
+                'place_id', 'name', 'geometry', 'formatted_address',
+                'formatted_phone_number', 'website', 'opening_hours',
+                'current_opening_hours', 'price_level', 'types',
+                'editorial_summary', 'serves_breakfast', 'serves_lunch',
+                'serves_dinner', 'serves_brunch', 'photos', 'utc_offset'
+            ].join(',')
+        });
+
+        const url = `https://maps.googleapis.com/maps/api/place/details/json?${searchParams}`;
+        const data = await googleFetch(url, env, 'place_details');
+        return data.result ? this.normalize(data.result) : null;
+    },
+
+    async search(params, env) {
+        const searchParams = new URLSearchParams({
+            query: params.query,
+            key: params.keys?.google || env.GOOGLE_PLACES_API_KEY
+        });
+        // A location biases the results rather than restricting them
+        if (params.lat !== undefined && params.lng !== undefined) {
+            searchParams.append('location', `${params.lat},${params.lng}`);
+            searchParams.append('radius', params.radius);
+        }
+        if (params.type) searchParams.append('type', params.type);
+
+        const url = `https://maps.googleapis.com/maps/api/place/textsearch/json?${searchParams}`;
+        const data = await googleFetch(url, env, 'text_search');
+        return dedupePlaces((data.results || []).map(place => this.normalize(place)));
+    },
+
+    normalize(place) {
+        return fromGoogleLegacy(place);
+    }
+};
+
+// env.usage (see places-ratelimit.js) counts billable calls by provider and SKU
+async function googleFetch(url, env, sku) {
+    env?.usage?.record('google', sku);
+    const response = await upstreamFetch(env, url);
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw providerError('google', `${response.status} - ${data.error_message || 'Unknown error'}`, {
+            status: response.status,
+            quota: response.status === 429
+        });
+    }
+
+    // The legacy API reports most failures with HTTP 200 and a status field
+    if (GOOGLE_QUOTA_STATUSES.includes(data.status)) {
+        throw providerError('google', `${data.status} - ${data.error_message || 'Quota exceeded'}`, {
+            status: 429,
+            quota: true
+        });
+    }
+    if (data.status && !['OK', 'ZERO_RESULTS'].includes(data.status)) {
+        throw providerError('google', `${data.status} - ${data.error_message || 'Unknown error'}`);
+    }
+
+    return data;
+}
+
+// Follow next_page_token until maxPages have been read, results run out or
+// MAX_WAIT_MS is used up (hasMore stays true then)
+async function googleNearbyPages(searchParams, apiKey, maxPages, env) {
+    const baseUrl = 'https://maps.googleapis.com/maps/api/place/nearbysearch/json';
+    const deadline = Date.now() + GOOGLE_PAGINATION.MAX_WAIT_MS;
+    let data = await googleFetch(`${baseUrl}?${searchParams}`, env, 'nearby_search');
+    const results = [...(data.results || [])];
+    let pages = 1;
+
+    let nextPageToken = data.next_page_token;
+
+    while (nextPageToken && pages < maxPages) {
+        const pageParams = new URLSearchParams({ pagetoken: nextPageToken, key: apiKey });
+        data = await googleFetchPage(`${baseUrl}?${pageParams}`, env, deadline);
+        if (!data) break;
+        results.push(...(data.results || []));
+        nextPageToken = data.next_page_token;
+        pages++;
+    }
+
+    return { results, pages, hasMore: !!nextPageToken };
+}
+
+// Fetch a next_page_token page, waiting out INVALID_REQUEST while the token activates.
+// Returns null once waiting again would pass the deadline
+async function googleFetchPage(url, env, deadline) {
+    let delay = GOOGLE_PAGINATION.TOKEN_DELAY_MS;
+    while (Date.now() + delay <= deadline) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        try {
+            return await googleFetch(url, env, 'nearby_search');
+        } catch (error) {
+            if (!error.message.includes('INVALID_REQUEST')) throw error;
+        }
+        delay = GOOGLE_PAGINATION.RETRY_DELAY_MS;
+    }
+    console.error('Gave up waiting for next_page_token to become valid');
+    return null;
+}
+
+/* ================================
+    Radar.io
+   ================================ */
+const radarProvider = {
+    name: 'radar',
+
+    matchesId(id) {
+        // Radar ids are 24-char hex object ids
+        return /^[0-9a-f]{24}$/i.test(id || '');
+    },
+
+    async nearby(params, env) {
+        const apiKey = params.keys?.radar || env.RADAR_API_KEY;
+        if (!apiKey && !isOfflineMode(env)) {
+            throw providerError('radar', 'Missing API key', { status: 401 });
+        }
+
+        const url = new URL('https://api.radar.io/v1/search/places');
+        url.searchParams.set('near', `${params.lat},${params.lng}`);
+        url.searchParams.set('radius', Math.min(params.radius, 10000));
+        url.searchParams.set('limit', 100);
+        const category = RADAR_CATEGORY_MAP[params.type] || params.type;
+        if (category) url.searchParams.set('categories', category);
+
+        env.usage?.record('radar', 'search_places');
+        const response = await upstreamFetch(env, url, {
+            headers: { 'Authorization': apiKey }
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw providerError('radar', `${response.status} - ${data.meta?.message || 'Unknown error'}`, {
+                status: response.status,
+                quota: response.status === 429
+            });
+        }
+
+        let places = (data.places || []).map(place => this.normalize(place));
+
+        // Radar has no keyword search, so match keywords against name and categories
+        if (params.keywords?.length) {
+            const keywords = params.keywords.map(k => k.toLowerCase());
+            places = places.filter(place => {
+                const haystack = `${place.name} ${place.types.join(' ')}`.toLowerCase();
+                return keywords.some(keyword => haystack.includes(keyword));
+            });
+        }
+
+        // Radar returns everything in a single page
+        return { places: dedupePlaces(places), pages: 1, hasMore: false };
+    },
+
+    async details(placeId) {
+        // Radar does not offer a place details lookup
+        throw providerError('radar', `Place details not supported for ${placeId}`, { status: 501 });
+    },
+
+    async search(params, env) {
+        // Radar has no text search; match the query against places around the location
+        if (params.lat === undefined || params.lng === undefined) {
+            throw providerError('radar', 'Text search needs a location', { status: 501 });
+        }
+        const { places } = await this.nearby({ ...params, keywords: [params.query] }, env);
+        return places;
+    },
+
+    normalize(place) {
+        return fromRadar(place, GOOGLE_TYPE_MAP);
+    }
+};
+
+const PROVIDERS = {
+    google: googleProvider,
+    radar: radarProvider
+};
+
+function dedupePlaces(places) {
+    const seenPlaceIds = new Set();
+    return places.filter(place => {
+        if (seenPlaceIds.has(place.id)) return false;
+        seenPlaceIds.add(place.id);
+        return true;
+    });
+}
+
+// Ordered provider list: requested (or env default) first, then the rest
+function getProviderChain(requested, env) {
+    const first = PROVIDERS[requested] ? requested : (PROVIDERS[env?.PLACES_PROVIDER] ? env.PLACES_PROVIDER : 'google');
+    return [first, ...DEFAULT_PROVIDER_ORDER.filter(name => name !== first)]
+        .map(name => PROVIDERS[name]);
+}
+
+// Run `operation(provider)` against each provider in turn until one succeeds
+async function withProviderFallback(chain, operation) {
+    const errors = [];
+    for (const provider of chain) {
+        try {
+            const result = await operation(provider);
+            return { result, provider: provider.name, errors };
+        } catch (error) {
+            console.error(`Provider ${provider.name} failed${error.quota ? ' (quota)' : ''}:`, error.message);
+            errors.push(error);
+        }
+    }
+
+    const lastError = errors[errors.length - 1] || new Error('No providers available');
+    lastError.providerErrors = errors.map(e => e.message);
+    throw lastError;
+}
+
+export {
+    PROVIDERS,
+    DEFAULT_PROVIDER_ORDER,
+    getProviderChain,
+    withProviderFallback,
+    dedupePlaces,
+    GOOGLE_PAGINATION
+};
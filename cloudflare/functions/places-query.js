@@ -0,0 +1,124 @@
+/**
+ * Nearby Result Filtering & Sorting
+ *
+ * Applied to canonical places after the cache lookup, so cached grid cells and
+ * circles stay shared between requests with different filters.
+ *
+ * Query parameters:
+ * - openNow=true          Only places whose hours say they are open
+ * - minRating={0-5}       Only places rated at least this (unrated places are dropped)
+ * - priceLevels=1,2       Only places at one of these price levels (0-4)
+ * - types=bar,night_club  Only places with at least one of these types
+ * - origin={lat},{lng}    Adds `distance` (meters) to every place
+ * - sort=distance|rating|relevance
+ *     distance:  nearest first (needs an origin)
+ *     rating:    highest rated first, ties broken by number of ratings
+ *     relevance: provider order (default)
+ */
+
+import { distanceMeters } from './places-geo.js';
+
+const SORT_ORDERS = ['distance', 'rating', 'relevance'];
+
+function parseList(value) {
+    return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+function parseOrigin(value) {
+    const [lat, lng] = String(value || '').split(',').map(parseFloat);
+    return isNaN(lat) || isNaN(lng) ? null : { lat, lng };
+}
+
+/**
+ * Build filters from parsed parameter values, as the v1 routes get them from
+ * validateParams (see V1_PARAMS.nearby in nearby-places.js): priceLevels and
+ * types are lists, origin is the raw '{lat},{lng}' string. `fallbackOrigin` is
+ * used for distances when no explicit origin is given (e.g. the center of a
+ * circle search).
+ * Returns { filters } or { validationErrors } keyed by parameter name.
+ */
+function buildQueryFilters({ openNow = false, minRating = null, priceLevels = [], types = [], origin: originParam, sort = 'relevance' }, fallbackOrigin = null) {
+    const validationErrors = {};
+
+    const levels = priceLevels.map(Number);
+    if (levels.some(level => !Number.isInteger(level) || level < 0 || level > 4)) {
+        validationErrors.priceLevels = 'must be integers from 0 to 4';
+    }
+
+    const origin = originParam !== undefined ? parseOrigin(originParam) : fallbackOrigin;
+    if (originParam !== undefined && !origin) {
+        validationErrors.origin = 'must be {lat},{lng}';
+    } else if (sort === 'distance' && !origin) {
+        validationErrors.origin = 'is required for sort=distance';
+    }
+
+    if (Object.keys(validationErrors).length) {
+        return { validationErrors };
+    }
+    return {
+        filters: { openNow, minRating: minRating ?? null, priceLevels: levels, types, origin, sort }
+    };
+}
+
+/**
+ * Read filter options from the query string, for the unversioned routes.
+ * Returns { filters } or { error } for an invalid parameter.
+ */
+function parseQueryFilters(searchParams, fallbackOrigin = null) {
+    const sort = searchParams.get('sort') || 'relevance';
+    if (!SORT_ORDERS.includes(sort)) {
+        return { error: `sort must be one of ${SORT_ORDERS.join(', ')}` };
+    }
+
+    const minRating = searchParams.has('minRating') ? parseFloat(searchParams.get('minRating')) : null;
+    if (minRating !== null && isNaN(minRating)) {
+        return { error: 'minRating must be a number' };
+    }
+
+    const { filters, validationErrors } = buildQueryFilters({
+        openNow: searchParams.get('openNow') === 'true',
+        minRating,
+        priceLevels: parseList(searchParams.get('priceLevels')),
+        types: parseList(searchParams.get('types')),
+        origin: searchParams.has('origin') ? searchParams.get('origin') : undefined,
+        sort
+    }, fallbackOrigin);
+    if (validationErrors) {
+        const [name, message] = Object.entries(validationErrors)[0];
+        return { error: `${name} ${message}` };
+    }
+    return { filters };
+}
+
+function matchesFilters(place, filters) {
+    if (filters.openNow && place.hours?.openNow !== true) return false;
+    if (filters.minRating !== null && !(place.rating >= filters.minRating)) return false;
+    if (filters.priceLevels.length && !filters.priceLevels.includes(place.priceLevel)) return false;
+    if (filters.types.length && !filters.types.some(type => place.types?.includes(type))) return false;
+    return true;
+}
+
+const COMPARATORS = {
+    distance: (a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity),
+    rating: (a, b) => (b.rating ?? -1) - (a.rating ?? -1) || (b.userRatingCount ?? 0) - (a.userRatingCount ?? 0),
+    relevance: () => 0
+};
+
+// Filter, add distances and sort. Never mutates the (possibly cached) input places.
+function applyQueryFilters(places, filters) {
+    const results = places
+        .filter(place => matchesFilters(place, filters))
+        .map(place => filters.origin && place.location
+            ? { ...place, distance: Math.round(distanceMeters(filters.origin.lat, filters.origin.lng, place.location.lat, place.location.lng)) }
+            : place);
+
+    // Array.prototype.sort is stable, so relevance keeps provider order
+    return results.sort(COMPARATORS[filters.sort]);
+}
+
+export {
+    SORT_ORDERS,
+    buildQueryFilters,
+    parseQueryFilters,
+    applyQueryFilters
+};
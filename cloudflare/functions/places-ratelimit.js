@@ -0,0 +1,250 @@
+/**
+ * Rate Limiting & Upstream Quota Accounting
+ *
+ * Token buckets:
+ * - One bucket per API key and one per client IP (CF-Connecting-IP)
+ * - Photo requests ({ photo: true }) skip both and take from a larger per-IP
+ *   photo bucket instead, since one page renders dozens of images
+ * - Buckets live in isolate memory, so they are best-effort: each isolate in each
+ *   colo keeps its own, and N isolates allow N times the configured rate. They slow
+ *   down a runaway loop from one client, which tends to stay on one isolate, and
+ *   nothing more
+ * - The client ships one shared browser key, so the key bucket counts all users of
+ *   an isolate together and limits almost nothing; the per-IP bucket is the working
+ *   limit. Hard limits need a Durable Object or Cloudflare's rate limiting binding.
+ *   The enforced spend cap is the daily upstream quota below, which is shared
+ *   across isolates
+ *
+ * Daily upstream counters:
+ * - Every billable upstream call is recorded with usage.record(provider, sku)
+ * - At the end of the request the counts are added to this isolate's running totals,
+ *   written at most every USAGE.FLUSH_INTERVAL_MS to one KV entry per client, day and
+ *   isolate, `usage:daily:{YYYY-MM-DD}:{clientId}:{isolate id}` =
+ *   { total, providers: { [provider]: n } } (kept for 35 days). Like the metrics
+ *   entries (places-metrics.js), each isolate only overwrites its own key, so
+ *   increments are never lost to concurrent writers; only the last interval of an
+ *   evicted isolate is
+ * - The quota check adds up every isolate's total for the day from one KV list
+ *   (totals ride in the key metadata), re-read at most every USAGE.SNAPSHOT_MS,
+ *   plus this isolate's unflushed calls
+ * - A key whose upstream calls for the day reach its daily quota gets 429
+ *   until UTC midnight
+ *
+ * Configuration (env, all optional):
+ * - RATE_LIMIT_KEY:   '{capacity},{refillPerSecond}' for API key buckets
+ * - RATE_LIMIT_IP:    '{capacity},{refillPerSecond}' for IP buckets
+ * - RATE_LIMIT_PHOTO: '{capacity},{refillPerSecond}' for IP photo buckets
+ * - DAILY_UPSTREAM_QUOTA: upstream calls per API key per UTC day
+ *
+ * Client ids are a truncated SHA-256 of the API key so raw keys never end up
+ * in KV key names.
+ */
+
+import { recordUpstreamCall } from './places-metrics.js';
+
+const RATE_LIMITS = {
+    KEY: { capacity: 600, refillPerSecond: 10 },   // Per isolate, and the browser key is shared: a backstop only
+    IP: { capacity: 60, refillPerSecond: 1 },      // Burst of 60, then 1 request/second
+    PHOTO: { capacity: 300, refillPerSecond: 5 },  // A few pages of thumbnails at once
+    DAILY_UPSTREAM_QUOTA: 20000
+};
+
+const USAGE = {
+    KEY_PREFIX: 'usage:daily',
+    TTL: 60 * 60 * 24 * 35,         // Keep daily counters for 35 days
+    FLUSH_INTERVAL_MS: 10 * 1000,   // Stays under KV's one write per second per key
+    SNAPSHOT_MS: 60 * 1000          // Re-read other isolates' counters at most once a minute
+};
+const MAX_BUCKETS = 10000;          // Bound isolate memory
+
+const buckets = new Map();          // `${scope}:${id}` -> { tokens, updatedAt }
+const isolateUsage = new Map();     // clientId -> { date, total, providers, flushedAt }
+const quotaSnapshots = new Map();   // clientId -> { date, count, readAt }: other isolates' calls
+let isolateId = null;
+
+// Insert into a map of per-client state, dropping the oldest entry when full
+function setBounded(map, key, value) {
+    if (!map.has(key) && map.size >= MAX_BUCKETS) {
+        map.delete(map.keys().next().value);
+    }
+    map.set(key, value);
+    return value;
+}
+
+function parseLimit(value, fallback) {
+    const [capacity, refillPerSecond] = String(value || '').split(',').map(Number);
+    if (!(capacity > 0) || !(refillPerSecond > 0)) return fallback;
+    return { capacity, refillPerSecond };
+}
+
+// Take one token from a bucket. Returns seconds to wait if the bucket is empty, else 0.
+function takeToken(bucketKey, { capacity, refillPerSecond }) {
+    const now = Date.now();
+    const bucket = buckets.get(bucketKey) || setBounded(buckets, bucketKey, { tokens: capacity, updatedAt: now });
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens < 1) {
+        return Math.ceil((1 - bucket.tokens) / refillPerSecond);
+    }
+    bucket.tokens -= 1;
+    return 0;
+}
+
+async function getClientId(apiKey) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(apiKey));
+    return [...new Uint8Array(digest)].slice(0, 8).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function getUtcDate(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight(now = new Date()) {
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+function getUsagePrefix(date, clientId) {
+    return `${USAGE.KEY_PREFIX}:${date}:${clientId}:`;
+}
+
+// This isolate's running totals for a client today
+function getIsolateUsage(clientId, date = getUtcDate()) {
+    const usage = isolateUsage.get(clientId);
+    if (usage?.date === date) return usage;
+    return setBounded(isolateUsage, clientId, { date, total: 0, providers: {}, flushedAt: 0 });
+}
+
+// Today's upstream calls for a client across providers and isolates
+async function getDailyUpstreamCount(env, clientId) {
+    const date = getUtcDate();
+    const own = getIsolateUsage(clientId, date).total;
+    const snapshot = quotaSnapshots.get(clientId);
+    if (snapshot?.date === date && Date.now() - snapshot.readAt < USAGE.SNAPSHOT_MS) {
+        return snapshot.count + own;
+    }
+
+    let count = 0;
+    try {
+        let cursor;
+        do {
+            const list = await env.PLACES_KV.list({ prefix: getUsagePrefix(date, clientId), cursor });
+            for (const key of list.keys) {
+                if (!key.name.endsWith(`:${isolateId}`)) count += key.metadata?.total || 0;
+            }
+            cursor = list.list_complete ? null : list.cursor;
+        } while (cursor);
+    } catch (error) {
+        console.error('Usage read error:', error);
+    }
+
+    setBounded(quotaSnapshots, clientId, { date, count, readAt: Date.now() });
+    return count + own;
+}
+
+/**
+ * Check the key and IP buckets (the photo bucket for `photo` requests) and the
+ * daily upstream quota. Requests without an API key (enhanced-places on localhost)
+ * only have the IP bucket: their clientId is null, so no quota is checked and
+ * flushUsage records nothing.
+ * Returns { limited: false, clientId } or { limited: true, scope, retryAfter, clientId }.
+ */
+async function checkRateLimit(request, env, apiKey, { photo = false } = {}) {
+    const clientId = apiKey ? await getClientId(apiKey) : null;
+    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+
+    if (photo) {
+        const photoWait = takeToken(`photo:${ip}`, parseLimit(env.RATE_LIMIT_PHOTO, RATE_LIMITS.PHOTO));
+        if (photoWait) {
+            return { limited: true, scope: 'photo', retryAfter: photoWait, clientId };
+        }
+    } else {
+        const keyWait = clientId ? takeToken(`key:${clientId}`, parseLimit(env.RATE_LIMIT_KEY, RATE_LIMITS.KEY)) : 0;
+        if (keyWait) {
+            return { limited: true, scope: 'key', retryAfter: keyWait, clientId };
+        }
+
+        const ipWait = takeToken(`ip:${ip}`, parseLimit(env.RATE_LIMIT_IP, RATE_LIMITS.IP));
+        if (ipWait) {
+            return { limited: true, scope: 'ip', retryAfter: ipWait, clientId };
+        }
+    }
+
+    const quota = parseInt(env.DAILY_UPSTREAM_QUOTA) || RATE_LIMITS.DAILY_UPSTREAM_QUOTA;
+    if (clientId && env.PLACES_KV && await getDailyUpstreamCount(env, clientId) >= quota) {
+        return { limited: true, scope: 'daily_quota', retryAfter: secondsUntilUtcMidnight(), clientId };
+    }
+
+    return { limited: false, clientId };
+}
+
+function rateLimitHeaders(result) {
+    return {
+        'Retry-After': String(result.retryAfter),
+        'X-RateLimit-Scope': result.scope
+    };
+}
+
+// Per-request recorder for billable upstream calls
+function createUsageTracker(clientId) {
+    const counts = new Map();   // `${provider}:${sku}` -> count
+    return {
+        clientId,
+        counts,
+        record(provider, sku = 'default', count = 1) {
+            const key = `${provider}:${sku}`;
+            counts.set(key, (counts.get(key) || 0) + count);
+            recordUpstreamCall(provider, sku, count);
+        }
+    };
+}
+
+/**
+ * Add a request's upstream calls to this isolate's daily totals, and write them
+ * to the isolate's KV counter if FLUSH_INTERVAL_MS has passed since the last write.
+ */
+async function flushUsage(env, usage) {
+    if (!usage?.clientId || !usage.counts.size || !env.PLACES_KV) return;
+    const date = getUtcDate();
+    const current = getIsolateUsage(usage.clientId, date);
+    for (const [name, count] of usage.counts) {
+        const provider = name.split(':')[0];
+        current.providers[provider] = (current.providers[provider] || 0) + count;
+        current.total += count;
+    }
+    usage.counts.clear();
+
+    if (Date.now() - current.flushedAt < USAGE.FLUSH_INTERVAL_MS) return;
+    current.flushedAt = Date.now();
+
+    // Random values aren't available at global scope in Workers, so the id is made on first flush
+    isolateId ||= crypto.randomUUID().slice(0, 8);
+    try {
+        await env.PLACES_KV.put(`${getUsagePrefix(date, usage.clientId)}${isolateId}`, JSON.stringify({
+            total: current.total,
+            providers: current.providers
+        }), {
+            expirationTtl: USAGE.TTL,
+            metadata: { total: current.total, timestamp: Date.now() }
+        });
+    } catch (error) {
+        console.error('Usage write error:', error);
+    }
+}
+
+// env view that carries the request's usage tracker alongside the bindings
+function withUsage(env, usage) {
+    return Object.create(env, { usage: { value: usage } });
+}
+
+export {
+    RATE_LIMITS,
+    checkRateLimit,
+    rateLimitHeaders,
+    createUsageTracker,
+    flushUsage,
+    withUsage,
+    getClientId
+};
@@ -0,0 +1,141 @@
+/**
+ * Versioned Route Helpers
+ *
+ * Shared by the /v1 routes of the places worker (see nearby-places.js) and by
+ * enhanced-places.js:
+ * - matchRoute: method + path lookup in a route table, with :param segments.
+ *   A colon inside a segment is literal, so '/v1/places:search' and
+ *   '/v1/places/:id' are different routes
+ * - validateParams: query string parsing against a small schema
+ * - createResponse: the response envelope; each worker wraps it with its CORS
+ *   headers and API version
+ *
+ * Envelope:
+ *   { success: true,  data, timestamp, debug: { status, apiVersion } }
+ *   { success: false, error: { message, code, validationErrors }, timestamp, debug }
+ *
+ * Param schema, per parameter:
+ *   { type: 'number' | 'integer' | 'string' | 'boolean' | 'enum' | 'list',
+ *     required, default, min, max, maxLength, values, multiple }
+ * min / max bound numbers, values lists the allowed enum values. A `multiple`
+ * param may be repeated (?keyword=a&keyword=b); every value is checked and the
+ * param comes back as an array.
+ */
+
+/**
+ * The route for a request, as { route, params }. A path that exists for other
+ * methods gives { allowed: [methods] }; an unknown path gives null.
+ */
+function matchRoute(routes, method, pathname) {
+    const segments = pathname.replace(/\/+$/, '').split('/');
+    const allowed = [];
+
+    for (const route of routes) {
+        const pattern = route.path.split('/');
+        if (pattern.length !== segments.length) continue;
+
+        const params = {};
+        const matches = pattern.every((part, i) => {
+            if (!part.startsWith(':')) return part === segments[i];
+            if (!segments[i]) return false;
+            try {
+                params[part.slice(1)] = decodeURIComponent(segments[i]);
+            } catch (error) {
+                return false;
+            }
+            return true;
+        });
+        if (!matches) continue;
+
+        if (route.method === method) return { route, params };
+        allowed.push(route.method);
+    }
+
+    return allowed.length ? { allowed } : null;
+}
+
+function parseValue(raw, rule) {
+    switch (rule.type) {
+        case 'number':
+        case 'integer': {
+            const value = Number(raw);
+            if (raw.trim() === '' || !Number.isFinite(value)) return { error: 'must be a number' };
+            if (rule.type === 'integer' && !Number.isInteger(value)) return { error: 'must be an integer' };
+            if (rule.min !== undefined && value < rule.min) return { error: `must be at least ${rule.min}` };
+            if (rule.max !== undefined && value > rule.max) return { error: `must be at most ${rule.max}` };
+            return { value };
+        }
+        case 'boolean':
+            if (raw !== 'true' && raw !== 'false') return { error: 'must be true or false' };
+            return { value: raw === 'true' };
+        case 'enum':
+            if (!rule.values.includes(raw)) return { error: `must be one of ${rule.values.join(', ')}` };
+            return { value: raw };
+        case 'list':
+            return { value: raw.split(',').map(item => item.trim()).filter(Boolean) };
+        default: {
+            const value = raw.trim();
+            if (!value) return { error: 'must not be empty' };
+            if (rule.maxLength && value.length > rule.maxLength) return { error: `must be at most ${rule.maxLength} characters` };
+            return { value };
+        }
+    }
+}
+
+/**
+ * Parse searchParams against a schema. Returns { params }, with defaults
+ * filled in and absent optional params left undefined, or { validationErrors }
+ * mapping each bad param to what is wrong with it.
+ */
+function validateParams(searchParams, schema) {
+    const params = {};
+    const validationErrors = {};
+
+    for (const [name, rule] of Object.entries(schema)) {
+        if (!searchParams.has(name)) {
+            if (rule.required) validationErrors[name] = 'is required';
+            else params[name] = rule.default;
+            continue;
+        }
+
+        const values = rule.multiple ? searchParams.getAll(name) : [searchParams.get(name)];
+        const parsed = values.map(raw => parseValue(raw, rule));
+        const failed = parsed.find(result => result.error);
+        if (failed) validationErrors[name] = failed.error;
+        else params[name] = rule.multiple ? parsed.map(result => result.value) : parsed[0].value;
+    }
+
+    return Object.keys(validationErrors).length ? { validationErrors } : { params };
+}
+
+function createResponse(data, status = 200, headers = {}, apiVersion = null) {
+    const response = {
+        success: status >= 200 && status < 300,
+        data,
+        timestamp: new Date().toISOString(),
+        debug: {
+            status,
+            apiVersion
+        }
+    };
+
+    if (!response.success) {
+        response.error = {
+            message: data.message || 'Unknown error',
+            code: status,
+            validationErrors: data.validationErrors
+        };
+        delete response.data;
+    }
+
+    return new Response(JSON.stringify(response), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
+
+export {
+    matchRoute,
+    validateParams,
+    createResponse
+};
@@ -0,0 +1,449 @@
+/**
+ * Upstream Fetch & Provider Modes
+ *
+ * Every call to Google, Radar or Mapbox goes through upstreamFetch(env, url, init),
+ * which PROVIDER_MODE can point away from the network so the workers run under
+ * `wrangler dev` with no keys and no connectivity:
+ *
+ * - live (default): plain fetch
+ * - record:  fetch, and store each response in the recordings store
+ * - replay:  answer from the recordings store only; a request that was never
+ *            recorded throws, so a gap shows up as a provider error
+ * - fixture: synthesize provider responses from a local places dataset
+ *
+ * Recordings:
+ * - Stored in the PROVIDER_RECORDINGS KV namespace if bound, else PLACES_KV,
+ *   under recordings:{sha256 of the request}, without expiry. Under wrangler dev
+ *   that is the local KV store on disk (.wrangler/state, or --persist-to)
+ * - Requests match on method, URL, field mask and body. API keys, access tokens
+ *   and autocomplete session tokens are left out, so recordings hold no secrets
+ *   and replay across sessions. Binary bodies (photos) are stored as base64
+ * - Each entry's metadata carries the request ({ request, status, timestamp }),
+ *   so they can be listed with GET /admin/cache/keys?prefix=recordings:
+ *
+ * Fixture dataset:
+ * - Every JSON array stored in PLACES_KV under a `fixtures:places` prefix, in any
+ *   format normalizePlace accepts (Google, Radar, Barzo venues, canonical), e.g.
+ *     wrangler kv key put --local --binding PLACES_KV fixtures:places:out --path out.json
+ *     wrangler kv key put --local --binding PLACES_KV fixtures:places:venues --path private/venues.json
+ * - Loaded once per isolate, by one read shared between concurrent requests
+ *   (re-read while still empty)
+ * - Served as Google (legacy and New), Radar and Mapbox responses. Google ids are
+ *   FIXTURE_ID_PREFIX + the dataset id, so details lookups route to Google.
+ *   Nearby searches return places within the radius, narrowed by type and keyword
+ *   when any of them match; reverse geocoding answers with the nearest place's address.
+ *   Photo requests get a gray placeholder image
+ *
+ * Responses cached in PLACES_KV while in replay or fixture mode are cached like
+ * live ones; use a local or preview namespace.
+ */
+
+import { normalizePlaces } from '../../public/src/utils/placeModel.js';
+import { distanceMeters } from './places-geo.js';
+
+const PROVIDER_MODES = ['live', 'record', 'replay', 'fixture'];
+
+const RECORDINGS_PREFIX = 'recordings:';
+const FIXTURES_PREFIX = 'fixtures:places';
+const FIXTURE_ID_PREFIX = 'fixture-';
+
+// Left out of recording keys: secrets, and tokens that change every session
+const VOLATILE_PARAMS = ['key', 'access_token', 'sessionToken'];
+
+const FIXTURE = {
+    MAX_RESULTS: 20,
+    DEFAULT_RADIUS: 5000,
+    MAX_GEOCODE_DISTANCE: 5000     // Meters; farther than this reverse geocoding finds nothing
+};
+
+const V1_PRICE_LEVELS = ['PRICE_LEVEL_FREE', 'PRICE_LEVEL_INEXPENSIVE', 'PRICE_LEVEL_MODERATE', 'PRICE_LEVEL_EXPENSIVE', 'PRICE_LEVEL_VERY_EXPENSIVE'];
+
+let fixtureLoad = null;     // Promise of the fixture places, shared by concurrent requests
+
+function getProviderMode(env) {
+    const mode = env?.PROVIDER_MODE || 'live';
+    if (!PROVIDER_MODES.includes(mode)) {
+        throw new Error(`PROVIDER_MODE must be one of ${PROVIDER_MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+// replay and fixture never reach the network, so provider keys are optional
+function isOfflineMode(env) {
+    return ['replay', 'fixture'].includes(getProviderMode(env));
+}
+
+/**
+ * fetch() for upstream provider calls, honoring PROVIDER_MODE
+ */
+async function upstreamFetch(env, input, init = {}) {
+    switch (getProviderMode(env)) {
+        case 'record': return recordFetch(env, input, init);
+        case 'replay': return replayFetch(env, input, init);
+        case 'fixture': return fixtureFetch(await loadFixturePlaces(env), input, init);
+        default: return fetch(input, init);
+    }
+}
+
+/* ================================
+    Record / replay
+   ================================ */
+function getRecordingsStore(env) {
+    return env.PROVIDER_RECORDINGS || env.PLACES_KV;
+}
+
+// Stable description of a request, without secrets or session tokens
+function describeRequest(input, init) {
+    const url = new URL(String(input));
+    VOLATILE_PARAMS.forEach(param => url.searchParams.delete(param));
+    url.searchParams.sort();
+
+    let body = typeof init.body === 'string' ? init.body : '';
+    try {
+        const json = JSON.parse(body);
+        VOLATILE_PARAMS.forEach(param => delete json[param]);
+        body = JSON.stringify(json);
+    } catch (error) {
+        // Not JSON; match the body as is
+    }
+
+    const fieldMask = new Headers(init.headers).get('X-Goog-FieldMask') || '';
+    return [init.method || 'GET', url.toString(), fieldMask, body].join('\n');
+}
+
+async function getRecordingKey(request) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(request));
+    const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${RECORDINGS_PREFIX}${hex}`;
+}
+
+// Photos and other binary bodies are stored as base64
+function isTextContent(contentType) {
+    return !contentType || /^text\/|json|xml/.test(contentType);
+}
+
+function toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+async function recordFetch(env, input, init) {
+    const response = await fetch(input, init);
+    const request = describeRequest(input, init);
+    const contentType = response.headers.get('Content-Type');
+    const text = isTextContent(contentType);
+    const body = text
+        ? await response.clone().text()
+        : toBase64(await response.clone().arrayBuffer());
+
+    await getRecordingsStore(env).put(await getRecordingKey(request), JSON.stringify({
+        status: response.status,
+        contentType,
+        encoding: text ? 'text' : 'base64',
+        body
+    }), {
+        metadata: { request: request.split('\n').slice(0, 2).join(' '), status: response.status, timestamp: Date.now() }
+    });
+    console.log(`Recorded ${request.split('\n').slice(0, 2).join(' ')}`);
+    return response;
+}
+
+async function replayFetch(env, input, init) {
+    const request = describeRequest(input, init);
+    const recording = await getRecordingsStore(env).get(await getRecordingKey(request), { type: 'json' });
+    if (!recording) {
+        throw new Error(`replay: no recording for ${request.split('\n').slice(0, 2).join(' ')}`);
+    }
+    const body = recording.encoding === 'base64'
+        ? Uint8Array.from(atob(recording.body), char => char.charCodeAt(0))
+        : recording.body;
+    return new Response(body, {
+        status: recording.status,
+        headers: { 'Content-Type': recording.contentType || 'application/json' }
+    });
+}
+
+/* ================================
+    Fixtures
+   ================================ */
+// One read shared by every request in the isolate. An empty or failed load is
+// dropped, so a dataset seeded after the first request is still picked up
+function loadFixturePlaces(env) {
+    fixtureLoad ||= readFixturePlaces(env).then(places => {
+        if (!places.length) fixtureLoad = null;
+        return places;
+    }, error => {
+        fixtureLoad = null;
+        throw error;
+    });
+    return fixtureLoad;
+}
+
+async function readFixturePlaces(env) {
+    const { keys } = await env.PLACES_KV.list({ prefix: FIXTURES_PREFIX });
+    const datasets = await Promise.all(keys.map(key => env.PLACES_KV.get(key.name, { type: 'json' })));
+    return normalizePlaces(datasets.flat().filter(Boolean)).filter(place => place.location);
+}
+
+function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function matchesText(place, text) {
+    const haystack = `${place.name} ${place.address || ''} ${place.types.join(' ')}`.toLowerCase();
+    const words = String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    return words.length > 0 && words.every(word => haystack.includes(word));
+}
+
+// Places within `radius` of the center (nearest first), or every place without a center
+function placesNear(places, center, radius) {
+    if (!center) return places;
+    return places
+        .map(place => ({ place, distance: distanceMeters(center.lat, center.lng, place.location.lat, place.location.lng) }))
+        .filter(({ distance }) => distance <= radius)
+        .sort((a, b) => a.distance - b.distance)
+        .map(({ place }) => place);
+}
+
+// Narrow by a filter only when something matches, so sparse datasets still return places
+function narrow(places, filter) {
+    const matching = places.filter(filter);
+    return matching.length ? matching : places;
+}
+
+function findFixturePlace(places, id) {
+    const datasetId = id.startsWith(FIXTURE_ID_PREFIX) ? id.slice(FIXTURE_ID_PREFIX.length) : id;
+    return places.find(place => place.id === datasetId) || null;
+}
+
+function parseLatLng(value) {
+    const [lat, lng] = String(value || '').split(',').map(parseFloat);
+    return isNaN(lat) || isNaN(lng) ? null : { lat, lng };
+}
+
+// '719 N Franklin St, Tampa, FL 33602' -> { street, city, region, postalCode }
+function addressParts(address) {
+    const [street, city, rest = ''] = String(address || '').split(',').map(part => part.trim());
+    return {
+        street: street || null,
+        city: city || null,
+        region: rest.match(/\b[A-Z]{2}\b/)?.[0] || null,
+        postalCode: (rest || city || '').match(/\b\d{5}\b/)?.[0] || null
+    };
+}
+
+function toGoogleLegacy(place) {
+    return {
+        place_id: `${FIXTURE_ID_PREFIX}${place.id}`,
+        name: place.name,
+        formatted_address: place.address,
+        vicinity: place.vicinity || place.address,
+        geometry: { location: { lat: place.location.lat, lng: place.location.lng } },
+        types: place.types,
+        rating: place.rating ?? undefined,
+        user_ratings_total: place.userRatingCount ?? undefined,
+        price_level: place.priceLevel ?? undefined,
+        website: place.website || undefined,
+        formatted_phone_number: place.phone || undefined,
+        editorial_summary: place.summary ? { overview: place.summary } : undefined,
+        business_status: place.businessStatus || 'OPERATIONAL',
+        opening_hours: place.hours?.weekdayText?.length
+            ? { open_now: place.hours.openNow, weekday_text: place.hours.weekdayText }
+            : undefined
+    };
+}
+
+function toGoogleV1(place) {
+    return {
+        id: `${FIXTURE_ID_PREFIX}${place.id}`,
+        displayName: { text: place.name, languageCode: 'en' },
+        formattedAddress: place.address,
+        shortFormattedAddress: place.vicinity || place.address,
+        location: { latitude: place.location.lat, longitude: place.location.lng },
+        types: place.types,
+        primaryType: place.primaryType || undefined,
+        rating: place.rating ?? undefined,
+        userRatingCount: place.userRatingCount ?? undefined,
+        priceLevel: V1_PRICE_LEVELS[place.priceLevel],
+        websiteUri: place.website || undefined,
+        nationalPhoneNumber: place.phone || undefined,
+        editorialSummary: place.summary ? { text: place.summary } : undefined,
+        businessStatus: place.businessStatus || 'OPERATIONAL'
+    };
+}
+
+function toRadar(place) {
+    return {
+        _id: place.id,
+        name: place.name,
+        formattedAddress: place.address,
+        location: { type: 'Point', coordinates: [place.location.lng, place.location.lat] },
+        categories: place.types.map(type => type.replace(/_/g, '-'))
+    };
+}
+
+function toGeocoded(place) {
+    const parts = addressParts(place.address);
+    return { place, ...parts, formattedAddress: place.address || place.name };
+}
+
+function toMapboxFeature({ place, street, city, region, postalCode, formattedAddress }) {
+    return {
+        id: `address.${place.id}`,
+        place_name: formattedAddress,
+        text: street || place.name,
+        center: [place.location.lng, place.location.lat],
+        context: [
+            postalCode && { id: 'postcode.fixture', text: postalCode },
+            city && { id: 'place.fixture', text: city },
+            region && { id: 'region.fixture', text: region, short_code: `US-${region}` },
+            { id: 'country.fixture', text: 'United States', short_code: 'us' }
+        ].filter(Boolean)
+    };
+}
+
+function toGoogleGeocode({ place, city, region, postalCode, formattedAddress }) {
+    return {
+        formatted_address: formattedAddress,
+        geometry: { location: { lat: place.location.lat, lng: place.location.lng } },
+        address_components: [
+            city && { long_name: city, short_name: city, types: ['locality'] },
+            region && { long_name: region, short_name: region, types: ['administrative_area_level_1'] },
+            postalCode && { long_name: postalCode, short_name: postalCode, types: ['postal_code'] },
+            { long_name: 'United States', short_name: 'US', types: ['country'] }
+        ].filter(Boolean)
+    };
+}
+
+function toRadarAddress({ place, street, city, region, postalCode, formattedAddress }) {
+    return {
+        formattedAddress,
+        addressLabel: street,
+        placeLabel: place.name,
+        city,
+        state: region,
+        stateCode: region,
+        postalCode,
+        country: 'United States',
+        countryCode: 'US',
+        latitude: place.location.lat,
+        longitude: place.location.lng
+    };
+}
+
+function nearestPlace(places, center) {
+    return placesNear(places, center, FIXTURE.MAX_GEOCODE_DISTANCE)[0] || null;
+}
+
+/**
+ * Provider response for an upstream request, synthesized from canonical `places`
+ */
+function fixtureFetch(places, input, init = {}) {
+    const url = new URL(String(input));
+    const params = url.searchParams;
+    const body = typeof init.body === 'string' ? JSON.parse(init.body) : {};
+    const endpoint = `${url.hostname}${url.pathname}`;
+    const limit = results => results.slice(0, FIXTURE.MAX_RESULTS);
+
+    // Google Places (legacy)
+    if (endpoint === 'maps.googleapis.com/maps/api/place/nearbysearch/json') {
+        let results = placesNear(places, parseLatLng(params.get('location')), parseFloat(params.get('radius')) || FIXTURE.DEFAULT_RADIUS);
+        if (params.get('type')) results = narrow(results, place => place.types.includes(params.get('type')));
+        if (params.get('keyword')) results = narrow(results, place => matchesText(place, params.get('keyword')));
+        return jsonResponse({ status: results.length ? 'OK' : 'ZERO_RESULTS', results: limit(results).map(toGoogleLegacy) });
+    }
+    if (endpoint === 'maps.googleapis.com/maps/api/place/textsearch/json') {
+        const results = placesNear(places, parseLatLng(params.get('location')), Infinity)
+            .filter(place => matchesText(place, params.get('query')));
+        return jsonResponse({ status: results.length ? 'OK' : 'ZERO_RESULTS', results: limit(results).map(toGoogleLegacy) });
+    }
+    if (endpoint === 'maps.googleapis.com/maps/api/place/details/json') {
+        const place = findFixturePlace(places, params.get('place_id') || '');
+        return jsonResponse(place ? { status: 'OK', result: toGoogleLegacy(place) } : { status: 'NOT_FOUND' });
+    }
+
+    // Photos (legacy and New): a placeholder image of the requested width
+    if (endpoint === 'maps.googleapis.com/maps/api/place/photo' || (url.hostname === 'places.googleapis.com' && url.pathname.endsWith('/media'))) {
+        const width = parseInt(params.get('maxwidth') || params.get('maxWidthPx')) || 400;
+        const height = Math.round(width * 0.75);
+        return new Response(
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><rect width="100%" height="100%" fill="#d8d8d8"/></svg>`,
+            { headers: { 'Content-Type': 'image/svg+xml' } }
+        );
+    }
+
+    // Google Places (New)
+    if (endpoint === 'places.googleapis.com/v1/places:searchText') {
+        const center = body.locationBias?.circle?.center;
+        const results = placesNear(places, center && { lat: center.latitude, lng: center.longitude }, Infinity)
+            .filter(place => matchesText(place, body.textQuery));
+        return jsonResponse({ places: limit(results).map(toGoogleV1) });
+    }
+    if (endpoint === 'places.googleapis.com/v1/places:autocomplete') {
+        const origin = body.origin && { lat: body.origin.latitude, lng: body.origin.longitude };
+        const results = placesNear(places, origin, Infinity)
+            .filter(place => place.name.toLowerCase().includes(String(body.input || '').toLowerCase()));
+        return jsonResponse({
+            suggestions: results.slice(0, 5).map(place => ({
+                placePrediction: {
+                    placeId: `${FIXTURE_ID_PREFIX}${place.id}`,
+                    text: { text: [place.name, place.address].filter(Boolean).join(', ') },
+                    structuredFormat: { mainText: { text: place.name }, secondaryText: { text: place.address || '' } },
+                    types: place.types,
+                    distanceMeters: origin ? Math.round(distanceMeters(origin.lat, origin.lng, place.location.lat, place.location.lng)) : undefined
+                }
+            }))
+        });
+    }
+    if (endpoint.startsWith('places.googleapis.com/v1/places/')) {
+        const place = findFixturePlace(places, decodeURIComponent(url.pathname.split('/').pop()));
+        return place
+            ? jsonResponse(toGoogleV1(place))
+            : jsonResponse({ error: { code: 404, message: 'Place not found', status: 'NOT_FOUND' } }, 404);
+    }
+
+    // Radar
+    if (endpoint === 'api.radar.io/v1/search/places') {
+        let results = placesNear(places, parseLatLng(params.get('near')), parseFloat(params.get('radius')) || FIXTURE.DEFAULT_RADIUS);
+        const categories = (params.get('categories') || '').split(',').filter(Boolean);
+        if (categories.length) results = narrow(results, place => toRadar(place).categories.some(category => categories.includes(category)));
+        return jsonResponse({ meta: { code: 200 }, places: limit(results).map(toRadar) });
+    }
+
+    // Geocoding
+    if (endpoint === 'maps.googleapis.com/maps/api/geocode/json') {
+        const results = params.has('latlng')
+            ? [nearestPlace(places, parseLatLng(params.get('latlng')))].filter(Boolean)
+            : places.filter(place => matchesText(place, params.get('address')));
+        return jsonResponse({ status: results.length ? 'OK' : 'ZERO_RESULTS', results: results.slice(0, 5).map(place => toGoogleGeocode(toGeocoded(place))) });
+    }
+    if (url.hostname === 'api.mapbox.com' && url.pathname.startsWith('/geocoding/')) {
+        const query = decodeURIComponent(url.pathname.split('/').pop().replace(/\.json$/, ''));
+        const [lng, lat] = query.split(',').map(parseFloat);
+        const results = !isNaN(lat) && !isNaN(lng) && query.includes(',') && !/[a-z]/i.test(query)
+            ? [nearestPlace(places, { lat, lng })].filter(Boolean)
+            : places.filter(place => matchesText(place, query));
+        return jsonResponse({ type: 'FeatureCollection', features: results.slice(0, 5).map(place => toMapboxFeature(toGeocoded(place))) });
+    }
+    if (endpoint === 'api.radar.io/v1/geocode/reverse' || endpoint === 'api.radar.io/v1/geocode/forward') {
+        const results = params.has('coordinates')
+            ? [nearestPlace(places, parseLatLng(params.get('coordinates')))].filter(Boolean)
+            : places.filter(place => matchesText(place, params.get('query')));
+        return jsonResponse({ meta: { code: 200 }, addresses: results.slice(0, 5).map(place => toRadarAddress(toGeocoded(place))) });
+    }
+
+    return jsonResponse({ error: { message: `No fixture for ${endpoint}` } }, 501);
+}
+
+export {
+    PROVIDER_MODES,
+    FIXTURE_ID_PREFIX,
+    getProviderMode,
+    isOfflineMode,
+    upstreamFetch,
+    fixtureFetch
+};
@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import authFunction from '../auth-function.js';
+
+const SUPABASE_URL = 'https://supabase.example';
+const env = { SUPABASE_URL, SUPABASE_SERVICE_KEY: 'service-key', JWT_SECRET_TOKEN_SB: 'jwt-secret' };
+
+const barzoUsers = {
+    prod: { 'b-1': { id: 'b-1', phone: '+1 555-123-4567', email: 'ana@example.com' } },
+    dev: { 'b-1': { id: 'b-1', phone: '+1 555-123-4567', email: 'ana@example.com' } }
+};
+
+// Minimal Supabase: auth.users with unique phone and email, and external_identities
+function createSupabase() {
+    const users = [];
+    const identities = [];
+    const calls = [];
+
+    async function handle(url, init) {
+        const body = init?.body ? JSON.parse(init.body) : null;
+        calls.push(`${init?.method || 'GET'} ${url.pathname}`);
+
+        if (url.pathname === '/rest/v1/external_identities' && (init?.method || 'GET') === 'GET') {
+            const match = identities.find(identity =>
+                `eq.${identity.service}` === url.searchParams.get('service') &&
+                `eq.${identity.environment}` === url.searchParams.get('environment') &&
+                `eq.${identity.external_id}` === url.searchParams.get('external_id'));
+            return Response.json(match ? [{ user_id: match.user_id }] : []);
+        }
+        if (url.pathname === '/rest/v1/external_identities') {
+            const taken = identities.some(identity => identity.service === body.service &&
+                ((identity.environment === body.environment && identity.external_id === body.external_id) || identity.user_id === body.user_id));
+            if (taken) return new Response('duplicate key', { status: 409 });
+            identities.push(body);
+            return new Response(null, { status: 201 });
+        }
+        if (url.pathname === '/rest/v1/rpc/search_auth_user') {
+            const user = users.find(user => user.phone === body.p_phone || (body.p_email && user.email === body.p_email));
+            return Response.json(user ? [user] : []);
+        }
+        if (url.pathname === '/auth/v1/admin/users') {
+            if (users.some(user => (body.phone && user.phone === body.phone) || user.email === body.email)) {
+                return new Response('already registered', { status: 422 });
+            }
+            const user = { id: `sb-${users.length + 1}`, phone: body.phone || null, email: body.email, private_metadata: null };
+            users.push(user);
+            return Response.json(user);
+        }
+        return new Response('not found', { status: 404 });
+    }
+
+    return { users, identities, calls, handle };
+}
+
+function login(id, environment = 'prod') {
+    return authFunction.fetch(new Request('https://auth.example.com/', {
+        method: 'POST',
+        body: JSON.stringify({ externalToken: { id, bearer: 'barzo-token', env: environment } })
+    }), env).then(response => response.json());
+}
+
+describe('Auth Function', () => {
+    let supabase;
+
+    beforeEach(() => {
+        supabase = createSupabase();
+        global.fetch = async (input, init) => {
+            const url = new URL(String(input));
+            if (url.origin === SUPABASE_URL) return supabase.handle(url, init);
+
+            const environment = url.hostname === 'api.dev.barzo.com' ? 'dev' : 'prod';
+            const user = barzoUsers[environment][url.pathname.split('/').pop()];
+            return user ? Response.json(user) : new Response('not found', { status: 404 });
+        };
+    });
+
+    it('should keep one Supabase user per Barzo user across logins', async () => {
+        const first = await login('b-1');
+        const second = await login('b-1');
+
+        expect(second.user.id).toBe(first.user.id);
+        expect(supabase.users).toHaveLength(1);
+        expect(supabase.users[0].phone).toBe('15551234567');
+        expect(supabase.calls.filter(call => call === 'POST /auth/v1/admin/users')).toHaveLength(1);
+    });
+
+    it('should claim a loaded prod user found by its digits-only phone', async () => {
+        supabase.users.push({ id: 'sb-loaded', phone: '15551234567', email: 'other@example.com', private_metadata: { identity: { external_id: 'b-1' } } });
+
+        expect((await login('b-1')).user.id).toBe('sb-loaded');
+        expect(supabase.identities).toEqual([{ service: 'barzo', environment: 'prod', external_id: 'b-1', user_id: 'sb-loaded' }]);
+    });
+
+    it('should give the dev user with the same phone a separate Supabase user', async () => {
+        const prod = await login('b-1', 'prod');
+        const dev = await login('b-1', 'dev');
+
+        expect(dev.user.id).not.toBe(prod.user.id);
+        expect(supabase.users[1]).toMatchObject({ phone: null, email: 'dev-b-1@placeholder.com' });
+        expect((await login('b-1', 'dev')).user.id).toBe(dev.user.id);
+    });
+
+    it('should not claim a user loaded for another Barzo user', async () => {
+        supabase.users.push({ id: 'sb-other', phone: '15551234567', email: 'ana@example.com', private_metadata: { identity: { external_id: 'b-2' } } });
+
+        const { user } = await login('b-1');
+        expect(user.id).not.toBe('sb-other');
+        expect(supabase.identities[0]).toMatchObject({ external_id: 'b-1', user_id: user.id });
+    });
+});
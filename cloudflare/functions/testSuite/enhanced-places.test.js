@@ -1,4 +1,5 @@
 import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import handler from '../enhanced-places.js';
 
 const mockEnv = {
     // Use environment variables from .dev.vars
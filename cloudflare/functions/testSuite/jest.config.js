@@ -1,11 +1,12 @@
 module.exports = {
+    rootDir: '..',
     testEnvironment: 'node',
     transform: {
-        '^.+\\.jsx?$': 'babel-jest'
+        '^.+\\.jsx?$': ['babel-jest', { presets: [['@babel/preset-env', { targets: { node: 'current' } }]] }]
     },
     testMatch: ['**/testSuite/**/*.test.js'],
     setupFiles: ['./testSuite/setup.js'],
     testEnvironmentOptions: {
         env: process.env
     }
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,66 @@
+/**
+ * In-memory stand-in for a Workers KV namespace: get, getWithMetadata, put,
+ * delete and cursor-paginated list, with expirationTtl honored on read.
+ * `pageSize` caps list pages so tests can exercise cursor loops.
+ */
+export function createMemoryKV({ pageSize = 1000 } = {}) {
+    const entries = new Map();
+
+    function live(key) {
+        const entry = entries.get(key);
+        if (entry?.expiration && entry.expiration <= Date.now() / 1000) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    function decode(value, options) {
+        const type = typeof options === 'string' ? options : options?.type;
+        return type === 'json' ? JSON.parse(value) : value;
+    }
+
+    return {
+        entries,
+
+        async get(key, options) {
+            const entry = live(key);
+            return entry ? decode(entry.value, options) : null;
+        },
+
+        async getWithMetadata(key, options) {
+            const entry = live(key);
+            return entry
+                ? { value: decode(entry.value, options), metadata: entry.metadata ?? null }
+                : { value: null, metadata: null };
+        },
+
+        async put(key, value, { expirationTtl, metadata } = {}) {
+            entries.set(key, {
+                value,
+                metadata,
+                expiration: expirationTtl ? Math.floor(Date.now() / 1000) + expirationTtl : undefined
+            });
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        },
+
+        async list({ prefix = '', cursor, limit = pageSize } = {}) {
+            const names = [...entries.keys()].filter(name => name.startsWith(prefix) && live(name)).sort();
+            const start = Number(cursor) || 0;
+            const page = names.slice(start, start + Math.min(limit, pageSize));
+            const end = start + page.length;
+            return {
+                keys: page.map(name => ({
+                    name,
+                    metadata: entries.get(name).metadata,
+                    expiration: entries.get(name).expiration
+                })),
+                list_complete: end >= names.length,
+                cursor: end < names.length ? String(end) : undefined
+            };
+        }
+    };
+}
@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import worker from '../nearby-places.js';
+import { createMemoryKV } from './memoryKV.js';
+
+const googleBar = {
+    place_id: 'ChIJhub',
+    name: 'The Hub Bar',
+    geometry: { location: { lat: 27.9506, lng: -82.459 } },
+    types: ['bar']
+};
+
+const radarBar = {
+    _id: '5f6633ec618655405bf3c1d1',
+    name: 'Radar Bar',
+    location: { type: 'Point', coordinates: [-82.459, 27.9507] },
+    categories: ['bar']
+};
+
+function json(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+describe('Nearby Places Worker', () => {
+    let env;
+    let upstream;
+    let googleStatus;
+
+    beforeEach(() => {
+        env = {
+            SECURE_API_KEY_PLACES: 'places-key',
+            GOOGLE_PLACES_API_KEY: 'google-key',
+            RADAR_API_KEY: 'radar-key',
+            PLACES_KV: createMemoryKV()
+        };
+        upstream = [];
+        googleStatus = 'OK';
+        global.fetch = async input => {
+            const url = new URL(String(input));
+            upstream.push(url);
+            if (url.hostname === 'api.radar.io') return json({ places: [radarBar] });
+            if (url.pathname.endsWith('/photo')) return new Response(new Uint8Array([1, 2, 3]), { headers: { 'Content-Type': 'image/jpeg' } });
+            return json({ status: googleStatus, results: googleStatus === 'OK' ? [googleBar] : [] });
+        };
+    });
+
+    async function get(path, headers = { 'X-API-Key': 'places-key' }) {
+        const tasks = [];
+        const response = await worker.fetch(new Request(`https://places.example.com${path}`, { headers }), env, {
+            waitUntil: task => tasks.push(task)
+        });
+        await Promise.allSettled(tasks);
+        return response;
+    }
+
+    function cachedKeys(prefix) {
+        return [...env.PLACES_KV.entries.keys()].filter(key => key.startsWith(prefix));
+    }
+
+    describe('provider cache keys', () => {
+        it('should not serve one provider\'s cached tiles to another', async () => {
+            const google = await get('/?lat=27.9506&lng=-82.459&radius=500&type=bar').then(r => r.json());
+            expect(google.map(place => place.id)).toEqual(['ChIJhub']);
+
+            upstream = [];
+            const radar = await get('/?lat=27.9506&lng=-82.459&radius=500&type=bar&provider=radar').then(r => r.json());
+            expect(radar.map(place => place.id)).toEqual(['5f6633ec618655405bf3c1d1']);
+            expect(upstream.some(url => url.hostname === 'api.radar.io')).toBe(true);
+        });
+
+        it('should cache fallback results under the provider that answered', async () => {
+            googleStatus = 'OVER_QUERY_LIMIT';
+            const response = await get('/?lat=27.9506&lng=-82.459&radius=500&type=bar');
+            expect(response.headers.get('X-Places-Provider')).toBe('radar');
+
+            expect(cachedKeys('v1.1.0:tile:').length).toBeGreaterThan(0);
+            expect(cachedKeys('v1.1.0:tile:').every(key => key.split(':')[3] === 'radar')).toBe(true);
+        });
+    });
+
+    describe('routing', () => {
+        it('should answer 404 for unknown paths instead of a nearby search', async () => {
+            const response = await get('/unknown?lat=27.9506&lng=-82.459');
+            expect(response.status).toBe(404);
+            expect((await get('/v1/unknown')).status).toBe(404);
+            expect(upstream).toEqual([]);
+
+            expect((await get('/nearby-places/?lat=27.9506&lng=-82.459&type=bar')).status).toBe(200);
+        });
+    });
+
+    describe('radius cap', () => {
+        it('should reject a large radius without any upstream fetch', async () => {
+            expect((await get('/v1/nearby?lat=27.9506&lng=-82.459&radius=200000&type=bar')).status).toBe(400);
+            // The legacy route clamps the radius, which near the poles still needs too many tiles
+            expect((await get('/?lat=80.1&lng=-82.459&radius=200000&type=bar')).status).toBe(400);
+            expect(upstream).toEqual([]);
+        });
+
+        it('should clamp the legacy radius', async () => {
+            const response = await get('/?lat=27.9506&lng=-82.459&radius=200000&type=bar');
+            expect(response.status).toBe(200);
+            expect(Number(response.headers.get('X-Area-Tiles'))).toBeLessThanOrEqual(9);
+        });
+    });
+
+    describe('tile searches', () => {
+        it('should search each tile with a radius close to the requested one', async () => {
+            await get('/?lat=27.9506&lng=-82.459&radius=500&type=bar');
+            const radii = upstream.map(url => Number(url.searchParams.get('radius')));
+            expect(radii.length).toBeGreaterThan(0);
+            expect(radii.every(radius => radius >= 350 && radius <= 710)).toBe(true);
+        });
+
+        it('should cache empty tiles briefly', async () => {
+            googleStatus = 'ZERO_RESULTS';
+            await get('/?lat=27.9506&lng=-82.459&radius=500&type=bar');
+            const tiles = upstream.length;
+            expect(tiles).toBeGreaterThan(0);
+
+            const keys = cachedKeys('v1.1.0:tile:');
+            expect(keys).toHaveLength(tiles);
+            expect(keys.every(key => env.PLACES_KV.entries.get(key).expiration <= Date.now() / 1000 + 3600)).toBe(true);
+
+            upstream = [];
+            await get('/?lat=27.9506&lng=-82.459&radius=500&type=bar');
+            expect(upstream).toEqual([]);
+        });
+    });
+
+    describe('photos', () => {
+        it('should serve the client\'s key-less photo links without PHOTO_ORIGINS set', async () => {
+            const response = await get('/photo/AUjq9jk_ref?w=400', { Referer: 'https://pwa.barzo.work/places' });
+            expect(response.status).toBe(200);
+            expect(response.headers.get('Content-Type')).toBe('image/jpeg');
+
+            expect((await get('/photo/AUjq9jk_ref?w=400', { Referer: 'https://elsewhere.example/' })).status).toBe(403);
+        });
+    });
+
+    describe('geocoding', () => {
+        it('should answer 503 when no geocoder is configured', async () => {
+            delete env.GOOGLE_PLACES_API_KEY;
+            delete env.RADAR_API_KEY;
+            const response = await get('/v1/geocode?q=Hub%20Bar%20Tampa');
+            expect(response.status).toBe(503);
+            expect((await response.json()).error.message).toMatch(/not configured/);
+            expect((await get('/geocode?q=Hub%20Bar%20Tampa')).status).toBe(503);
+        });
+    });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect } from '@jest/globals';
+import { isOpenAt, updateOpenNow, estimateTimeZone, getOpenStatus } from '../../../public/src/utils/openingHours.js';
+
+// Weekly period helper: day 0 = Sunday
+const period = (openDay, open, closeDay, close) => ({
+    open: { day: openDay, hour: open[0], minute: open[1] },
+    close: closeDay === null ? null : { day: closeDay, hour: close[0], minute: close[1] }
+});
+
+describe('Opening Hours Engine', () => {
+    // Friday 2024-03-15 23:30 in Los Angeles (UTC-7)
+    const fridayNightLA = new Date('2024-03-16T06:30:00Z');
+
+    describe('Venue timezone', () => {
+        it('should evaluate periods in the venue offset, not UTC', () => {
+            const hours = { periods: [period(5, [17, 0], 5, [23, 59])], utcOffsetMinutes: -420 };
+            expect(isOpenAt(hours, fridayNightLA)).toBe(true);
+
+            // The same instant is Saturday 02:30 in New York
+            expect(isOpenAt({ ...hours, utcOffsetMinutes: -240 }, fridayNightLA)).toBe(false);
+        });
+
+        it('should estimate a zone from the location when there is no offset', () => {
+            expect(estimateTimeZone({ lat: 27.95, lng: -82.45 })).toBe('America/New_York');
+            expect(estimateTimeZone({ lat: 33.45, lng: -112.07 })).toBe('America/Phoenix');
+            expect(estimateTimeZone({ lat: 48.85, lng: 2.35 })).toBeNull();
+
+            const hours = { periods: [period(5, [17, 0], 5, [23, 59])] };
+            expect(isOpenAt(hours, fridayNightLA, { location: { lat: 34.05, lng: -118.24 } })).toBe(true);
+        });
+
+        it('should return null without a schedule or a timezone', () => {
+            expect(isOpenAt({ periods: [], utcOffsetMinutes: 0 })).toBeNull();
+            expect(isOpenAt({ periods: [period(5, [17, 0], 5, [23, 0])] })).toBeNull();
+        });
+    });
+
+    describe('Periods', () => {
+        it('should handle overnight periods', () => {
+            const hours = { periods: [period(5, [20, 0], 6, [2, 0])], utcOffsetMinutes: -420 };
+            expect(isOpenAt(hours, fridayNightLA)).toBe(true);
+            expect(isOpenAt(hours, new Date('2024-03-16T09:30:00Z'))).toBe(false);  // Saturday 02:30
+        });
+
+        it('should handle periods that wrap from Saturday to Sunday', () => {
+            const hours = { periods: [period(6, [22, 0], 0, [3, 0])], utcOffsetMinutes: 0 };
+            expect(isOpenAt(hours, new Date('2024-03-17T01:00:00Z'))).toBe(true);   // Sunday 01:00
+            expect(isOpenAt(hours, new Date('2024-03-16T23:00:00Z'))).toBe(true);   // Saturday 23:00
+            expect(isOpenAt(hours, new Date('2024-03-17T04:00:00Z'))).toBe(false);
+        });
+
+        it('should treat an open with no close as 24/7', () => {
+            const hours = { periods: [period(0, [0, 0], null)], utcOffsetMinutes: -300 };
+            expect(isOpenAt(hours, fridayNightLA)).toBe(true);
+        });
+    });
+
+    describe('Special days', () => {
+        it('should prefer dated current periods over the weekly schedule', () => {
+            const hours = {
+                periods: [period(5, [17, 0], 5, [23, 59])],
+                // Closed Friday 2024-03-15 for a holiday, open as usual Saturday
+                currentPeriods: [{
+                    open: { day: 6, hour: 17, minute: 0, date: '2024-03-16' },
+                    close: { day: 6, hour: 23, minute: 59, date: '2024-03-16' }
+                }],
+                specialDays: ['2024-03-15'],
+                utcOffsetMinutes: -420
+            };
+            expect(isOpenAt(hours, fridayNightLA)).toBe(false);
+        });
+
+        it('should fall back to the weekly schedule outside the dated days', () => {
+            const hours = {
+                periods: [period(5, [17, 0], 5, [23, 59])],
+                currentPeriods: [{
+                    open: { day: 5, hour: 17, minute: 0, date: '2024-03-08' },
+                    close: { day: 5, hour: 23, minute: 59, date: '2024-03-08' }
+                }],
+                utcOffsetMinutes: -420
+            };
+            expect(isOpenAt(hours, fridayNightLA)).toBe(true);
+        });
+    });
+
+    describe('Status fields', () => {
+        const hours = { periods: [period(5, [17, 0], 6, [0, 0]), period(6, [17, 0], 0, [2, 0])], utcOffsetMinutes: -420 };
+
+        it('should report closing_soon within the last hour', () => {
+            expect(getOpenStatus(hours, fridayNightLA)).toEqual({
+                openNow: true,
+                status: 'closing_soon',
+                nextOpenTime: null,
+                nextCloseTime: '2024-03-16T00:00:00-07:00',
+                closesInMinutes: 30
+            });
+        });
+
+        it('should report the next opening when closed', () => {
+            const saturdayMorning = new Date('2024-03-16T17:00:00Z');    // 10:00 in LA
+            expect(getOpenStatus(hours, saturdayMorning)).toEqual({
+                openNow: false,
+                status: 'closed',
+                nextOpenTime: '2024-03-16T17:00:00-07:00',
+                nextCloseTime: '2024-03-17T02:00:00-07:00',
+                closesInMinutes: null
+            });
+            expect(getOpenStatus(hours, new Date('2024-03-16T23:30:00Z')).status).toBe('opens_soon');
+        });
+
+        it('should never close a 24/7 place', () => {
+            const status = getOpenStatus({ periods: [period(0, [0, 0], null)], utcOffsetMinutes: 0 }, fridayNightLA);
+            expect(status.status).toBe('open');
+            expect(status.nextCloseTime).toBeNull();
+            expect(status.closesInMinutes).toBeNull();
+        });
+
+        it('should be unknown without hours', () => {
+            expect(getOpenStatus({ periods: [] }, fridayNightLA).status).toBe('unknown');
+        });
+    });
+
+    describe('updateOpenNow', () => {
+        it('should overwrite a stale cached openNow', () => {
+            const place = {
+                location: { lat: 34.05, lng: -118.24 },
+                hours: { openNow: false, periods: [period(5, [17, 0], 5, [23, 59])], utcOffsetMinutes: -420 }
+            };
+            expect(updateOpenNow(place, fridayNightLA).hours.openNow).toBe(true);
+        });
+
+        it('should keep the provider value when hours cannot be evaluated', () => {
+            const place = { location: null, hours: { openNow: true, periods: [] } };
+            expect(updateOpenNow(place, fridayNightLA).hours.openNow).toBe(true);
+        });
+
+        it('should not change the place it was given', () => {
+            const place = {
+                location: { lat: 34.05, lng: -118.24 },
+                hours: { openNow: false, periods: [period(5, [17, 0], 5, [23, 59])], utcOffsetMinutes: -420 }
+            };
+            expect(updateOpenNow(place, fridayNightLA)).not.toBe(place);
+            expect(place.hours.openNow).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { handleAdminRequest, getKeyType } from '../places-admin.js';
+import { createMemoryKV } from './memoryKV.js';
+
+const keyspace = {
+    placeKeys: (placeId) => [`v1.1.0:details:${placeId}`],
+    nearbyPrefix: 'v1.1.0:tile:',
+    nearbyLocation: (key) => key.includes(':inside:') ? { lat: 27.95, lng: -82.45 } : { lat: 40.7, lng: -74 }
+};
+
+const keys = [
+    'v1.1.0:details:ChIJhub',
+    'v1.1.0:tile:inside:bar',
+    'v1.1.0:tile:outside:bar',
+    'v1.0.0:photo:400:abc',
+    'v1.0.0:xw:venue:vn_1',
+    'v1.0.0:xw:id:google:ChIJhub',
+    'usage:daily:2026-10-19:abc',
+    'metrics:hourly:2026-10-19T18:nearby-places:abc',
+    'fixtures:places:out'
+];
+
+describe('Admin Cache API', () => {
+    let env;
+
+    beforeEach(async () => {
+        env = { ADMIN_API_KEY: 'admin-key', PLACES_KV: createMemoryKV({ pageSize: 2 }) };
+        await Promise.all(keys.map(key => env.PLACES_KV.put(key, '{}', { metadata: { timestamp: Date.now() } })));
+    });
+
+    async function admin(method, query, adminKey = 'admin-key') {
+        const response = await handleAdminRequest(new Request(`https://places.example.com/admin/cache${query}`, {
+            method,
+            headers: { 'X-Admin-Key': adminKey }
+        }), env, keyspace);
+        return { status: response.status, body: await response.json() };
+    }
+
+    const remaining = () => [...env.PLACES_KV.entries.keys()].sort();
+
+    it('should require the admin key', async () => {
+        expect((await admin('GET', '/stats', 'wrong')).status).toBe(403);
+        expect(await handleAdminRequest(new Request('https://places.example.com/nearby-places'), env, keyspace)).toBeNull();
+    });
+
+    it('should count keys per type across list pages', async () => {
+        const { body } = await admin('GET', '/stats');
+        expect(body.total).toBe(keys.length);
+        expect(body.types).toMatchObject({ details: 1, tile: 2, photo: 1, 'xw:venue': 1, 'xw:id': 1, usage: 1, metrics: 1 });
+        expect(getKeyType('v2.0.5:Fields-abc:place:ChIJhub:card')).toBe('place');
+    });
+
+    it('should purge a cache type by prefix', async () => {
+        const { body } = await admin('DELETE', '?prefix=v1.1.0:tile:');
+        expect(body.deleted).toBe(2);
+        expect(remaining()).not.toContain('v1.1.0:tile:inside:bar');
+    });
+
+    it('should refuse prefixes and keys outside the cache keyspaces', async () => {
+        for (const query of ['?prefix=v1.0.0', '?prefix=v1.0.0:xw:', '?prefix=usage:', '?prefix=metrics:', '?prefix=fixtures:', '?key=v1.0.0:xw:venue:vn_1']) {
+            expect((await admin('DELETE', query)).status).toBe(400);
+        }
+        expect(remaining()).toEqual([...keys].sort());
+    });
+
+    it('should purge a place and the tiles inside a bbox', async () => {
+        expect((await admin('DELETE', '?placeId=ChIJhub')).body.deleted).toBe(1);
+        expect((await admin('DELETE', '?bbox=-82.5,27.9,-82.4,28.0')).body.deleted).toBe(1);
+        expect(remaining()).toContain('v1.1.0:tile:outside:bar');
+        expect(remaining()).toContain('v1.0.0:xw:id:google:ChIJhub');
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { parseAutocompleteParams, getAutocompleteSuggestions, getAutocompletePlace } from '../places-autocomplete.js';
+import { createMemoryKV } from './memoryKV.js';
+
+const googleSuggestions = {
+    suggestions: [
+        {
+            placePrediction: {
+                placeId: 'ChIJhub',
+                text: { text: 'The Hub Bar, Tampa' },
+                structuredFormat: { mainText: { text: 'The Hub Bar' }, secondaryText: { text: 'Tampa' } },
+                types: ['bar'],
+                distanceMeters: 120
+            }
+        },
+        { queryPrediction: { text: { text: 'hub bars near me' } } }
+    ]
+};
+
+describe('Place Autocomplete', () => {
+    let env;
+    let requests;
+
+    beforeEach(() => {
+        env = { GOOGLE_PLACES_API_KEY: 'google-key', PLACES_KV: createMemoryKV() };
+        requests = [];
+        global.fetch = async (input, init) => {
+            const url = new URL(String(input));
+            requests.push({ url, body: init.body ? JSON.parse(init.body) : null });
+            return url.pathname.endsWith(':autocomplete')
+                ? new Response(JSON.stringify(googleSuggestions))
+                : new Response(JSON.stringify({ id: 'ChIJhub', displayName: { text: 'The Hub Bar' }, location: { latitude: 27.9506, longitude: -82.459 } }));
+        };
+    });
+
+    describe('parseAutocompleteParams', () => {
+        it('should reject short inputs and malformed session tokens', () => {
+            expect(parseAutocompleteParams(new URLSearchParams('input=h')).error).toBeDefined();
+            expect(parseAutocompleteParams(new URLSearchParams('input=hub&sessionToken=not a token')).error).toBeDefined();
+        });
+
+        it('should cap the bias radius and sort types', () => {
+            const { options } = parseAutocompleteParams(new URLSearchParams('input=Hub&lat=27.95&lng=-82.45&radius=90000&types=night_club,bar'));
+            expect(options).toMatchObject({ input: 'Hub', location: { lat: 27.95, lng: -82.45 }, radius: 50000, types: ['bar', 'night_club'] });
+        });
+    });
+
+    it('should map place and query suggestions to one shape', async () => {
+        const { options } = parseAutocompleteParams(new URLSearchParams('input=Hub&sessionToken=abc-123'));
+        const { suggestions, cached } = await getAutocompleteSuggestions(options, env);
+        expect(cached).toBe(false);
+        expect(requests[0].body.sessionToken).toBe('abc-123');
+        expect(suggestions).toEqual([
+            { type: 'place', placeId: 'ChIJhub', text: 'The Hub Bar, Tampa', mainText: 'The Hub Bar', secondaryText: 'Tampa', types: ['bar'], distanceMeters: 120 },
+            { type: 'query', placeId: null, text: 'hub bars near me', mainText: 'hub bars near me', secondaryText: '', types: [], distanceMeters: null }
+        ]);
+    });
+
+    it('should share cached suggestions across sessions and letter case', async () => {
+        await getAutocompleteSuggestions(parseAutocompleteParams(new URLSearchParams('input=Hub&sessionToken=first')).options, env);
+        const { cached } = await getAutocompleteSuggestions(parseAutocompleteParams(new URLSearchParams('input=hub &sessionToken=second')).options, env);
+        expect(cached).toBe(true);
+        expect(requests.length).toBe(1);
+    });
+
+    it('should end the session with a place lookup carrying its token', async () => {
+        const { place } = await getAutocompletePlace({ placeId: 'ChIJhub', sessionToken: 'abc-123' }, env);
+        expect(requests[0].url.searchParams.get('sessionToken')).toBe('abc-123');
+        expect(place).toMatchObject({ id: 'ChIJhub', name: 'The Hub Bar' });
+        expect((await getAutocompletePlace({ placeId: 'ChIJhub' }, env)).cached).toBe(true);
+    });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import enhancedPlaces from '../enhanced-places.js';
+import { createMemoryKV } from './memoryKV.js';
+
+const hubBar = {
+    id: 'ChIJhub',
+    displayName: { text: 'The Hub Bar' },
+    location: { latitude: 27.9506, longitude: -82.459 },
+    formattedAddress: '719 N Franklin St, Tampa, FL 33602',
+    types: ['bar']
+};
+
+describe('Batch Details', () => {
+    let env;
+    let detailRequests;
+
+    beforeEach(() => {
+        env = { SECURE_API_KEY_PLACES: 'test-key', GOOGLE_PLACES_API_KEY: 'google-key', PLACES_KV: createMemoryKV() };
+        detailRequests = [];
+        global.fetch = async (input) => {
+            const id = new URL(String(input)).pathname.split('/').pop();
+            detailRequests.push(id);
+            return id === hubBar.id
+                ? new Response(JSON.stringify(hubBar))
+                : new Response(JSON.stringify({ error: { code: 404, message: 'Not found' } }), { status: 404 });
+        };
+    });
+
+    async function batch(body) {
+        const response = await enhancedPlaces.fetch(new Request('https://places.example.com/places/batch', {
+            method: 'POST',
+            headers: { 'X-API-Key': 'test-key', 'Content-Type': 'application/json', 'CF-Connecting-IP': '10.1.0.1' },
+            body: JSON.stringify(body)
+        }), env, { waitUntil() {} });
+        return { status: response.status, body: await response.json() };
+    }
+
+    it('should report a status per id', async () => {
+        const { status, body } = await batch({ placeIds: ['ChIJhub', 'ChIJgone'], profile: 'card' });
+        expect(status).toBe(200);
+        expect(body.data.places.ChIJhub).toMatchObject({ status: 'ok', cacheHit: false, details: { id: 'ChIJhub', name: 'The Hub Bar' } });
+        expect(body.data.places.ChIJgone).toMatchObject({ status: 'not_found', cacheHit: false });
+        expect(body.data.metadata).toMatchObject({ requested: 2, cacheHits: 0, fetched: 2 });
+    });
+
+    it('should answer cached ids from KV without calling Google', async () => {
+        await batch({ placeIds: ['ChIJhub'], profile: 'card' });
+        detailRequests = [];
+
+        const { body } = await batch({ placeIds: ['ChIJhub'], profile: 'card' });
+        expect(detailRequests).toEqual([]);
+        expect(body.data.places.ChIJhub).toMatchObject({ status: 'ok', cacheHit: true });
+        expect(body.data.metadata).toMatchObject({ cacheHits: 1, fetched: 0 });
+    });
+
+    it('should reject an empty batch', async () => {
+        expect((await batch({ placeIds: [] })).status).toBe(400);
+    });
+
+    it('should route by path and method', async () => {
+        const get = path => enhancedPlaces.fetch(new Request(`https://places.example.com${path}`, {
+            headers: { 'X-API-Key': 'test-key', 'CF-Connecting-IP': '10.1.0.1' }
+        }), env, { waitUntil() {} });
+
+        const wrongMethod = await get('/places/batch');
+        expect(wrongMethod.status).toBe(405);
+        expect(wrongMethod.headers.get('Allow')).toBe('POST');
+        expect((await get('/unknown?placeId=ChIJhub')).status).toBe(404);
+        expect(detailRequests).toEqual([]);
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { readCache, writeCache, revalidateInBackground, cacheHeaders, coalesce } from '../places-cache.js';
+import { createMemoryKV } from './memoryKV.js';
+
+describe('Stale-While-Revalidate Cache', () => {
+    let kv;
+
+    beforeEach(() => {
+        kv = createMemoryKV();
+    });
+
+    function withClock(offsetMs, fn) {
+        const now = Date.now;
+        const start = now();
+        Date.now = () => start + offsetMs;
+        return Promise.resolve().then(fn).finally(() => {
+            Date.now = now;
+        });
+    }
+
+    describe('TTLs', () => {
+        it('should serve a fresh entry within the soft TTL', async () => {
+            await writeCache(kv, 'v1:details:abc', { name: 'The Hub Bar' }, { hardTtl: 3600 });
+            const entry = await readCache(kv, 'v1:details:abc', { softTtl: 600 });
+            expect(entry.value).toEqual({ name: 'The Hub Bar' });
+            expect(entry.stale).toBe(false);
+            expect(cacheHeaders(entry)).toEqual({ 'X-Cache-Age': '0', 'X-Cache-Stale': 'false' });
+        });
+
+        it('should serve an entry past the soft TTL as stale', async () => {
+            await writeCache(kv, 'v1:details:abc', { name: 'The Hub Bar' }, { hardTtl: 3600 });
+            const entry = await withClock(700 * 1000, () => readCache(kv, 'v1:details:abc', { softTtl: 600 }));
+            expect(entry.value).toEqual({ name: 'The Hub Bar' });
+            expect(entry.stale).toBe(true);
+            expect(entry.age).toBe(700);
+        });
+
+        it('should miss once the hard TTL has passed', async () => {
+            await writeCache(kv, 'v1:details:abc', { name: 'The Hub Bar' }, { hardTtl: 3600 });
+            expect(await withClock(3601 * 1000, () => readCache(kv, 'v1:details:abc', { softTtl: 600 }))).toBeNull();
+        });
+
+        it('should treat entries without a timestamp as stale', async () => {
+            await kv.put('v1:details:old', JSON.stringify({ name: 'Old' }));
+            expect((await readCache(kv, 'v1:details:old', { softTtl: 600 })).stale).toBe(true);
+        });
+    });
+
+    describe('revalidateInBackground', () => {
+        it('should hand the refresh to waitUntil and swallow its errors', async () => {
+            const tasks = [];
+            const task = revalidateInBackground({ waitUntil: promise => tasks.push(promise) }, 'v1:details:abc', async () => {
+                throw new Error('upstream down');
+            });
+            expect(tasks).toEqual([task]);
+            await expect(task).resolves.toBeUndefined();
+        });
+    });
+
+    describe('coalesce', () => {
+        it('should share one in-flight fetch between concurrent misses', async () => {
+            let calls = 0;
+            const fetchOnce = () => coalesce('v1:details:abc', async () => {
+                calls++;
+                await new Promise(resolve => setTimeout(resolve, 10));
+                return { name: 'The Hub Bar' };
+            });
+
+            const [first, second] = await Promise.all([fetchOnce(), fetchOnce()]);
+            expect(calls).toBe(1);
+            expect(second).toBe(first);
+
+            await fetchOnce();
+            expect(calls).toBe(2);
+        });
+
+        it('should reject every waiter when the shared fetch fails', async () => {
+            const failing = () => coalesce('v1:details:down', async () => {
+                throw new Error('upstream down');
+            });
+            const results = await Promise.allSettled([failing(), failing()]);
+            expect(results.map(result => result.status)).toEqual(['rejected', 'rejected']);
+        });
+    });
+});
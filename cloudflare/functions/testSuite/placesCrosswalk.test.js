@@ -0,0 +1,49 @@
+import { describe, it, expect } from '@jest/globals';
+import { getIdType, matchScore, addressSimilarity, CROSSWALK } from '../places-crosswalk.js';
+
+const hubBar = {
+    name: 'The Hub Bar',
+    location: { lat: 27.950604, lng: -82.459007 },
+    address: '719 N Franklin St, Tampa, 33602'
+};
+
+describe('Venue Crosswalk', () => {
+    describe('Id types', () => {
+        it('should tell provider ids apart', () => {
+            expect(getIdType('ChIJN1t_tDeuEmsRUsoyG83frY4')).toBe('google');
+            expect(getIdType('5f6633ec618655405bf3c1d1')).toBe('radar');
+            expect(getIdType('07d4a574-ce08-4997-aecd-dba099ae2f41')).toBe('barzo');
+            expect(getIdType('vn_07d4a574-ce08-4997-aecd-dba099ae2f41')).toBe('venue');
+        });
+    });
+
+    describe('Matching', () => {
+        it('should match the same venue across naming and address styles', () => {
+            const google = {
+                name: 'Hub Bar',
+                location: { lat: 27.9507, lng: -82.4591 },
+                address: '719 North Franklin Street, Tampa, FL 33602, USA'
+            };
+            expect(matchScore(hubBar, google)).toBeGreaterThanOrEqual(CROSSWALK.MATCH_THRESHOLD);
+        });
+
+        it('should not match a different venue next door', () => {
+            const neighbour = {
+                name: 'Franklin Street Oyster House',
+                location: { lat: 27.9507, lng: -82.4591 },
+                address: '725 N Franklin St, Tampa, FL 33602'
+            };
+            expect(matchScore(hubBar, neighbour)).toBeLessThan(CROSSWALK.MATCH_THRESHOLD);
+        });
+
+        it('should not match beyond the maximum distance', () => {
+            const farAway = { ...hubBar, location: { lat: 27.96, lng: -82.459 } };
+            expect(matchScore(hubBar, farAway)).toBe(0);
+        });
+
+        it('should skip the address when one side has none', () => {
+            expect(addressSimilarity(hubBar.address, ', ')).toBeNull();
+            expect(matchScore(hubBar, { ...hubBar, address: null })).toBe(1);
+        });
+    });
+});
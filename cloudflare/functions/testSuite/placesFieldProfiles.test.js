@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import enhancedPlaces from '../enhanced-places.js';
+import { createMemoryKV } from './memoryKV.js';
+
+const hubBar = {
+    id: 'ChIJhub',
+    displayName: { text: 'The Hub Bar' },
+    location: { latitude: 27.9506, longitude: -82.459 },
+    rating: 4.4,
+    types: ['bar'],
+    websiteUri: 'https://thehubtampa.com'
+};
+
+describe('Field Profiles', () => {
+    let env;
+    let fieldMasks;
+
+    beforeEach(() => {
+        env = { SECURE_API_KEY_PLACES: 'test-key', GOOGLE_PLACES_API_KEY: 'google-key', PLACES_KV: createMemoryKV() };
+        fieldMasks = [];
+        global.fetch = async (input, init) => {
+            fieldMasks.push(init.headers['X-Goog-FieldMask'].split(','));
+            return String(input).endsWith('/ChIJhub')
+                ? new Response(JSON.stringify(hubBar))
+                : new Response(JSON.stringify({ error: { code: 404, message: 'Not found' } }), { status: 404 });
+        };
+    });
+
+    async function details(query, placeId = 'ChIJhub') {
+        const response = await enhancedPlaces.fetch(new Request(`https://places.example.com/?placeId=${placeId}&${query}`, {
+            headers: { 'X-API-Key': 'test-key', 'CF-Connecting-IP': '10.2.0.1' }
+        }), env, { waitUntil() {} });
+        return { status: response.status, body: await response.json() };
+    }
+
+    it('should request only the fields of the profile', async () => {
+        const { body } = await details('profile=card');
+        expect(body.data.profile).toBe('card');
+        expect(fieldMasks[0]).toContain('rating');
+        expect(fieldMasks[0]).not.toContain('websiteUri');
+    });
+
+    it('should upgrade a cached lower profile by fetching only the missing fields', async () => {
+        await details('profile=card');
+        await details('profile=details');
+        expect(fieldMasks[1]).toContain('websiteUri');
+        expect(fieldMasks[1]).not.toContain('rating');
+    });
+
+    it('should answer a lower profile from a cached higher one', async () => {
+        await details('profile=details');
+        const { body } = await details('profile=card');
+        expect(fieldMasks.length).toBe(1);
+        expect(body.data.cacheHit).toBe(true);
+    });
+
+    it('should trim the response to the requested fields', async () => {
+        const { body } = await details('fields=rating');
+        expect(body.data.profile).toBe('card');
+        expect(body.data.placeDetails).toMatchObject({ id: 'ChIJhub', rating: 4.4, name: null });
+    });
+
+    it('should reject unknown fields and profiles', async () => {
+        const unknownField = await details('fields=rating,secretSauce');
+        expect(unknownField.status).toBe(400);
+        expect(unknownField.body.error.validationErrors).toEqual({ fields: ['secretSauce'] });
+        expect((await details('profile=everything')).status).toBe(400);
+    });
+
+    it('should answer 404 for an id Google does not know, without caching it', async () => {
+        const { status, body } = await details('profile=card', 'ChIJgone');
+        expect(status).toBe(404);
+        expect(body.error.message).toBe('No place found for ChIJgone');
+        expect([...env.PLACES_KV.entries.keys()].some(key => key.includes('ChIJgone'))).toBe(false);
+    });
+});
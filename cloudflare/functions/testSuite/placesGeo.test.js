@@ -0,0 +1,31 @@
+import { describe, it, expect } from '@jest/globals';
+import { getTile, getTileAt, coverCircle, coverBbox, MAX_TILES } from '../places-geo.js';
+
+describe('Tiles', () => {
+    it('should round-trip a tile through its quadkey', () => {
+        const tile = getTileAt(27.9506, -82.4590, 16);
+        expect(tile.quadkey).toHaveLength(16);
+        expect(getTile(tile.quadkey)).toEqual(tile);
+        expect(getTile('0123x')).toBeNull();
+    });
+
+    it('should share tiles between nearby circles', () => {
+        const first = coverCircle(27.9506, -82.4590, 500).map(tile => tile.quadkey);
+        const panned = coverCircle(27.9516, -82.4575, 500).map(tile => tile.quadkey);
+        expect(panned.some(quadkey => first.includes(quadkey))).toBe(true);
+    });
+
+    it('should cover a circle with at most 3x3 tiles', () => {
+        for (const [lat, lng] of [[27.9506, -82.4590], [27.9516, -82.4575], [40.7128, -74.0060], [-33.8688, 151.2093]]) {
+            for (const radius of [100, 500, 1234, 5000]) {
+                expect(coverCircle(lat, lng, radius).length).toBeLessThanOrEqual(MAX_TILES);
+            }
+        }
+    });
+
+    it('should cover a bbox with a bounded number of tiles', () => {
+        const tiles = coverBbox({ west: -82.47, south: 27.94, east: -82.45, north: 27.96 });
+        expect(tiles.length).toBeGreaterThan(0);
+        expect(tiles.length).toBeLessThanOrEqual(MAX_TILES);
+    });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { getGeocoderChain, geocode, reverseGeocode } from '../places-geocoding.js';
+import { createMemoryKV } from './memoryKV.js';
+
+const mapboxFeature = {
+    id: 'address.1',
+    place_name: '719 N Franklin St, Tampa, Florida 33602, United States',
+    text: 'N Franklin St',
+    center: [-82.459, 27.9506],
+    context: [
+        { id: 'neighborhood.1', text: 'Downtown' },
+        { id: 'place.1', text: 'Tampa' },
+        { id: 'region.1', text: 'Florida', short_code: 'US-FL' },
+        { id: 'country.1', text: 'United States', short_code: 'us' }
+    ]
+};
+
+const googleResult = {
+    formatted_address: '719 N Franklin St, Tampa, FL 33602, USA',
+    geometry: { location: { lat: 27.9506, lng: -82.459 } },
+    address_components: [
+        { long_name: 'Tampa', short_name: 'Tampa', types: ['locality'] },
+        { long_name: 'Florida', short_name: 'FL', types: ['administrative_area_level_1'] },
+        { long_name: 'United States', short_name: 'US', types: ['country'] }
+    ]
+};
+
+describe('Geocoding', () => {
+    let env;
+    let hosts;
+    let mapboxFeatures;
+
+    beforeEach(() => {
+        env = { MAPBOX_API_KEY: 'mapbox-key', GOOGLE_PLACES_API_KEY: 'google-key', PLACES_KV: createMemoryKV() };
+        hosts = [];
+        mapboxFeatures = [mapboxFeature];
+        global.fetch = async (input) => {
+            const url = new URL(String(input));
+            hosts.push(url.hostname);
+            return url.hostname === 'api.mapbox.com'
+                ? new Response(JSON.stringify({ features: mapboxFeatures }))
+                : new Response(JSON.stringify({ status: 'OK', results: [googleResult] }));
+        };
+    });
+
+    it('should skip providers without a key', () => {
+        expect(getGeocoderChain('radar', env).map(geocoder => geocoder.name)).toEqual(['mapbox', 'google']);
+        expect(getGeocoderChain('google', env).map(geocoder => geocoder.name)).toEqual(['google', 'mapbox']);
+    });
+
+    it('should normalize results to one shape', async () => {
+        const { result } = await reverseGeocode({ lat: 27.9506, lng: -82.459 }, env);
+        expect(result).toEqual({
+            formattedAddress: '719 N Franklin St, Tampa, Florida 33602, United States',
+            name: 'N Franklin St',
+            neighborhood: 'Downtown',
+            city: 'Tampa',
+            region: 'Florida',
+            regionCode: 'FL',
+            postalCode: null,
+            country: 'United States',
+            countryCode: 'US',
+            location: { lat: 27.9506, lng: -82.459 },
+            provider: 'mapbox'
+        });
+    });
+
+    it('should fall back to the next provider when one finds nothing', async () => {
+        mapboxFeatures = [];
+        const { results } = await geocode({ query: 'Hub Bar Tampa' }, env);
+        expect(hosts).toEqual(['api.mapbox.com', 'maps.googleapis.com']);
+        expect(results[0]).toMatchObject({ provider: 'google', city: 'Tampa', regionCode: 'FL' });
+    });
+
+    it('should cache found results under the normalized query', async () => {
+        await geocode({ query: 'Hub Bar Tampa' }, env);
+        const { results, cached } = await geocode({ query: '  hub bar   TAMPA ' }, env);
+        expect(hosts.length).toBe(1);
+        expect(cached.stale).toBe(false);
+        expect(results[0].provider).toBe('mapbox');
+    });
+
+    it('should not cache a lookup nobody could answer', async () => {
+        mapboxFeatures = [];
+        global.fetch = async (input) => {
+            hosts.push(new URL(String(input)).hostname);
+            return new Response(JSON.stringify(hosts.length === 1 ? { features: [] } : { status: 'ZERO_RESULTS', results: [] }));
+        };
+        expect((await geocode({ query: 'nowhere at all' }, env)).results).toEqual([]);
+        expect(env.PLACES_KV.entries.size).toBe(0);
+    });
+
+    it('should reject with 503 when no provider has a key', async () => {
+        const unconfigured = { PLACES_KV: createMemoryKV() };
+        await expect(geocode({ query: 'Hub Bar Tampa' }, unconfigured)).rejects.toMatchObject({ status: 503 });
+        await expect(reverseGeocode({ lat: 27.9506, lng: -82.459 }, unconfigured)).rejects.toMatchObject({ status: 503 });
+        expect(hosts).toEqual([]);
+    });
+});
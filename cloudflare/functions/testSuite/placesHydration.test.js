@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import enhancedPlaces from '../enhanced-places.js';
+import { createMemoryKV } from './memoryKV.js';
+
+const placeIds = ['p1', 'p2', 'p3', 'p4', 'p5', 'p6', 'p7'];
+
+function googlePlace(id) {
+    return { id, displayName: { text: `Bar ${id}` }, location: { latitude: 27.95, longitude: -82.459 }, types: ['bar'] };
+}
+
+describe('Background Hydration', () => {
+    let env;
+    let sent;
+    let failing;
+
+    beforeEach(() => {
+        sent = [];
+        failing = new Set();
+        env = {
+            SECURE_API_KEY_PLACES: 'test-key',
+            GOOGLE_PLACES_API_KEY: 'google-key',
+            PLACES_KV: createMemoryKV(),
+            HYDRATION_QUEUE: { sendBatch: async messages => sent.push(...messages) }
+        };
+        global.fetch = async (input) => {
+            const url = new URL(String(input));
+            if (url.pathname.endsWith(':searchText')) {
+                return new Response(JSON.stringify({ places: placeIds.map(id => ({ id })) }));
+            }
+            const id = url.pathname.split('/').pop();
+            return failing.has(id)
+                ? new Response(JSON.stringify({ error: { message: 'Backend error' } }), { status: 500 })
+                : new Response(JSON.stringify(googlePlace(id)));
+        };
+    });
+
+    async function nearby() {
+        const response = await enhancedPlaces.fetch(new Request('https://places.example.com/?lat=27.95&lng=-82.459&radius=500&keyword=bar&profile=card', {
+            headers: { 'X-API-Key': 'test-key', 'CF-Connecting-IP': '10.3.0.1' }
+        }), env, { waitUntil() {} });
+        return (await response.json()).data;
+    }
+
+    it('should hydrate the first places inline and queue the rest', async () => {
+        const { nearbyPlaces, metadata } = await nearby();
+        expect(nearbyPlaces.filter(place => place.name).length).toBe(5);
+        expect(metadata.pendingPlaceIds).toEqual(['p6', 'p7']);
+        expect(metadata.retryAfter).toBeGreaterThan(0);
+        expect(sent.map(message => message.body.placeIds)).toEqual([['p6', 'p7']]);
+    });
+
+    it('should queue inline failures with the overflow', async () => {
+        failing.add('p2');
+        const { metadata } = await nearby();
+        expect(metadata.pendingPlaceIds).toEqual(['p2', 'p6', 'p7']);
+        expect(sent[0].body.placeIds).toEqual(['p2', 'p6', 'p7']);
+    });
+
+    it('should fill queued places on a re-poll', async () => {
+        await nearby();
+        sent = [];
+        const { nearbyPlaces, metadata } = await nearby();
+        expect(nearbyPlaces.every(place => place.name)).toBe(true);
+        expect(metadata.pendingPlaceIds).toEqual([]);
+        expect(sent).toEqual([]);
+    });
+
+    describe('queue consumer', () => {
+        function message(ids) {
+            return {
+                body: { placeIds: ids, profile: 'card' },
+                acked: false,
+                retried: false,
+                ack() { this.acked = true; },
+                retry() { this.retried = true; }
+            };
+        }
+
+        it('should ack a batch once every place is cached', async () => {
+            const batch = message(['p6', 'p7']);
+            await enhancedPlaces.queue({ messages: [batch] }, env, { waitUntil() {} });
+            expect(batch.acked).toBe(true);
+
+            const { metadata } = await nearby();
+            expect(metadata.pendingPlaceIds).toEqual([]);
+        });
+
+        it('should retry a batch with failed places', async () => {
+            failing.add('p7');
+            const batch = message(['p6', 'p7']);
+            await enhancedPlaces.queue({ messages: [batch] }, env, { waitUntil() {} });
+            expect(batch.retried).toBe(true);
+            expect(batch.acked).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { recordRequest, recordCacheLookup, recordUpstreamCall, flushMetrics, handleMetricsRequest } from '../places-metrics.js';
+import { createMemoryKV } from './memoryKV.js';
+
+const cors = { 'Access-Control-Allow-Origin': '*' };
+
+function hourAgo(hours) {
+    return new Date(Date.now() - hours * 3600000).toISOString().slice(0, 13);
+}
+
+function counters(requests, upstream = {}) {
+    return { requests: { total: requests, '2xx': requests }, cache: { tile: { hits: requests, misses: 1, stale: 0 } }, upstream };
+}
+
+function metricsRequest(query = '', key = 'admin-key') {
+    return new Request(`https://places.example.com/metrics${query}`, { headers: { 'X-Admin-Key': key } });
+}
+
+describe('Metrics', () => {
+    let env;
+    let listedPrefixes;
+
+    beforeEach(() => {
+        const kv = createMemoryKV();
+        listedPrefixes = [];
+        env = {
+            ADMIN_API_KEY: 'admin-key',
+            PLACES_KV: { ...kv, list: options => { listedPrefixes.push(options.prefix); return kv.list(options); } }
+        };
+    });
+
+    describe('GET /metrics', () => {
+        it('should add up isolate entries across isolates and workers', async () => {
+            const hour = hourAgo(0);
+            await env.PLACES_KV.put(`metrics:hourly:${hour}:nearby-places:a`, JSON.stringify(counters(3, { 'google:nearby_search': 10 })));
+            await env.PLACES_KV.put(`metrics:hourly:${hour}:nearby-places:b`, JSON.stringify(counters(2, { 'google:nearby_search': 5 })));
+            await env.PLACES_KV.put(`metrics:hourly:${hour}:enhanced-places:c`, JSON.stringify(counters(4)));
+
+            const response = await handleMetricsRequest(metricsRequest('?hours=1'), env, cors);
+            expect(response.headers.get('Access-Control-Allow-Origin')).toBe('*');
+            const metrics = await response.json();
+            expect(metrics.workers).toEqual(['enhanced-places', 'nearby-places']);
+            expect(metrics.totals).toMatchObject({ requests: 9, cacheHits: 9, cacheMisses: 3, upstreamCalls: 15 });
+            expect(metrics.upstream['google:nearby_search']).toEqual({ calls: 15, unitCost: 32, estimatedCost: 0.48 });
+
+            const nearby = await handleMetricsRequest(metricsRequest('?hours=1&worker=nearby-places'), env, cors).then(r => r.json());
+            expect(nearby.totals.requests).toBe(5);
+        });
+
+        it('should read an hour from its rollup without listing isolate entries', async () => {
+            const hour = hourAgo(3);
+            await env.PLACES_KV.put(`metrics:rollup:${hour}`, JSON.stringify({ 'nearby-places': counters(7), 'enhanced-places': counters(1) }));
+            await env.PLACES_KV.put(`metrics:hourly:${hour}:nearby-places:late`, JSON.stringify(counters(100)));
+
+            const metrics = await handleMetricsRequest(metricsRequest('?hours=4&worker=nearby-places'), env, cors).then(r => r.json());
+            expect(metrics.totals.requests).toBe(7);
+            expect(metrics.hours.map(entry => entry.requests)).toEqual([7, 0, 0, 0]);
+            expect(listedPrefixes).toHaveLength(3);
+            expect(listedPrefixes.some(prefix => prefix.includes(hour))).toBe(false);
+        });
+
+        it('should cap the number of hours read', async () => {
+            const metrics = await handleMetricsRequest(metricsRequest('?hours=1000'), env, cors).then(r => r.json());
+            expect(metrics.hours).toHaveLength(168);
+        });
+
+        it('should refuse requests without the admin key, with CORS headers', async () => {
+            const denied = await handleMetricsRequest(metricsRequest('', 'wrong'), env, cors);
+            expect(denied.status).toBe(403);
+            expect(denied.headers.get('Access-Control-Allow-Origin')).toBe('*');
+            expect((await handleMetricsRequest(metricsRequest(), {}, cors)).status).toBe(404);
+        });
+    });
+
+    describe('flushMetrics', () => {
+        it('should write this isolate\'s counters and roll up the hour two hours back', async () => {
+            const oldHour = hourAgo(2);
+            await env.PLACES_KV.put(`metrics:hourly:${oldHour}:nearby-places:a`, JSON.stringify(counters(3)));
+            await env.PLACES_KV.put(`metrics:hourly:${oldHour}:nearby-places:b`, JSON.stringify(counters(2)));
+
+            recordRequest(200);
+            recordRequest(429);
+            recordCacheLookup('v1.1.0:tile:0320:bar', null);
+            recordUpstreamCall('google', 'nearby_search', 2);
+            await flushMetrics(env, 'nearby-places');
+
+            const [isolateKey] = [...env.PLACES_KV.entries.keys()].filter(key => key.startsWith(`metrics:hourly:${hourAgo(0)}:nearby-places:`));
+            expect(await env.PLACES_KV.get(isolateKey, { type: 'json' })).toEqual({
+                requests: { total: 2, '2xx': 1, rateLimited: 1 },
+                cache: { tile: { hits: 0, misses: 1, stale: 0 } },
+                upstream: { 'google:nearby_search': 2 }
+            });
+
+            const rollup = await env.PLACES_KV.get(`metrics:rollup:${oldHour}`, { type: 'json' });
+            expect(rollup['nearby-places'].requests).toEqual({ total: 5, '2xx': 5 });
+        });
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { getWidthBucket, isValidPhotoRef, isAllowedPhotoOrigin, getPlacePhoto } from '../places-photos.js';
+import { createMemoryKV } from './memoryKV.js';
+
+const LEGACY_REF = 'AUjq9jk_legacy-ref';
+const V1_REF = 'places/ChIJhub/photos/AUjq9jk_v1-ref';
+
+function request(headers) {
+    return new Request('https://places.example.com/photo/ref', { headers });
+}
+
+describe('Place Photos', () => {
+    let env;
+    let requests;
+
+    beforeEach(() => {
+        env = { GOOGLE_PLACES_API_KEY: 'google-key', PLACES_KV: createMemoryKV() };
+        requests = [];
+        global.fetch = async (input) => {
+            const url = new URL(String(input));
+            requests.push(url);
+            if (url.searchParams.get('photo_reference') === 'expired') {
+                return new Response('Bad request', { status: 400 });
+            }
+            return new Response(new Uint8Array([1, 2, 3]), { headers: { 'Content-Type': 'image/jpeg' } });
+        };
+    });
+
+    describe('getWidthBucket', () => {
+        it('should round widths up to the next bucket', () => {
+            expect(getWidthBucket('90')).toBe(100);
+            expect(getWidthBucket(400)).toBe(400);
+            expect(getWidthBucket('401')).toBe(800);
+            expect(getWidthBucket(4800)).toBe(1600);
+            expect(getWidthBucket(null)).toBe(400);
+        });
+    });
+
+    describe('isValidPhotoRef', () => {
+        it('should accept legacy references and v1 photo names only', () => {
+            expect(isValidPhotoRef(LEGACY_REF)).toBe(true);
+            expect(isValidPhotoRef(V1_REF)).toBe(true);
+            expect(isValidPhotoRef('places/ChIJhub/reviews/1')).toBe(false);
+            expect(isValidPhotoRef('../admin')).toBe(false);
+        });
+    });
+
+    describe('isAllowedPhotoOrigin', () => {
+        const originEnv = { PHOTO_ORIGINS: 'https://barzo.example, http://localhost:3000' };
+
+        it('should accept pages on an allowed origin by Origin or Referer', () => {
+            expect(isAllowedPhotoOrigin(request({ Origin: 'https://barzo.example' }), originEnv)).toBe(true);
+            expect(isAllowedPhotoOrigin(request({ Referer: 'http://localhost:3000/places?id=1' }), originEnv)).toBe(true);
+        });
+
+        it('should reject other origins, missing headers and origins off the default allowlist', () => {
+            expect(isAllowedPhotoOrigin(request({ Referer: 'https://barzo.example.evil.com/' }), originEnv)).toBe(false);
+            expect(isAllowedPhotoOrigin(request({}), originEnv)).toBe(false);
+            expect(isAllowedPhotoOrigin(request({ Origin: 'https://barzo.example' }), {})).toBe(false);
+        });
+
+        it('should fall back to the app\'s origins when PHOTO_ORIGINS is unset', () => {
+            expect(isAllowedPhotoOrigin(request({ Referer: 'https://pwa.barzo.work/places?id=1' }), {})).toBe(true);
+            expect(isAllowedPhotoOrigin(request({ Referer: 'http://localhost:3000/' }), {})).toBe(true);
+            expect(isAllowedPhotoOrigin(request({ Referer: 'https://pwa.barzo.work/' }), originEnv)).toBe(false);
+        });
+    });
+
+    describe('getPlacePhoto', () => {
+        it('should fetch a width bucket once and serve it from KV after', async () => {
+            const first = await getPlacePhoto({ ref: LEGACY_REF, width: '350' }, env);
+            expect(first).toMatchObject({ contentType: 'image/jpeg', width: 400, cached: false });
+            expect(requests[0].searchParams.get('maxwidth')).toBe('400');
+
+            const second = await getPlacePhoto({ ref: LEGACY_REF, width: '390' }, env);
+            expect(second).toMatchObject({ contentType: 'image/jpeg', width: 400, cached: true });
+            expect(new Uint8Array(second.bytes)).toEqual(new Uint8Array([1, 2, 3]));
+            expect(requests).toHaveLength(1);
+
+            await getPlacePhoto({ ref: LEGACY_REF, width: '800' }, env);
+            expect(requests).toHaveLength(2);
+        });
+
+        it('should fetch v1 photo names from the media endpoint', async () => {
+            await getPlacePhoto({ ref: V1_REF, width: '100' }, env);
+            expect(requests[0].pathname).toBe(`/v1/${V1_REF}/media`);
+            expect(requests[0].searchParams.get('maxWidthPx')).toBe('100');
+        });
+
+        it('should return null for an expired reference without caching it', async () => {
+            expect(await getPlacePhoto({ ref: 'expired' }, env)).toBe(null);
+            expect(env.PLACES_KV.entries.size).toBe(0);
+        });
+    });
+});
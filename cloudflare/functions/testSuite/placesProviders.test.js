@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { PROVIDERS, getProviderChain, withProviderFallback } from '../places-providers.js';
+
+const googleBar = {
+    place_id: 'ChIJhub',
+    name: 'The Hub Bar',
+    geometry: { location: { lat: 27.9506, lng: -82.459 } },
+    vicinity: '719 N Franklin St, Tampa',
+    types: ['bar', 'point_of_interest'],
+    rating: 4.4,
+    user_ratings_total: 1200
+};
+
+const radarBar = {
+    _id: '5f6633ec618655405bf3c1d1',
+    name: 'Radar Bar',
+    location: { type: 'Point', coordinates: [-82.45, 27.95] },
+    categories: ['bar']
+};
+
+const env = { GOOGLE_PLACES_API_KEY: 'google-key', RADAR_API_KEY: 'radar-key' };
+const params = { lat: 27.95, lng: -82.459, radius: 500, type: 'bar' };
+
+function json(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+describe('Places Providers', () => {
+    let requests;
+
+    beforeEach(() => {
+        requests = [];
+    });
+
+    function mockFetch(handler) {
+        global.fetch = async (input, init) => {
+            const url = new URL(String(input));
+            requests.push(url);
+            return handler(url, init);
+        };
+    }
+
+    it('should normalize Google results to the canonical place model', async () => {
+        mockFetch(() => json({ status: 'OK', results: [googleBar] }));
+
+        const { places, pages, hasMore } = await PROVIDERS.google.nearby(params, env);
+        expect(pages).toBe(1);
+        expect(hasMore).toBe(false);
+        expect(places[0]).toMatchObject({
+            schemaVersion: 1,
+            id: 'ChIJhub',
+            provider: 'google',
+            location: { lat: 27.9506, lng: -82.459 },
+            primaryType: 'bar',
+            userRatingCount: 1200
+        });
+    });
+
+    it('should fall back to Radar when Google is out of quota', async () => {
+        mockFetch(url => url.hostname === 'api.radar.io'
+            ? json({ places: [radarBar] })
+            : json({ status: 'OVER_QUERY_LIMIT', results: [] }));
+
+        const { result, provider, errors } = await withProviderFallback(
+            getProviderChain(undefined, env),
+            candidate => candidate.nearby(params, env)
+        );
+        expect(provider).toBe('radar');
+        expect(errors[0].quota).toBe(true);
+        expect(result.places[0]).toMatchObject({ id: '5f6633ec618655405bf3c1d1', provider: 'radar', location: { lat: 27.95, lng: -82.45 } });
+    });
+
+    it('should keep the results of keywords that did not fail', async () => {
+        mockFetch(url => url.searchParams.get('keyword') === 'karaoke'
+            ? json({ error_message: 'Backend error' }, 500)
+            : json({ status: 'OK', results: [googleBar] }));
+
+        const { places } = await PROVIDERS.google.nearby({ ...params, keywords: ['karaoke', 'pub'] }, env);
+        expect(requests.length).toBe(2);
+        expect(places.map(place => place.id)).toEqual(['ChIJhub']);
+    });
+
+    it('should fail when every keyword fails', async () => {
+        mockFetch(() => json({ status: 'OVER_QUERY_LIMIT', results: [] }));
+
+        await expect(PROVIDERS.google.nearby({ ...params, keywords: ['karaoke', 'pub'] }, env))
+            .rejects.toMatchObject({ provider: 'google', quota: true });
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from '@jest/globals';
+import { checkRateLimit, createUsageTracker, flushUsage, getClientId } from '../places-ratelimit.js';
+import { createMemoryKV } from './memoryKV.js';
+
+// Buckets live in module memory, so every test uses its own key and IP
+function request(ip) {
+    return new Request('https://places.example.com/nearby-places', { headers: { 'CF-Connecting-IP': ip } });
+}
+
+describe('Rate Limiting', () => {
+    describe('Token buckets', () => {
+        it('should limit an API key once its bucket is empty', async () => {
+            const env = { RATE_LIMIT_KEY: '2,0.01' };
+            expect((await checkRateLimit(request('10.0.0.1'), env, 'key-bucket')).limited).toBe(false);
+            expect((await checkRateLimit(request('10.0.0.2'), env, 'key-bucket')).limited).toBe(false);
+
+            const limited = await checkRateLimit(request('10.0.0.3'), env, 'key-bucket');
+            expect(limited).toMatchObject({ limited: true, scope: 'key' });
+            expect(limited.retryAfter).toBeGreaterThan(0);
+        });
+
+        it('should limit one IP across API keys', async () => {
+            const env = { RATE_LIMIT_IP: '1,0.01' };
+            expect((await checkRateLimit(request('10.0.1.1'), env, 'ip-bucket-a')).limited).toBe(false);
+            expect(await checkRateLimit(request('10.0.1.1'), env, 'ip-bucket-b')).toMatchObject({ limited: true, scope: 'ip' });
+            expect((await checkRateLimit(request('10.0.1.2'), env, 'ip-bucket-b')).limited).toBe(false);
+        });
+
+        it('should give photos their own IP bucket', async () => {
+            const env = { RATE_LIMIT_IP: '1,0.01', RATE_LIMIT_PHOTO: '3,0.01' };
+            expect((await checkRateLimit(request('10.0.3.1'), env, 'photo-bucket')).limited).toBe(false);
+            for (let i = 0; i < 3; i++) {
+                expect((await checkRateLimit(request('10.0.3.1'), env, 'photo-bucket', { photo: true })).limited).toBe(false);
+            }
+            expect(await checkRateLimit(request('10.0.3.1'), env, 'photo-bucket', { photo: true })).toMatchObject({ limited: true, scope: 'photo' });
+            expect(await checkRateLimit(request('10.0.3.1'), env, 'photo-bucket')).toMatchObject({ limited: true, scope: 'ip' });
+        });
+    });
+
+    describe('Daily upstream quota', () => {
+        it('should keep one counter per client, day and isolate across providers', async () => {
+            const env = { PLACES_KV: createMemoryKV() };
+            const usage = createUsageTracker(await getClientId('quota-counter'));
+            usage.record('google', 'nearby_search', 2);
+            usage.record('radar', 'search_places');
+            await flushUsage(env, usage);
+
+            const [key] = env.PLACES_KV.entries.keys();
+            expect(key).toMatch(new RegExp(`^usage:daily:${new Date().toISOString().slice(0, 10)}:${usage.clientId}:\\w+$`));
+            expect(await env.PLACES_KV.get(key, { type: 'json' })).toEqual({ total: 3, providers: { google: 2, radar: 1 } });
+            expect((await env.PLACES_KV.getWithMetadata(key)).metadata.total).toBe(3);
+        });
+
+        it('should add up every isolate\'s counter for the quota', async () => {
+            const env = { PLACES_KV: createMemoryKV(), DAILY_UPSTREAM_QUOTA: '10' };
+            const clientId = await getClientId('quota-isolates');
+            const prefix = `usage:daily:${new Date().toISOString().slice(0, 10)}:${clientId}`;
+            await env.PLACES_KV.put(`${prefix}:other-a`, '{}', { metadata: { total: 4 } });
+            await env.PLACES_KV.put(`${prefix}:other-b`, '{}', { metadata: { total: 4 } });
+            expect((await checkRateLimit(request('10.0.2.5'), env, 'quota-isolates')).limited).toBe(false);
+
+            // This isolate's calls count at once; the other isolates' on the next re-read
+            const usage = createUsageTracker(clientId);
+            usage.record('google', 'nearby_search', 2);
+            await flushUsage(env, usage);
+            expect(await checkRateLimit(request('10.0.2.5'), env, 'quota-isolates')).toMatchObject({ limited: true, scope: 'daily_quota' });
+        });
+
+        it('should limit a key that used up its quota until midnight', async () => {
+            const env = { PLACES_KV: createMemoryKV(), DAILY_UPSTREAM_QUOTA: '3' };
+            expect((await checkRateLimit(request('10.0.2.1'), env, 'quota-limit')).limited).toBe(false);
+
+            const usage = createUsageTracker(await getClientId('quota-limit'));
+            usage.record('google', 'place_details', 3);
+            await flushUsage(env, usage);
+
+            const limited = await checkRateLimit(request('10.0.2.1'), env, 'quota-limit');
+            expect(limited).toMatchObject({ limited: true, scope: 'daily_quota' });
+            expect(limited.retryAfter).toBeLessThanOrEqual(86400);
+            expect((await checkRateLimit(request('10.0.2.1'), env, 'quota-other-key')).limited).toBe(false);
+        });
+
+        it('should not bill requests without an API key to a shared client', async () => {
+            const env = { PLACES_KV: createMemoryKV(), DAILY_UPSTREAM_QUOTA: '1' };
+            const result = await checkRateLimit(request('10.0.2.9'), env, null);
+            expect(result).toEqual({ limited: false, clientId: null });
+
+            const usage = createUsageTracker(result.clientId);
+            usage.record('google', 'place_details', 5);
+            await flushUsage(env, usage);
+            expect(env.PLACES_KV.entries.size).toBe(0);
+            expect((await checkRateLimit(request('10.0.2.10'), env, null)).limited).toBe(false);
+        });
+    });
+});
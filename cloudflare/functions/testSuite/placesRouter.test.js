@@ -0,0 +1,50 @@
+import { describe, it, expect } from '@jest/globals';
+import { matchRoute, validateParams } from '../places-router.js';
+
+const routes = [
+    { method: 'GET', path: '/v1/places/:id' },
+    { method: 'GET', path: '/v1/places:search' }
+];
+
+describe('Versioned Routes', () => {
+    describe('matchRoute', () => {
+        it('should tell a literal colon from a path param', () => {
+            expect(matchRoute(routes, 'GET', '/v1/places:search').route.path).toBe('/v1/places:search');
+            expect(matchRoute(routes, 'GET', '/v1/places/ChIJ%2Babc').params).toEqual({ id: 'ChIJ+abc' });
+        });
+
+        it('should report the allowed methods of a known path', () => {
+            expect(matchRoute(routes, 'POST', '/v1/places/abc')).toEqual({ allowed: ['GET'] });
+            expect(matchRoute(routes, 'GET', '/v1/nearby')).toBeNull();
+        });
+    });
+
+    describe('validateParams', () => {
+        const schema = {
+            lat: { type: 'number', required: true, min: -90, max: 90 },
+            radius: { type: 'number', default: 500 },
+            sort: { type: 'enum', values: ['distance', 'rating'] }
+        };
+
+        it('should fill in defaults', () => {
+            expect(validateParams(new URLSearchParams('lat=27.9'), schema).params)
+                .toEqual({ lat: 27.9, radius: 500, sort: undefined });
+        });
+
+        it('should collect every invalid param', () => {
+            expect(validateParams(new URLSearchParams('radius=abc&sort=name'), schema).validationErrors).toEqual({
+                lat: 'is required',
+                radius: 'must be a number',
+                sort: 'must be one of distance, rating'
+            });
+        });
+
+        it('should check every value of a repeated param', () => {
+            const keywords = { keyword: { type: 'string', maxLength: 5, multiple: true, default: [] } };
+            expect(validateParams(new URLSearchParams('keyword=jazz&keyword=blues'), keywords).params)
+                .toEqual({ keyword: ['jazz', 'blues'] });
+            expect(validateParams(new URLSearchParams('keyword=jazz&keyword=bluegrass'), keywords).validationErrors)
+                .toEqual({ keyword: 'must be at most 5 characters' });
+        });
+    });
+});
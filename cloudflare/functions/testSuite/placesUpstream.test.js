@@ -0,0 +1,55 @@
+import { describe, it, expect } from '@jest/globals';
+import { fixtureFetch, getProviderMode, upstreamFetch, FIXTURE_ID_PREFIX } from '../places-upstream.js';
+import { createMemoryKV } from './memoryKV.js';
+
+const places = [
+    { id: 'hub', name: 'The Hub Bar', types: ['bar'], location: { lat: 27.950604, lng: -82.459007 }, address: '719 N Franklin St, Tampa, 33602' },
+    { id: 'far', name: 'Far Bar', types: ['bar'], location: { lat: 28.08, lng: -82.436 }, address: '1913 E Bearss Ave, Tampa, 33613' }
+];
+
+describe('Provider Modes', () => {
+    it('should default to live and reject unknown modes', () => {
+        expect(getProviderMode({})).toBe('live');
+        expect(getProviderMode({ PROVIDER_MODE: 'fixture' })).toBe('fixture');
+        expect(() => getProviderMode({ PROVIDER_MODE: 'offline' })).toThrow();
+    });
+
+    describe('fixtureFetch', () => {
+        it('should answer a legacy nearby search with places in the radius', async () => {
+            const response = fixtureFetch(places, 'https://maps.googleapis.com/maps/api/place/nearbysearch/json?location=27.95,-82.459&radius=500&type=bar');
+            const data = await response.json();
+            expect(data.results.map(result => result.name)).toEqual(['The Hub Bar']);
+            expect(data.results[0].place_id).toBe(`${FIXTURE_ID_PREFIX}hub`);
+        });
+
+        it('should look up a place by its fixture id', async () => {
+            const response = fixtureFetch(places, `https://places.googleapis.com/v1/places/${FIXTURE_ID_PREFIX}far`);
+            expect((await response.json()).displayName.text).toBe('Far Bar');
+            expect(fixtureFetch(places, `https://places.googleapis.com/v1/places/${FIXTURE_ID_PREFIX}gone`).status).toBe(404);
+        });
+
+        it('should refuse endpoints it has no fixture for', () => {
+            expect(fixtureFetch(places, 'https://api.example.com/unknown').status).toBe(501);
+        });
+    });
+
+    describe('fixture dataset', () => {
+        const nearbyUrl = 'https://maps.googleapis.com/maps/api/place/nearbysearch/json?location=27.95,-82.459&radius=500&type=bar';
+
+        it('should load the dataset once for concurrent requests, and re-read it while empty', async () => {
+            const kv = createMemoryKV();
+            let lists = 0;
+            const env = { PROVIDER_MODE: 'fixture', PLACES_KV: { ...kv, list: options => { lists++; return kv.list(options); } } };
+
+            const empty = await upstreamFetch(env, nearbyUrl).then(response => response.json());
+            expect(empty.results).toHaveLength(0);
+
+            await kv.put('fixtures:places:test', JSON.stringify(places.map(place => ({ schemaVersion: 1, ...place }))));
+            const responses = await Promise.all([1, 2, 3].map(() => upstreamFetch(env, nearbyUrl)));
+            for (const response of responses) {
+                expect((await response.json()).results.map(result => result.name)).toEqual(['The Hub Bar']);
+            }
+            expect(lists).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+require('dotenv').config({ path: '../.env' });
+const { createClient } = require('@supabase/supabase-js');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Writes the Barzo user id -> Supabase user id mapping that auth-function.js reads
+// (the external_identities table) for users already in auth.users, so their next
+// login keeps the identity their posts and personas belong to. A user is mapped only
+// if loadUsers.js loaded it for the same Barzo user and environment (users loaded
+// before environments were recorded count as prod).
+//
+// Usage: node backfillUserMap.js [users.json] [dev|prod]
+// Needs the Supabase keys loadUsers.js uses.
+
+const IDENTITY_SERVICE = 'barzo';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+      detectSessionInUrl: false
+    }
+  }
+);
+
+// auth.users stores phones as digits only, like loadUsers.js and the auth worker
+function normalizePhone(phone) {
+  return String(phone || '').replace(/\D/g, '');
+}
+
+async function backfillUserMap(filename = 'users.json', environment = 'prod') {
+  const usersData = JSON.parse(
+    await fs.readFile(path.join(__dirname, filename), 'utf8')
+  );
+
+  let mapped = 0;
+  for (const userData of usersData) {
+    if (!userData.id || !userData.phone) continue;
+
+    const email = (userData.email || `${userData.phone}@placeholder.com`).toLowerCase();
+    const { data: existingUser, error: searchError } = await supabase
+      .rpc('search_auth_user', {
+        p_phone: normalizePhone(userData.phone),
+        p_email: email
+      })
+      .maybeSingle();
+
+    if (searchError) {
+      console.error(`Error searching user ${userData.id}:`, searchError);
+      continue;
+    }
+
+    if (!existingUser) {
+      console.log(`No Supabase user for ${userData.id}; it will be created on first login`);
+      continue;
+    }
+
+    const loaded = existingUser.private_metadata?.identity || {};
+    if ((loaded.external_env || 'prod') !== environment ||
+        (loaded.external_id && String(loaded.external_id) !== String(userData.id))) {
+      console.log(`Supabase user ${existingUser.id} belongs to another identity; ${userData.id} gets its own on first login`);
+      continue;
+    }
+
+    const { error: mapError } = await supabase
+      .from('external_identities')
+      .upsert({
+        service: IDENTITY_SERVICE,
+        environment,
+        external_id: userData.id,
+        user_id: existingUser.id
+      }, {
+        onConflict: 'service,environment,external_id'
+      });
+
+    if (mapError) {
+      console.error(`Error mapping user ${userData.id}:`, mapError);
+      continue;
+    }
+    mapped++;
+    console.log(`Mapped ${userData.id} -> ${existingUser.id}`);
+  }
+
+  console.log(`Mapped ${mapped} of ${usersData.length} users`);
+}
+
+const filename = process.argv[2] || 'users.json';
+const environment = process.argv[3] || 'prod';
+backfillUserMap(filename, environment).then(() => console.log('Done!'));
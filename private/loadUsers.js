@@ -19,7 +19,12 @@ const supabase = createClient(
   }
 );
 
-async function loadUsers(filename = 'users.json') {
+// auth.users stores phones as digits only; the auth worker (auth-function.js) uses the same format
+function normalizePhone(phone) {
+  return String(phone || '').replace(/\D/g, '');
+}
+
+async function loadUsers(filename = 'users.json', environment = 'prod') {
   try {
     // Read users from JSON file
     const usersData = JSON.parse(
@@ -35,9 +40,10 @@ async function loadUsers(filename = 'users.json') {
       
       // Check if user exists by phone or email
       userData.email = (userData.email || `${userData.phone}@placeholder.com`).toLowerCase();
+      const phone = normalizePhone(userData.phone);
       const { data: existingUser, error: searchError } = await supabase
         .rpc('search_auth_user', {
-          p_phone: userData.phone,
+          p_phone: phone,
           p_email: userData.email
         })
         .single();
@@ -54,11 +60,11 @@ async function loadUsers(filename = 'users.json') {
         // Create new user in auth.users
         const { data: { user }, error: authError } = await supabase.auth.admin.createUser({
           email: userData.email,
-          phone: userData.phone,
+          phone,
           user_metadata: {
             external_id: userData.id,
             external_service: 'barzo',
-            external_env: process.env.NODE_ENV || 'development'
+            external_env: environment
           }
         });
 
@@ -73,11 +79,11 @@ async function loadUsers(filename = 'users.json') {
         userId = existingUser.id;
         
         // Update phone/email if needed
-        if (existingUser.phone !== userData.phone.replace('+','')) {
-          console.log('updating phone number from', existingUser.phone, 'to', userData.phone);
+        if (existingUser.phone !== phone) {
+          console.log('updating phone number from', existingUser.phone, 'to', phone);
           const { error } = await supabase.auth.admin.updateUserById(
             userId,
-            { phone: userData.phone }
+            { phone }
           );
           if (error) console.error('Error updating phone number:', error);
         }
@@ -143,7 +149,8 @@ async function loadUsers(filename = 'users.json') {
         address: null, // Add address if available in userData
         metadata: {
           identity: {
-            external_id: userData.id
+            external_id: userData.id,
+            external_env: environment
           },
           preferences: userData.preferences || {},
           settings: userData.settings || {}
@@ -169,6 +176,7 @@ async function loadUsers(filename = 'users.json') {
   }
 }
 
-// Update the function call to allow passing a filename
+// Usage: node loadUsers.js [users.json] [dev|prod]
 const filename = process.argv[2] || 'users.json';
-loadUsers(filename).then(() => console.log('Done!'));
+const environment = process.argv[3] || 'prod';
+loadUsers(filename, environment).then(() => console.log('Done!'));
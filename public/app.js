@@ -278,7 +278,6 @@ async function startupThisApp() {
     mapService = new MapService(locationService, {
         mapContainer: 'map',
         accessToken: 'pk.eyJ1Ijoic3JlZWJhcnpvIiwiYSI6ImNtNXdwOHl1aDAwaGgyam9vbHdjYnIyazQifQ.StZ77F8-5g43kq29k2OLaw',
-        googleApiKey: clientKeys.googleKey,
         searchInput: 'search-container',
         searchInputLevel: 'neighborhood'
     });
@@ -309,15 +308,15 @@ async function startupThisApp() {
 
         // Update card borders and scroll
         document.querySelectorAll('.place-card').forEach(card => {
-            card.dataset.selected = (card.dataset.placeId === place.place_id).toString();
+            card.dataset.selected = (card.dataset.placeId === place.id).toString();
         });
 
-        const card = document.querySelector(`.place-card[data-place-id="${place.place_id}"]`);
+        const card = document.querySelector(`.place-card[data-place-id="${place.id}"]`);
         if (card && window.placesComponent) {
-            window.placesComponent._scrollCardIntoView(place.place_id);
+            window.placesComponent._scrollCardIntoView(place.id);
         }
 
-        mapService.selectMarker(place.place_id);
+        mapService.selectMarker(place.id);
 
         // Re-observe after a delay
         setTimeout(() => {
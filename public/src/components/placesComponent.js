@@ -1,10 +1,13 @@
 import MarkerManager from '../services/markerManager.js';
 import CarouselComponent from './carouselComponent.js';
-import { getApiUrl } from '../services/apiService.js';
+import sheetComponent from './sheetComponent.js';
+import { getApiUrl, extractPlaces, getPhotoUrl, PLACES_API_KEY } from '../services/apiService.js';
+import { getStatusBadge } from '../utils/openingHours.js';
 import PlaceDetailsPage from '../pages/placeDetailsPage.js';
 
 const PLACES_API_URL = getApiUrl();
 //const PLACES_API_URL = 'http://localhost:8787'; // debug
+const MAX_SEARCH_SPAN_DEGREES = 0.5;   // Larger boxes are rejected by the worker as too many grid cells
 
 export default class PlacesComponent {
     constructor(mapService, locationService, containerSelector, config = {}) {
@@ -12,8 +15,11 @@ export default class PlacesComponent {
         this._locationService = locationService;
         this._containerSelector = containerSelector;
         this._config = {
+            category: null,             // Worker category id (e.g. 'music'); replaces placeTypes / keywords
             placeTypes: ['bar'],
             maxResults: 30,
+            sort: 'distance',           // distance | rating | relevance, applied by the worker
+            filters: {},                // { openNow, minRating, priceLevels: [], types: [] }
             endpoint: 'supabase',
             markerColors: {
                 open: '#E31C5F',
@@ -270,34 +276,44 @@ export default class PlacesComponent {
         }
 
         try {
-            // Calculate radius but cap it at 10km (10000m) for Radar API
-            const calculatedRadius = this._calculateRadius() * 2 / 3;
-            const radius = Math.min(Math.floor(calculatedRadius / 100) * 100, 10000);
-            
-            const roundedLocation = {
-                lat: Math.round(location.lat * 10000) / 10000,
-                lng: Math.round(location.lng * 10000) / 10000
-            };
+            // Search exactly what's on screen; the worker tiles the box into cached cells
+            const bounds = this._getSearchBounds();
 
             // Build URL with all parameters including keywords
-            const url = new URL(`${PLACES_API_URL}/nearby?detailLevel=basic`);
-            url.searchParams.set('lat', roundedLocation.lat);
-            url.searchParams.set('lng', roundedLocation.lng);
-            url.searchParams.set('radius', radius);  // Now using capped radius
-            url.searchParams.set('type', this._config.placeTypes[0]);
+            const url = new URL(`${PLACES_API_URL}/v1/nearby`);
+            url.searchParams.set('bbox', [bounds.west, bounds.south, bounds.east, bounds.north].join(','));
+            if (this._config.category) {
+                url.searchParams.set('category', this._config.category);
+            } else {
+                url.searchParams.set('type', this._config.placeTypes[0]);
+            }
+            url.searchParams.set('maxResults', this._config.maxResults);
+            url.searchParams.set('sort', this._config.sort);
+
+            // Distances are measured from the map location by the worker
+            const mapLocation = this._locationService.getMapLocation();
+            if (mapLocation) {
+                url.searchParams.set('origin', `${mapLocation.lat},${mapLocation.lng}`);
+            }
+
+            const { openNow, minRating, priceLevels, types } = this._config.filters;
+            if (openNow) url.searchParams.set('openNow', 'true');
+            if (minRating) url.searchParams.set('minRating', minRating);
+            if (priceLevels?.length) url.searchParams.set('priceLevels', priceLevels.join(','));
+            if (types?.length) url.searchParams.set('types', types.join(','));
             
             // Add keywords if they exist in config
-            if (this._config.keywords) {
+            if (this._config.keywords && !this._config.category) {
                 this._config.keywords.forEach(keyword => {
                     url.searchParams.append('keyword', keyword);
                 });
             }
 
-            console.log('Fetching places with radius:', radius, 'meters');
+            console.log('Fetching places in bbox:', url.searchParams.get('bbox'));
             
             const response = await fetch(url.toString(), {
                 headers: {
-                    'X-API-Key': 'TESTING_KEY_wNTrO9zYD8cU__Pzmbs0fid80_EIqzhp7tW_FCpADDo',
+                    'X-API-Key': PLACES_API_KEY,
                     'Content-Type': 'application/json'
                 },
                 mode: 'cors'
@@ -310,15 +326,14 @@ export default class PlacesComponent {
                     statusText: response.statusText,
                     error: errorData
                 });
-                throw new Error(errorData.error || errorData.message || 'Failed to fetch places');
+                throw new Error(errorData.error?.message || 'Failed to fetch places');
             }
 
             let places = await response.json();
             if (places) {
-                // Extract Google places from response
-                const googlePlaces = places.google || places;
-                const mapLocation = this._locationService.getMapLocation();
-                const processedPlaces = this._processPlacesData(googlePlaces, mapLocation);
+                // Canonical places, whichever worker answered
+                const canonicalPlaces = extractPlaces(places);
+                const processedPlaces = this._processPlacesData(canonicalPlaces, mapLocation);
                 
                 // Update markers but don't automatically show them
                 this._markerManager.updateMarkers(processedPlaces, this._config.markerColors);
@@ -345,56 +360,44 @@ export default class PlacesComponent {
         }
     }
 
-    _normalizeHours(hoursArray) {
-        const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        const normalized = {};
-
-        dayNames.forEach((day, index) => {
-            const dayData = hoursArray?.find(h => h.name === index);
-            normalized[day] = dayData?.hours || [];
-        });
-
-        return normalized;
-    }
-
     _processPlacesData(places, userLocation) {
         return places.map(place => {
-            let distance = null;
+            // The worker sends distance when it had an origin; older responses don't
+            let distance = place.distance ?? null;
             let formattedDistance = null;
             
-            if (userLocation && place.geometry && place.geometry.location) {
+            if (distance === null && userLocation && place.location) {
                 distance = this._calculateDistance(
                     userLocation.lat,
                     userLocation.lng,
-                    place.geometry.location.lat,
-                    place.geometry.location.lng
+                    place.location.lat,
+                    place.location.lng
                 );
+            }
+            if (distance !== null) {
                 formattedDistance = this._formatDistance(distance);
             }
 
-            // Normalize hours if they exist
-            const normalizedHours = place.hours ? this._normalizeHours(place.hours) : null;
-
             return {
                 ...place,
-                hours: normalizedHours,
                 distance,
                 formattedDistance
             };
-        })//.sort((a, b) => (a.distance || Infinity) - (b.distance || Infinity));
+        });
     }
 
-    _calculateRadius() {
+    // Viewport bounds rounded outward to 4 decimals, clamped around the center to what the worker will tile
+    _getSearchBounds() {
         const bounds = this._mapService.getMapBounds();
         const center = this._mapService.getMapCenter();
-        const ne = bounds.getNorthEast();
-        const radiusInMeters = center.distanceTo(ne);
-        
-        // Round down to nearest 100m for better caching
-        const roundedRadius = Math.floor(radiusInMeters / 100) * 100;
-        
-        // Ensure radius is between 1m and 50km
-        return Math.min(Math.max(roundedRadius, 1), 50000);
+        const halfSpan = MAX_SEARCH_SPAN_DEGREES / 2;
+
+        return {
+            west: Math.floor(Math.max(bounds.getWest(), center.lng - halfSpan, -180) * 10000) / 10000,
+            south: Math.floor(Math.max(bounds.getSouth(), center.lat - halfSpan, -90) * 10000) / 10000,
+            east: Math.ceil(Math.min(bounds.getEast(), center.lng + halfSpan, 180) * 10000) / 10000,
+            north: Math.ceil(Math.min(bounds.getNorth(), center.lat + halfSpan, 90) * 10000) / 10000
+        };
     }
 
     _calculateDistance(lat1, lon1, lat2, lon2) {
@@ -457,7 +460,7 @@ export default class PlacesComponent {
 
         // Create new cards
         places.forEach(place => {
-            const existingCard = placesScroll.querySelector(`[data-place-id="${place.place_id}"]`);
+            const existingCard = placesScroll.querySelector(`[data-place-id="${place.id}"]`);
             if (!existingCard) {
                 const card = this._createPlaceCard(place);
                 placesScroll.appendChild(card);
@@ -479,7 +482,7 @@ export default class PlacesComponent {
     _createPlaceCard(place) {
         const card = document.createElement('div');
         card.className = 'place-card mb-4 cursor-pointer hover:bg-gray-50';
-        card.dataset.placeId = place.place_id;
+        card.dataset.placeId = place.id;
         
         // Add custom property for highlight color
         card.style.setProperty('--highlight-color', this._config.markerColors.open);
@@ -489,7 +492,7 @@ export default class PlacesComponent {
             ${place.photos && place.photos.length > 0 ? `
                 <div class="place-image">
                     <img 
-                        src="https://maps.googleapis.com/maps/api/place/photo?maxwidth=400&photo_reference=${place.photos[0].photo_reference}&key=${this.serverKey || this._mapService._googleApiKey}"
+                        src="${getPhotoUrl(place.photos[0], 400)}"
                         alt="${place.name}"
                         loading="lazy"
                         class="w-full h-48 object-cover"
@@ -506,11 +509,11 @@ export default class PlacesComponent {
                 </div>
                 <h3 class="name" style="position:relative; top:-2px">${place.name}</h3>
                 <div class="flex" style="align-items: baseline;">
-                    <div class="status ${place.opening_hours ? `pc-status ${place.opening_hours.open_now ? 'open' : 'closed'}` : ''}">
-                        ${place.opening_hours ? (place.opening_hours.open_now ? 'OPEN' : 'CLOSED') : '...'}
+                    <div class="status ${place.hours ? `pc-status ${getStatusBadge(place.hours).className}` : ''}">
+                        ${place.hours ? getStatusBadge(place.hours).label : '...'}
                     </div>
                     <div class="price-level text-gray-500 text-xs ml-2">
-                        ${place.price_level ? '$'.repeat(place.price_level) : ''}
+                        ${place.priceLevel ? '$'.repeat(place.priceLevel) : ''}
                     </div>
                     <div class="flex-1"></div>
                     <div class="text-gray-500 text-xs pr-1">${place.formattedDistance || ''}</div>
@@ -528,8 +531,8 @@ export default class PlacesComponent {
         if (!this._carousel.isMobile()) {
             card.addEventListener('mouseenter', () => {
                 if (this._isUpdating) return;
-                this._markerManager.selectMarker(place.place_id);
-                this._carousel.selectCard(place.place_id);
+                this._markerManager.selectMarker(place.id);
+                this._carousel.selectCard(place.id);
             });
 
             card.addEventListener('mouseleave', () => {
@@ -556,10 +559,10 @@ export default class PlacesComponent {
             this._currentIntersectionObserver.disconnect();
         }
 
-        this._carousel.selectCard(place.place_id);
+        this._carousel.selectCard(place.id);
 
-        this._scrollCardIntoView(place.place_id);
-        this._markerManager.selectMarker(place.place_id);
+        this._scrollCardIntoView(place.id);
+        this._markerManager.selectMarker(place.id);
 
         setTimeout(() => {
             if (this._currentIntersectionObserver) {
@@ -599,7 +602,7 @@ export default class PlacesComponent {
                                 this._carousel.selectCard(placeId);
 
                                 // Find the place in currentPlaces
-                                const place = this._currentPlaces.find(p => p.place_id === placeId);
+                                const place = this._currentPlaces.find(p => p.id === placeId);
                                 
                                 // Check if we only have basic details
                                 if (place && !place.detailsFetched) {
@@ -608,7 +611,7 @@ export default class PlacesComponent {
                                         const details = await PlaceDetailsPage.getPlaceDetails(placeId);
                                         if (details) {
                                             // Update the place in currentPlaces with full details
-                                            Object.assign(place, details.result);
+                                            Object.assign(place, details);
                                             place.detailsFetched = true;
 
                                             // Update the card with new details
@@ -650,7 +653,7 @@ export default class PlacesComponent {
 
     handlePlaceClick(place) {
         // Just use the place route without appending current route
-        window.location.hash = `place?id=${place.place_id}##`;
+        window.location.hash = `place?id=${place.id}##`;
     }
 
     async _showPlaceDetails(place) {
@@ -691,7 +694,7 @@ export default class PlacesComponent {
         }
 
         // Fetch the detailed place data first
-        const details = await PlaceDetailsPage.getPlaceDetails(place.place_id);
+        const details = await PlaceDetailsPage.getPlaceDetails(place.id);
         if (!details) {
             console.error('Failed to fetch place details');
             return;
@@ -702,7 +705,7 @@ export default class PlacesComponent {
             ${place.photos && place.photos.length > 0 ? `
                 <div class="place-image">
                     <img 
-                        src="https://maps.googleapis.com/maps/api/place/photo?maxwidth=800&photo_reference=${place.photos[0].photo_reference}&key=${this.serverKey || this._mapService._googleApiKey}"
+                        src="${getPhotoUrl(place.photos[0], 800)}"
                         alt="${place.name}"
                         loading="lazy"
                         class="w-full h-48 object-cover"
@@ -730,8 +733,8 @@ export default class PlacesComponent {
     _findMatchingPlace(searchPlace) {
         return this._currentPlaces.find(place => {
             const nameMatch = place.name.toLowerCase() === searchPlace.name.toLowerCase();
-            const locationMatch = this._isNearby(
-                place.geometry.location,
+            const locationMatch = place.location && this._isNearby(
+                place.location,
                 searchPlace.location,
                 50 // meters threshold
             );
@@ -808,7 +811,7 @@ export function showPlaceDetails(place) {
             <div class="photo-grid">
                 ${place.photos.map(photo => `
                     <img 
-                        src="https://maps.googleapis.com/maps/api/place/photo?maxwidth=400&photo_reference=${photo.photo_reference}&key=${mapService._googleApiKey}"
+                        src="${getPhotoUrl(photo, 400)}"
                         alt="${place.name}"
                         loading="lazy"
                     >
@@ -824,21 +827,21 @@ export function showPlaceDetails(place) {
 
             <div class="info-row">
                 <span class="material-icons">schedule</span>
-                ${place.opening_hours?.open_now !== undefined
-                    ? `<span class="${place.opening_hours.open_now ? 'open' : 'closed'}">${place.opening_hours.open_now ? 'OPEN' : 'CLOSED'}</span>`
+                ${typeof place.hours?.openNow === 'boolean'
+                    ? `<span class="${getStatusBadge(place.hours).className}">${getStatusBadge(place.hours).label}</span>`
                     : `<span class="unknown">Status unknown</span>`
                 }
             </div>
 
             <div class="info-row">
                 <span class="material-icons">place</span>
-                <span>${place.vicinity || 'Address not available'}</span>
+                <span>${place.vicinity || place.address || 'Address not available'}</span>
             </div>
 
             ${place.rating ? `
                 <div class="info-row">
                     <span class="material-icons">star</span>
-                    <span>${place.rating} ⭐️ (${place.user_ratings_total || 0})</span>
+                    <span>${place.rating} ⭐️ (${place.userRatingCount || 0})</span>
                 </div>
             ` : ''}
         </div>
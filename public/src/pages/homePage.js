@@ -33,7 +33,7 @@ export default class HomePage {
             locationService, 
             '#bar-container',
             {
-                placeTypes: ['bar', 'night_club'],
+                category: 'bars',
                 maxResults: 30,
                 endpoint: 'supabase',
                 markerColors: {
@@ -52,7 +52,7 @@ export default class HomePage {
             locationService, 
             '#restaurant-container',
             {
-                placeTypes: ['restaurant', 'cafe'],
+                category: 'restaurants',
                 maxResults: 20,
                 endpoint: 'supabase',
                 markerColors: {
@@ -71,7 +71,7 @@ export default class HomePage {
             locationService,
             '#cigar-container',
             {
-                placeTypes: ['bar'],
+                category: 'cigar',
                 maxResults: 15,
                 endpoint: 'supabase',
                 markerColors: {
@@ -79,7 +79,6 @@ export default class HomePage {
                     closed: '#9CA3AF',
                     pulse: '#9333EA'
                 },
-                keywords: ['cigar', 'hookah'],
                 onExpand: () => this._handleCarouselExpand('cigar')
             }
         );
@@ -91,7 +90,7 @@ export default class HomePage {
             locationService,
             '#music-container',
             {
-                placeTypes: ['bar'],
+                category: 'music',
                 maxResults: 15,
                 endpoint: 'supabase',
                 markerColors: {
@@ -99,7 +98,6 @@ export default class HomePage {
                     closed: '#9CA3AF',
                     pulse: '#059669'
                 },
-                keywords: ['karaoke', 'live music'],
                 onExpand: () => this._handleCarouselExpand('music')
             }
         );
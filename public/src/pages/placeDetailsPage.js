@@ -1,5 +1,6 @@
 import sheetComponent from '../components/sheetComponent.js';
-import { getApiUrl } from '../services/apiService.js';
+import { getApiUrl, extractPlaceDetails, getPhotoUrl, PLACES_API_KEY } from '../services/apiService.js';
+import { getStatusBadge } from '../utils/openingHours.js';
 
 const PLACES_API_URL = getApiUrl();
 //const PLACES_API_URL = 'http://localhost:8787'; // debug
@@ -23,82 +24,11 @@ export default class PlaceDetailsPage {
             </div>
         `;
     }
-    static updateOpenNowStatus(place) {
-        if (!place?.opening_hours?.periods) {
-            delete place.opening_hours;
-            delete place.current_opening_hours;
-            return place;
-        }
-    
-        // Use place's UTC offset instead of hardcoding EST
-        const now = new Date();
-        const utc = now.getTime() + (now.getTimezoneOffset() * 60000);
-        const localTime = new Date(utc + ((place.utc_offset || -5) * 3600000)); // Fixed: hours to ms conversion
-    
-        const dayOfWeek = localTime.getDay();
-        const currentMinutes = localTime.getHours() * 60 + localTime.getMinutes();
-    
-        // Check if it's open 24/7
-        if (place.opening_hours.periods.length === 1 && 
-            place.opening_hours.periods[0].open.time === "0000" && 
-            !place.opening_hours.periods[0].close) {
-            place.opening_hours.open_now = true;
-            if (place.current_opening_hours) {
-                place.current_opening_hours.open_now = true;
-            }
-            return place;
-        }
-    
-        let isOpen = false;
-        for (const period of place.opening_hours.periods) {
-            const openDay = period.open.day;
-            const closeDay = period.close?.day ?? openDay;
-            
-            // Convert HHMM format to minutes since midnight
-            const openMinutes = parseInt(period.open.time.slice(0, 2)) * 60 + 
-                               parseInt(period.open.time.slice(2));
-            const closeMinutes = period.close ? 
-                                parseInt(period.close.time.slice(0, 2)) * 60 + 
-                                parseInt(period.close.time.slice(2)) : 
-                                24 * 60;
-    
-            // Handle cases where closing time is on the next day
-            if (openDay === dayOfWeek) {
-                if (closeDay === openDay) {
-                    // Same day period
-                    if (currentMinutes >= openMinutes && currentMinutes < closeMinutes) {
-                        isOpen = true;
-                        break;
-                    }
-                } else {
-                    // Period extends to next day
-                    if (currentMinutes >= openMinutes) {
-                        isOpen = true;
-                        break;
-                    }
-                }
-            } else if (closeDay === dayOfWeek) {
-                // Check if we're in the closing leg of an overnight period
-                if (currentMinutes < closeMinutes) {
-                    isOpen = true;
-                    break;
-                }
-            }
-        }
-    
-        place.opening_hours.open_now = isOpen;
-        if (place.current_opening_hours) {
-            place.current_opening_hours.open_now = isOpen;
-        }
-    
-        return place;
-    }
-
     static async getPlaceDetails(placeId) {
         try {
-            const response = await fetch(`${PLACES_API_URL}/nearby-places?placeId=${placeId}`, {
+            const response = await fetch(`${PLACES_API_URL}/v1/places/${encodeURIComponent(placeId)}`, {
                 headers: {
-                    'X-API-Key': 'TESTING_KEY_wNTrO9zYD8cU__Pzmbs0fid80_EIqzhp7tW_FCpADDo',
+                    'X-API-Key': PLACES_API_KEY,
                     'Content-Type': 'application/json'
                 },
                 mode: 'cors'
@@ -111,12 +41,11 @@ export default class PlaceDetailsPage {
                     statusText: response.statusText,
                     error: errorData
                 });
-                throw new Error(errorData.error || errorData.message || 'Failed to fetch place details');
+                throw new Error(errorData.error?.message || 'Failed to fetch place details');
             }
 
-            let data = await response.json();
-            this.updateOpenNowStatus(data.result || data)
-            return data;
+            // Canonical place, whichever worker answered
+            return extractPlaceDetails(await response.json());
         } catch (error) {
             console.error('Error fetching place details:', error);
             throw error;
@@ -167,17 +96,13 @@ export default class PlaceDetailsPage {
             console.error('Failed to fetch place details');
             return;
         }
-        details = details.result || details;
 
-        // Get current day name in lowercase
-        const today = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][new Date().getDay()];
-        
         // Update content
         detailsDiv.innerHTML = `
             ${details.photos && details.photos.length > 0 ? `
                 <div class="place-image">
                     <img 
-                        src="https://maps.googleapis.com/maps/api/place/photo?maxwidth=800&photo_reference=${details.photos[0].photo_reference}&key=${this.mapService._googleApiKey}"
+                        src="${getPhotoUrl(details.photos[0], 800)}"
                         alt="${details.name}"
                         loading="lazy"
                         class="w-full h-48 object-cover"
@@ -197,11 +122,11 @@ export default class PlaceDetailsPage {
                 <h2 class="text-xl font-semibold">${details.name}</h2>
                 
                 <div class="flex items-center gap-2 mb-4">
-                    <div class="status ${details.current_opening_hours?.open_now ? 'open' : 'closed'}">
-                        ${details.current_opening_hours?.open_now ? 'OPEN' : 'CLOSED'}
+                    <div class="status ${getStatusBadge(details.hours).className}">
+                        ${getStatusBadge(details.hours).label}
                     </div>
-                    ${details.price_level ? `
-                        <div class="text-gray-500 text-xs">${'$'.repeat(details.price_level)}</div>
+                    ${details.priceLevel ? `
+                        <div class="text-gray-500 text-xs">${'$'.repeat(details.priceLevel)}</div>
                     ` : ''}
                     ${details.formattedDistance ? `
                         <div class="text-gray-500 text-xs">${details.formattedDistance}</div>
@@ -212,69 +137,54 @@ export default class PlaceDetailsPage {
             </div>
 
             <div class="px-4 pb-4">
-                ${details.editorial_summary?.overview ? `
+                ${details.summary ? `
                     <div class="text-gray-900 text-sm mb-4">
-                        ${details.editorial_summary.overview}
+                        ${details.summary}
                     </div>
                 ` : ''}
 
                 <div class="grid grid-cols-2 gap-x-3 gap-y-2 text-xs">
                     <div class="font-medium text-gray-400">NEIGHBORHOOD</div>
-                    <div class="text-gray-900">${
-                        details.address_components?.find(c => c.types.includes('neighborhood'))?.long_name || 
-                        'Location not specified'
-                    }</div>
+                    <div class="text-gray-900">${details.neighborhood || 'Location not specified'}</div>
 
                     <div class="font-medium text-gray-400">ADDRESS</div>
-                    <div class="text-gray-900">${details.formatted_address || details.vicinity}</div>
+                    <div class="text-gray-900">${details.address || details.vicinity || ''}</div>
 
                     <div class="font-medium text-gray-400">STATUS</div>
                     <div class="text-gray-900">
-                        ${details.current_opening_hours?.open_now ? 
-                            '<span class="text-green-600 font-medium">Open Now</span>' : 
+                        ${details.hours?.openNow ? 
+                            (details.hours.closesInMinutes !== null && details.hours.closesInMinutes !== undefined
+                                ? `<span class="text-green-600 font-medium">Open Now</span> · closes in ${details.hours.closesInMinutes} min`
+                                : '<span class="text-green-600 font-medium">Open Now</span>') : 
                             '<span class="text-red-600 font-medium">Closed</span>'
                         }
                     </div>
-                    ${details.current_opening_hours?.weekday_text?.map(day => {
+                    ${details.hours?.weekdayText?.map(day => {
                         const [dayName, hours] = day.split(': ');
                         return `<div class="text-gray-400 justify-self-end">${dayName.slice(0,3)}</div>
                                 <div class="text-gray-900">${hours}</div>`;
                     }).join('')}
 
-                    ${details.hours ? `
-                        <div class="font-medium text-gray-400">HOURS</div>
-                        <div class="text-gray-600 space-y-0.5">
-                            ${Object.entries(details.hours).map(([day, ranges]) => {
-                                const timeRanges = ranges?.map(range => {
-                                    const start = range.start.replace(/(\d{2})(\d{2})/, '$1:$2');
-                                    const end = range.end.replace(/(\d{2})(\d{2})/, '$1:$2');
-                                    return `${start}-${end}`;
-                                }).join(', ') || 'Closed';
-                                return `<div class="${day === today ? 'font-medium' : ''}">${day.slice(0,2).toUpperCase()}: ${timeRanges}</div>`;
-                            }).join('')}
-                        </div>
-                    ` : ''}
-
-                    ${details.serves_breakfast || details.serves_lunch || details.serves_dinner ? `
+                    ${details.serves?.breakfast || details.serves?.lunch || details.serves?.dinner ? `
                         <div class="font-medium text-gray-400">SERVES</div>
                         <div class="flex flex-wrap gap-1">
-                            ${details.serves_breakfast ? '<span class="text-gray-600">Breakfast</span>' : ''}
-                            ${details.serves_lunch ? '<span class="text-gray-600">Lunch</span>' : ''}
-                            ${details.serves_dinner ? '<span class="text-gray-600">Dinner</span>' : ''}
-                            ${details.serves_brunch ? '<span class="text-gray-600">Brunch</span>' : ''}
+                            ${details.serves.breakfast ? '<span class="text-gray-600">Breakfast</span>' : ''}
+                            ${details.serves.lunch ? '<span class="text-gray-600">Lunch</span>' : ''}
+                            ${details.serves.dinner ? '<span class="text-gray-600">Dinner</span>' : ''}
+                            ${details.serves.brunch ? '<span class="text-gray-600">Brunch</span>' : ''}
                         </div>
                     ` : ''}
 
-                    ${details.price_level ? `
+                    ${details.priceLevel ? `
                         <div class="font-medium text-gray-400">PRICE</div>
-                        <div class="text-gray-900">${'$'.repeat(details.price_level)}</div>
+                        <div class="text-gray-900">${'$'.repeat(details.priceLevel)}</div>
                     ` : ''}
 
-                    ${details?.formatted_phone_number ? `
+                    ${details?.phone ? `
                         <div class="font-medium text-gray-400">CONTACT</div>
                         <div>
-                            <a href="tel:${details.formatted_phone_number}" class="text-blue-600 hover:text-blue-800">
-                                ${details.formatted_phone_number}
+                            <a href="tel:${details.phone}" class="text-blue-600 hover:text-blue-800">
+                                ${details.phone}
                             </a>
                         </div>
                     ` : ''}
@@ -1,3 +1,6 @@
+import { normalizePlace, normalizePlaces } from '../utils/placeModel.js';
+import { updateOpenNow } from '../utils/openingHours.js';
+
 // Create a new file for API configuration
 export function getApiUrl() {
     const isLocalhost = window.location.hostname === 'localhost' || 
@@ -6,4 +9,28 @@ export function getApiUrl() {
         'http://localhost:8787' : 
         'https://nearby-places.sree-35c.workers.dev';
         //'https://enhanced-places.sree-35c.workers.dev';
-} 
\ No newline at end of file
+}
+
+// Service key for the places workers (sent as X-API-Key)
+export const PLACES_API_KEY = 'TESTING_KEY_wNTrO9zYD8cU__Pzmbs0fid80_EIqzhp7tW_FCpADDo';
+
+// Places from a nearby response of either worker, as canonical places
+// The unversioned nearby-places routes return a bare array; /v1 and enhanced-places
+// wrap it in { data: { nearbyPlaces } }
+// Open status is re-evaluated locally, so a response held in the browser cache stays right
+export function extractPlaces(json) {
+    const places = Array.isArray(json) ? json : json?.data?.nearbyPlaces || json?.results || [];
+    return normalizePlaces(places).map(place => updateOpenNow(place));
+}
+
+// Place from a details response of either worker, as a canonical place
+export function extractPlaceDetails(json) {
+    return updateOpenNow(normalizePlace(json?.data?.placeDetails || json?.result || json));
+}
+
+// Photo proxy URL for a canonical photo (legacy photo_reference or v1 photos[].name)
+// The worker adds the Google key and checks the page origin, so the URL carries no key
+export function getPhotoUrl(photo, maxWidth) {
+    if (!photo?.ref) return '';
+    return `${getApiUrl()}/photo/${encodeURIComponent(photo.ref)}?w=${maxWidth}`;
+}
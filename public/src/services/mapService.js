@@ -21,13 +21,15 @@
  * ```
  */
 
+import { normalizePlaces } from '../utils/placeModel.js';
+import { getApiUrl, PLACES_API_KEY } from './apiService.js';
+
 class MapService {
     /**
      * @param {import('./locationService').default} locationService
      * @param {Object} options
      * @param {string} options.mapContainer - ID of the map container element
      * @param {string} options.accessToken - Mapbox access token
-     * @param {string} [options.googleApiKey] - Google Places API key
      * @param {string} [options.searchInput] - ID of search input element (optional)
      * @param {string} [options.searchInputLevel] - Level for search input (e.g. 'neighborhood', 'postcode', 'place')
      * @param {number} [options.initialZoom=13] - Initial map zoom level
@@ -39,7 +41,6 @@ class MapService {
     constructor(locationService, { 
         mapContainer, 
         accessToken, 
-        googleApiKey, 
         searchInput, 
         searchInputLevel, 
         initialZoom = 14, 
@@ -51,7 +52,6 @@ class MapService {
         this._locationService = locationService;
         this._mapContainer = mapContainer;
         this._accessToken = accessToken;
-        this._googleApiKey = googleApiKey;
         this._searchInput = searchInput;
         this._searchInputLevel = searchInputLevel;
         this._initialZoom = initialZoom;
@@ -78,9 +78,6 @@ class MapService {
             lat: 40.7580
         };
 
-        /** @type {Promise|null} */
-        this._googlePlacesLoading = null;  // Track loading state of Google Places API
-
         /** @type {mapboxgl.Marker[]} */
         this._placeMarkers = [];  // Array to store place markers
 
@@ -101,6 +98,9 @@ class MapService {
 
         this._pendingSearch = null; // Will store {place, moveComplete, searchText}
 
+        /** @type {string|null} */
+        this._autocompleteSessionToken = null;  // Current /v1/autocomplete session
+
         // Add property to track manual mode
         this._isManualMode = false;
 
@@ -435,145 +435,221 @@ class MapService {
         
         searchContainer.appendChild(searchInput);
 
-        // Initialize appropriate search provider
-        if (this._googleApiKey) {
-            await this._initializeGoogleSearch(searchInput);
-        } else {
-            await this._initializeMapboxSearch();
-        }
+        await this._initializeAutocompleteSearch(searchInput);
     }
 
     /**
-     * Initialize Google Places search
+     * Initialize place search backed by the places worker's /v1/autocomplete endpoint
      * @private
      */
-    async _initializeGoogleSearch(searchInput) {
-        await this._loadGooglePlaces();
-        
-        const autocomplete = new google.maps.places.Autocomplete(searchInput, {
-            types: ['establishment', 'geocode'],
-            componentRestrictions: { country: 'us' },
-            fields: ['geometry', 'name', 'formatted_address', 'address_components']
-        });
-
-        autocomplete.addListener('place_changed', () => {
-            const place = autocomplete.getPlace();
-            if (!place.geometry) return;
+    async _initializeAutocompleteSearch(searchInput) {
+        const dropdown = document.createElement('div');
+        dropdown.className = 'pac-container';
+        dropdown.style.display = 'none';
+        searchInput.parentElement.appendChild(dropdown);
+
+        let suggestions = [];
+        let selectedIndex = -1;
+        let debounceTimer = null;
+        let requestId = 0;
+
+        const hide = () => {
+            dropdown.style.display = 'none';
+            selectedIndex = -1;
+        };
 
-            const location = {
-                lat: place.geometry.location.lat(),
-                lng: place.geometry.location.lng()
-            };
+        const render = () => {
+            dropdown.innerHTML = '';
+            suggestions.forEach((suggestion, index) => {
+                const item = document.createElement('div');
+                item.className = 'pac-item' + (index === selectedIndex ? ' pac-item-selected' : '');
+
+                const main = document.createElement('span');
+                main.className = 'pac-item-query';
+                main.textContent = suggestion.mainText;
+                item.appendChild(main);
+
+                if (suggestion.secondaryText) {
+                    const secondary = document.createElement('span');
+                    secondary.textContent = ` ${suggestion.secondaryText}`;
+                    item.appendChild(secondary);
+                }
 
-            // Do this first to preload the destination location
-            this._locationService.setMapLocation(location);
-            
-            // Notify callbacks about the map movement
-            this._notifyCallbacks([], {
-                event: 'place_changed',
-                source: 'map_interaction',
-                location: location,
-                bounds: this._map.getBounds(),
-                zoom: this._map.getZoom()
+                // mousedown fires before the input's blur hides the dropdown
+                item.addEventListener('mousedown', (event) => {
+                    event.preventDefault();
+                    hide();
+                    this._selectSuggestion(suggestion, searchInput);
+                });
+                dropdown.appendChild(item);
             });
-            // Store all search-related state in one object
-            this._pendingSearch = {
-                place: {
-                    name: place.name,
-                    location,
-                    formatted_address: place.formatted_address
-                },
-                moveComplete: new Promise(resolve => {
-                    this._map.once('moveend', resolve);
-                }),
-                searchText: searchInput.value
-            };
+            dropdown.style.display = suggestions.length ? 'block' : 'none';
+        };
 
-            // Move map
-            this._map.flyTo({
-                center: [place.geometry.location.lng(), place.geometry.location.lat()],
-                zoom: this._initialZoom
-            });
+        searchInput.addEventListener('input', () => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(async () => {
+                const id = ++requestId;
+                const results = await this._fetchSuggestions(searchInput.value);
+                if (id !== requestId) return;   // A newer keystroke already answered
+                suggestions = results;
+                selectedIndex = -1;
+                render();
+            }, 200);
         });
+
+        searchInput.addEventListener('keydown', (event) => {
+            if (!suggestions.length || dropdown.style.display === 'none') return;
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                const step = event.key === 'ArrowDown' ? 1 : -1;
+                selectedIndex = (selectedIndex + step + suggestions.length) % suggestions.length;
+                render();
+            } else if (event.key === 'Enter') {
+                event.preventDefault();
+                const suggestion = suggestions[Math.max(selectedIndex, 0)];
+                hide();
+                this._selectSuggestion(suggestion, searchInput);
+            } else if (event.key === 'Escape') {
+                hide();
+            }
+        });
+
+        searchInput.addEventListener('blur', hide);
     }
 
     /**
-     * Convert Google Place to Mapbox-like format
+     * Suggestions for the current input, biased to the map center
      * @private
      */
-    _convertGooglePlace(googlePlace) {
-        const getAddressComponent = (type) => {
-            const component = googlePlace.address_components?.find(
-                comp => comp.types.includes(type)
-            );
-            return component?.long_name;
-        };
+    async _fetchSuggestions(input) {
+        if (!input || input.trim().length < 2) return [];
+
+        // One session token per search, from the first keystroke to the selection
+        this._autocompleteSessionToken ||= crypto.randomUUID();
+        const url = new URL(`${getApiUrl()}/v1/autocomplete`);
+        url.searchParams.set('input', input.trim());
+        url.searchParams.set('sessionToken', this._autocompleteSessionToken);
+
+        const center = this._map?.getCenter();
+        if (center) {
+            url.searchParams.set('lat', center.lat.toFixed(4));
+            url.searchParams.set('lng', center.lng.toFixed(4));
+        }
 
-        return {
-            id: `google.${googlePlace.place_id}`,
-            type: 'Feature',
-            place_type: ['poi'],
-            text: googlePlace.name,
-            place_name: googlePlace.formatted_address,
-            center: [
-                googlePlace.geometry.location.lng(),
-                googlePlace.geometry.location.lat()
-            ],
-            context: [
-                { id: 'neighborhood', text: getAddressComponent('neighborhood') },
-                { id: 'postcode', text: getAddressComponent('postal_code') },
-                { id: 'place', text: getAddressComponent('locality') },
-                { id: 'region', text: getAddressComponent('administrative_area_level_1') },
-                { id: 'country', text: getAddressComponent('country') }
-            ].filter(item => item.text) // Remove undefined components
-        };
+        try {
+            const response = await fetch(url, { headers: { 'X-API-Key': PLACES_API_KEY } });
+            if (!response.ok) throw new Error(`Autocomplete failed: ${response.status}`);
+            const { data } = await response.json();
+            return data.suggestions || [];
+        } catch (error) {
+            console.warn('Autocomplete failed:', error);
+            return [];
+        }
     }
 
     /**
-     * Load Google Places API if not already loaded
+     * Resolve a selected suggestion and move the map to it
      * @private
      */
-    async _loadGooglePlaces() {
-        // Return existing promise if already loading
-        if (this._googlePlacesLoading) {
-            return this._googlePlacesLoading;
+    async _selectSuggestion(suggestion, searchInput) {
+        // Query suggestions are search terms: search again with the completed text
+        if (suggestion.type !== 'place') {
+            searchInput.value = suggestion.text;
+            searchInput.dispatchEvent(new Event('input'));
+            return;
         }
 
-        // Return immediately if already loaded
-        if (window.google?.maps?.places) {
-            return Promise.resolve();
+        const url = new URL(`${getApiUrl()}/v1/autocomplete/${encodeURIComponent(suggestion.placeId)}`);
+        if (this._autocompleteSessionToken) {
+            url.searchParams.set('sessionToken', this._autocompleteSessionToken);
         }
+        // The selection ends the session
+        this._autocompleteSessionToken = null;
 
-        // Create new loading promise
-        this._googlePlacesLoading = new Promise((resolve, reject) => {
-            // Check if script is already in the process of loading
-            const existingScript = document.querySelector(
-                `script[src^="https://maps.googleapis.com/maps/api/js?key=${this._googleApiKey}"]`
-            );
+        let place;
+        try {
+            const response = await fetch(url, { headers: { 'X-API-Key': PLACES_API_KEY } });
+            if (!response.ok) throw new Error(`Place lookup failed: ${response.status}`);
+            const { data } = await response.json();
+            place = data.place;
+        } catch (error) {
+            console.warn('Autocomplete selection failed:', error);
+            return;
+        }
+        if (!place?.location) return;
 
-            if (existingScript) {
-                // If script exists but not loaded, wait for it
-                existingScript.addEventListener('load', resolve);
-                existingScript.addEventListener('error', reject);
-                return;
-            }
+        searchInput.value = suggestion.text;
+        const location = { lat: place.location.lat, lng: place.location.lng };
 
-            // Create and load new script
-            const script = document.createElement('script');
-            script.src = `https://maps.googleapis.com/maps/api/js?key=${this._googleApiKey}&libraries=places`;
-            script.async = true;
-            script.onload = resolve;
-            script.onerror = reject;
-            document.head.appendChild(script);
+        // Do this first to preload the destination location
+        this._locationService.setMapLocation(location);
+        
+        // Notify callbacks about the map movement
+        this._notifyCallbacks([], {
+            event: 'place_changed',
+            source: 'map_interaction',
+            location: location,
+            bounds: this._map.getBounds(),
+            zoom: this._map.getZoom()
         });
+        // Store all search-related state in one object
+        this._pendingSearch = {
+            place: {
+                name: place.name,
+                location,
+                formatted_address: place.address
+            },
+            moveComplete: new Promise(resolve => {
+                this._map.once('moveend', resolve);
+            }),
+            searchText: searchInput.value
+        };
 
-        try {
-            await this._googlePlacesLoading;
-            return Promise.resolve();
-        } catch (error) {
-            this._googlePlacesLoading = null; // Reset loading state on error
-            throw error;
-        }
+        // Move map
+        this._map.flyTo({
+            center: [location.lng, location.lat],
+            zoom: this._initialZoom
+        });
+    }
+
+    /**
+     * Convert a geocoding result from the places worker to Mapbox-like format
+     * @private
+     */
+    _convertGeocodeResult(result) {
+        return {
+            id: `${result.provider}.geocode`,
+            type: 'Feature',
+            place_type: ['address'],
+            text: result.name,
+            place_name: result.formattedAddress,
+            center: [result.location.lng, result.location.lat],
+            context: [
+                { id: 'neighborhood', text: result.neighborhood },
+                { id: 'postcode', text: result.postalCode },
+                { id: 'place', text: result.city },
+                { id: 'region', text: result.region },
+                { id: 'country', text: result.country }
+            ].filter(item => item.text) // Remove missing components
+        };
+    }
+
+    /**
+     * Reverse geocode through the places worker (cached, with provider fallback)
+     * @private
+     * @returns {Promise<Object|null>} Geocoding result, or null if none
+     */
+    async _fetchReverseGeocode(location) {
+        const url = new URL(`${getApiUrl()}/v1/reverse-geocode`);
+        url.searchParams.set('lat', location.lat);
+        url.searchParams.set('lng', location.lng);
+
+        const response = await fetch(url, { headers: { 'X-API-Key': PLACES_API_KEY } });
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`Geocoding failed: ${response.status}`);
+        const { data } = await response.json();
+        return data.reverseGeocodingResults;
     }
 
     /**
@@ -659,39 +735,12 @@ class MapService {
 
     /**
      * Get the raw place data from the last reverse geocode
-     * @returns {Object|null} The full place data from Mapbox
+     * @returns {Object|null} The place data in Mapbox-like format
      */
     getRawPlace() {
         return this._currentPlace;
     }
 
-    /**
-     * Reverse geocode using Mapbox API
-     * @private
-     */
-    async _reverseGeocodeMapbox(location) {
-        try {
-            const response = await fetch(
-                `https://api.mapbox.com/geocoding/v5/mapbox.places/${location.lng},${location.lat}.json?access_token=${this._accessToken}`
-            );
-
-            if (!response.ok) throw new Error('Geocoding failed');
-            
-            const data = await response.json();
-            const feature = data.features[0];
-
-            // Find city and state from context
-            const city = feature.context?.find(c => c.id.startsWith('place'))?.text;
-            const state = feature.context?.find(c => c.id.startsWith('region'))?.text;
-            
-            this._currentPlace = feature;
-            return feature;
-        } catch (error) {
-            console.warn('Reverse geocoding failed:', error);
-            return null;
-        }
-    }
-
     /**
      * Reverse geocode a location to an address
      * @private
@@ -701,32 +750,9 @@ class MapService {
             return;
         }
 
-        if (this._googleApiKey) {
-            await this._reverseGeocodeGoogle(location);
-        } else {
-            await this._reverseGeocodeMapbox(location);
-        }
-    }
-
-    async _reverseGeocodeGoogle(location) {
         try {
-            await this._loadGooglePlaces();
-            const geocoder = new google.maps.Geocoder();
-            
-            const result = await new Promise((resolve, reject) => {
-                geocoder.geocode(
-                    { location: { lat: location.lat, lng: location.lng } },
-                    (results, status) => {
-                        if (status === 'OK' && results[0]) {
-                            resolve(results[0]);
-                        } else {
-                            reject(new Error(`Geocoding failed: ${status}`));
-                        }
-                    }
-                );
-            });
-
-            this._currentPlace = this._convertGooglePlace(result);
+            const result = await this._fetchReverseGeocode(location);
+            this._currentPlace = result ? this._convertGeocodeResult(result) : null;
         } catch (error) {
             console.warn('Reverse geocoding failed:', error);
             this._currentPlace = null;
@@ -791,19 +817,19 @@ class MapService {
     /**
      * Add markers for places on the map
      * @private
-     * @param {Array} places - Array of place results from Google Places API
+     * @param {Array} places - Array of canonical places (see utils/placeModel.js)
      */
     _addPlaceMarkers(places) {
         this._clearPlaceMarkers();
 
         places.forEach((place) => {
-            if (place.geometry && place.geometry.location) {
+            if (place.location) {
                 const el = document.createElement('div');
                 el.className = 'place-marker';
                 el.style.width = '16px';
                 el.style.height = '16px';
                 el.style.borderRadius = '50%';
-                el.style.backgroundColor = place.opening_hours?.open_now ? '#E31C5F' : '#9CA3AF';
+                el.style.backgroundColor = place.hours?.openNow ? '#E31C5F' : '#9CA3AF';
                 el.style.border = '2px solid white';
                 el.style.boxShadow = '0 0 4px rgba(0,0,0,0.3)';
                 el.style.cursor = 'pointer';
@@ -812,23 +838,23 @@ class MapService {
                     element: el
                 })
                 .setLngLat([
-                    place.geometry.location.lng,
-                    place.geometry.location.lat
+                    place.location.lng,
+                    place.location.lat
                 ])
                 .addTo(this._map);
 
-                marker.placeId = place.place_id;
+                marker.placeId = place.id;
                 marker.placeData = place;
 
                 el.addEventListener('click', (e) => {
                     e.preventDefault();
-                    this.selectMarker(place.place_id);
+                    this.selectMarker(place.id);
                     this._markerClickCallbacks.forEach(callback => callback(place));
                 });
 
                 el.addEventListener('touchstart', (e) => {
                     e.preventDefault();
-                    this.selectMarker(place.place_id);
+                    this.selectMarker(place.id);
                     this._markerClickCallbacks.forEach(callback => callback(place));
                 }, { passive: false });
 
@@ -920,56 +946,24 @@ class MapService {
                 // Get current user location for distance calculation
                 const userLocation = this._locationService.getUserLocationCached();
                 
-                const places = data.results.map(place => {
+                const places = normalizePlaces(data.results).map(place => {
                     // Calculate distance if we have user location
                     let distance = null;
                     let formattedDistance = null;
-                    if (userLocation && place.geometry && place.geometry.location) {
+                    if (userLocation && place.location) {
                         distance = this._calculateDistance(
                             userLocation.lat,
                             userLocation.lng,
-                            place.geometry.location.lat,
-                            place.geometry.location.lng
+                            place.location.lat,
+                            place.location.lng
                         );
                         formattedDistance = this._formatDistance(distance);
                     }
 
                     return {
-                        // Basic info
-                        place_id: place.place_id,
-                        name: place.name,
-                        vicinity: place.vicinity,
-                        formatted_address: place.formatted_address,
-                        
-                        // Location and distance
-                        geometry: place.geometry,
-                        plus_code: place.plus_code,
+                        ...place,
                         distance,           // Distance in meters
-                        formattedDistance, // Formatted distance string
-                        
-                        // Business details
-                        business_status: place.business_status,
-                        opening_hours: place.opening_hours,
-                        price_level: place.price_level,
-                        rating: place.rating,
-                        user_ratings_total: place.user_ratings_total,
-                        
-                        // Types and categories
-                        types: place.types,
-                        
-                        // Visual elements
-                        icon: place.icon,
-                        icon_background_color: place.icon_background_color,
-                        icon_mask_base_uri: place.icon_mask_base_uri,
-                        photos: place.photos,
-                        
-                        // Additional data
-                        html_attributions: place.html_attributions,
-                        scope: place.scope,
-                        reference: place.reference,
-
-                        // Store the raw response too in case we need it
-                        raw_response: place
+                        formattedDistance   // Formatted distance string
                     };
                 });
                 
@@ -1114,9 +1108,9 @@ class MapService {
             await this._pendingSearch.moveComplete;
             
             const matchingPlace = places.find(place => {
-                const nameMatch = place.name.toLowerCase() === pendingPlace.name.toLowerCase();
-                const locationMatch = this._isNearby(
-                    place.geometry.location,
+                const nameMatch = place.name?.toLowerCase() === pendingPlace.name.toLowerCase();
+                const locationMatch = place.location && this._isNearby(
+                    place.location,
                     pendingPlace.location,
                     50
                 );
@@ -1160,22 +1154,12 @@ class MapService {
         if (this._geocodedLocation) return this._geocodedLocation;
 
         try {
-            const response = await fetch(
-                `https://api.mapbox.com/geocoding/v5/mapbox.places/${location.lng},${location.lat}.json?access_token=${this._accessToken}`
-            );
-
-            if (!response.ok) throw new Error('Geocoding failed');
-            
-            const data = await response.json();
-            const feature = data.features[0];
+            const result = await this._fetchReverseGeocode(location);
+            if (!result) return 'Location Unknown';
 
-            // Find city and state from context
-            const city = feature.context?.find(c => c.id.startsWith('place'))?.text;
-            const state = feature.context?.find(c => c.id.startsWith('region'))?.text;
-            
-            this._geocodedLocation = city && state ? 
-                `${city}, ${state}` : 
-                (feature.place_name ? feature.place_name.split(',').slice(0, 2).join(',') : 'Location Unknown');
+            this._geocodedLocation = result.city && result.region ?
+                `${result.city}, ${result.region}` :
+                (result.formattedAddress ? result.formattedAddress.split(',').slice(0, 2).join(',') : 'Location Unknown');
 
             return this._geocodedLocation;
         } catch (error) {
@@ -1224,10 +1208,10 @@ class MapService {
 
         const bounds = new mapboxgl.LngLatBounds();
         places.forEach(place => {
-            if (place.geometry?.location) {
+            if (place.location) {
                 bounds.extend([
-                    place.geometry.location.lng,
-                    place.geometry.location.lat
+                    place.location.lng,
+                    place.location.lat
                 ]);
             }
         });
@@ -14,6 +14,7 @@ export default class MarkerManager {
         this._defaultColors = {
             open: '#00A572',  // Always use green for open places
             closed: '#9CA3AF',
+            lastCall: '#F59E0B',  // Open but closing within the hour
             pulse: '#E31C5F'
         };
         this._visible = false; // Add visibility tracking
@@ -29,22 +30,22 @@ export default class MarkerManager {
         // Track existing markers to remove stale ones
         const updatedMarkerIds = new Set();
         
-        // Sort places by latitude (north to south)
-        const sortedPlaces = [...places].sort((a, b) => 
-            b.geometry.location.lat - a.geometry.location.lat
-        );
+        // Sort places by latitude (north to south), skipping places without a location yet
+        const sortedPlaces = places
+            .filter(place => place.location)
+            .sort((a, b) => b.location.lat - a.location.lat);
         
         sortedPlaces.forEach(place => {
-            const placeId = place.place_id;
+            const placeId = place.id;
             updatedMarkerIds.add(placeId);
 
-            if (place.geometry && place.geometry.location) {
+            if (place.location) {
                 if (this._markers.has(placeId)) {
                     // Update existing marker
                     const marker = this._markers.get(placeId);
                     marker.setLngLat([
-                        place.geometry.location.lng,
-                        place.geometry.location.lat
+                        place.location.lng,
+                        place.location.lat
                     ]);
                     this._updateMarkerStyle(marker, place);
                 } else {
@@ -76,33 +77,32 @@ export default class MarkerManager {
         el.style.setProperty('--pulse-color', this._currentColors.pulse);
         
         // Set initial color based on open/closed status
-        const isOpen = place.opening_hours?.open_now;
-        el.style.backgroundColor = isOpen ? this._currentColors.open : this._currentColors.closed;
+        el.style.backgroundColor = this._statusColor(place);
 
         const marker = new mapboxgl.Marker({
             element: el
         })
         .setLngLat([
-            place.geometry.location.lng,
-            place.geometry.location.lat
+            place.location.lng,
+            place.location.lat
         ])
         .addTo(this._mapService.getMap());
 
         // Store place data with marker
-        marker.placeId = place.place_id;
+        marker.placeId = place.id;
         marker.placeData = place;
 
         // Add click handler
         el.addEventListener('click', (e) => {
             e.preventDefault();
-            this.selectMarker(place.place_id);
+            this.selectMarker(place.id);
             this._markerClickCallbacks.forEach(callback => callback(place));
         });
 
         // Add touch handler
         el.addEventListener('touchstart', (e) => {
             e.preventDefault();
-            this.selectMarker(place.place_id);
+            this.selectMarker(place.id);
             this._markerClickCallbacks.forEach(callback => callback(place));
         }, { passive: false });
 
@@ -111,15 +111,22 @@ export default class MarkerManager {
 
     _updateMarkerStyle(marker, place) {
         const el = marker.getElement();
-        const isOpen = place.opening_hours?.open_now;
         
         // Always use closed color for closed venues, but keep pulse color consistent
-        el.style.backgroundColor = isOpen ? this._currentColors.open : this._currentColors.closed;
+        el.style.backgroundColor = this._statusColor(place);
         el.style.setProperty('--pulse-color', this._currentColors.pulse);
         
         marker.placeData = place; // Update stored place data
     }
 
+    // Last call (closing soon) gets its own color; otherwise open / closed
+    _statusColor(place) {
+        if (place.hours?.status === 'closing_soon') {
+            return this._currentColors.lastCall;
+        }
+        return place.hours?.openNow ? this._currentColors.open : this._currentColors.closed;
+    }
+
     // Select/deselect marker
     selectMarker(placeId) {
         // Remove existing popup if any
@@ -136,10 +143,7 @@ export default class MarkerManager {
                 
                 // When selected, maintain open/closed color state
                 if (marker.placeId === placeId) {
-                    const isOpen = marker.placeData.opening_hours?.open_now;
-                    el.style.backgroundColor = isOpen ? 
-                        this._currentColors.open : 
-                        this._currentColors.closed;
+                    el.style.backgroundColor = this._statusColor(marker.placeData);
                     el.style.setProperty('--pulse-color', this._currentColors.pulse);
                     el.style.borderColor = this._currentColors.pulse; // Add border color
 
@@ -0,0 +1,284 @@
+/**
+ * Opening Hours Engine
+ *
+ * Works out whether a canonical place (see placeModel.js) is open, in the
+ * venue's own timezone rather than the viewer's or the worker's. Shared by the
+ * places workers and the client.
+ *
+ * Venue time comes from, in order:
+ * 1. hours.utcOffsetMinutes (Google reports the venue's current offset)
+ * 2. An IANA zone estimated from the place location (coarse: continental US
+ *    zones, otherwise solar time from longitude)
+ *
+ * Hours are evaluated as intervals on a "local minutes" axis (venue wall clock
+ * read as if it were UTC, in minutes since the epoch):
+ * - hours.periods: the regular weekly schedule. A close earlier in the week
+ *   than its open wraps past Saturday (overnight), and an open with no close is
+ *   open around the clock (24/7)
+ * - hours.currentPeriods: dated periods for the coming week. They include
+ *   holiday and other special-day hours (hours.specialDays), so they win over
+ *   the weekly schedule for the days they cover
+ *
+ * Status fields (set on hours by updateOpenNow):
+ * - status: 'open' | 'closing_soon' | 'closed' | 'opens_soon' | 'unknown'
+ *   (closing_soon / opens_soon within SOON_MINUTES, i.e. last call)
+ * - nextOpenTime / nextCloseTime: ISO 8601 in the venue's offset, null if none
+ *   (a 24/7 place never closes)
+ * - closesInMinutes: minutes until close while open, else null
+ *
+ * Usage:
+ * ```js
+ * import { updateOpenNow } from '../utils/openingHours.js';
+ * place = updateOpenNow(place);    // copy with hours.openNow and status fields for right now
+ * isOpenAt(place.hours, date, { location: place.location });
+ * ```
+ */
+
+const MINUTES_PER_DAY = 1440;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const SOON_MINUTES = 60;
+
+export const OPEN_STATUS = {
+    OPEN: 'open',
+    CLOSING_SOON: 'closing_soon',
+    CLOSED: 'closed',
+    OPENS_SOON: 'opens_soon',
+    UNKNOWN: 'unknown'
+};
+
+// Rough continental US zones by longitude, for places without a provider offset
+const US_BOUNDS = { south: 24, north: 50, west: -125, east: -66 };
+const US_ZONES = [
+    { east: -114.5, timeZone: 'America/Los_Angeles' },
+    { east: -101, timeZone: 'America/Denver' },
+    { east: -86.5, timeZone: 'America/Chicago' },
+    { east: Infinity, timeZone: 'America/New_York' }
+];
+const ARIZONA = { south: 31.3, north: 37, west: -114.8, east: -109 };
+
+function inBounds({ lat, lng }, bounds) {
+    return lat >= bounds.south && lat <= bounds.north && lng >= bounds.west && lng <= bounds.east;
+}
+
+export function estimateTimeZone(location) {
+    if (!location || !inBounds(location, US_BOUNDS)) return null;
+    if (inBounds(location, ARIZONA)) return 'America/Phoenix';
+    return US_ZONES.find(zone => location.lng <= zone.east).timeZone;
+}
+
+// Offset of an IANA zone at a given instant, in minutes
+function zoneOffsetMinutes(timeZone, date) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return Math.round((asUtc - date.getTime()) / 60000);
+}
+
+/**
+ * UTC offset of the venue at `date`, in minutes, or null when unknown
+ */
+export function getUtcOffsetMinutes(hours, date = new Date(), { location } = {}) {
+    if (typeof hours?.utcOffsetMinutes === 'number') return hours.utcOffsetMinutes;
+
+    const timeZone = estimateTimeZone(location);
+    if (timeZone) return zoneOffsetMinutes(timeZone, date);
+    if (location) return Math.round(location.lng / 15) * 60;
+    return null;
+}
+
+// Venue wall clock at `date` on the local minutes axis
+function toLocalMinutes(date, offsetMinutes) {
+    return Math.floor(date.getTime() / 60000) + offsetMinutes;
+}
+
+function datedMinutes(point) {
+    const [year, month, day] = point.date.split('-').map(Number);
+    return Date.UTC(year, month - 1, day, point.hour, point.minute) / 60000;
+}
+
+// Weekly periods as intervals for the weeks around `localNow`
+function weeklyIntervals(periods, localNow) {
+    // Epoch day 0 (1970-01-01) was a Thursday, so Sunday-based weeks start 4 days earlier
+    const weekStart = localNow - ((localNow + 4 * MINUTES_PER_DAY) % MINUTES_PER_WEEK);
+    const intervals = [];
+
+    for (const period of periods) {
+        if (!period?.open) continue;
+        const open = period.open.day * MINUTES_PER_DAY + period.open.hour * 60 + period.open.minute;
+
+        if (!period.close) {
+            // Open with no close: around the clock
+            return [{ start: weekStart - MINUTES_PER_WEEK, end: weekStart + 3 * MINUTES_PER_WEEK, always: true }];
+        }
+
+        let close = period.close.day * MINUTES_PER_DAY + period.close.hour * 60 + period.close.minute;
+        if (close <= open) close += MINUTES_PER_WEEK;   // Overnight past the end of the week
+
+        for (let week = -1; week <= 1; week++) {
+            const offset = weekStart + week * MINUTES_PER_WEEK;
+            intervals.push({ start: offset + open, end: offset + close });
+        }
+    }
+    return intervals;
+}
+
+// Dated periods as intervals, with the local-minute window of days they cover.
+// Special days count as covered even without periods (closed for a holiday).
+function datedIntervals(periods, specialDays = []) {
+    const dated = periods.filter(period => period?.open?.date);
+    if (!dated.length) return null;
+
+    const intervals = dated.map(period => {
+        const start = datedMinutes(period.open);
+        const end = period.close?.date ? datedMinutes(period.close) : start + MINUTES_PER_DAY;
+        return { start, end: end > start ? end : end + MINUTES_PER_DAY };
+    });
+
+    const days = dated.map(period => period.open.date).concat(specialDays)
+        .map(date => datedMinutes({ date, hour: 0, minute: 0 }));
+    return {
+        intervals,
+        from: Math.min(...days),
+        to: Math.max(...days) + MINUTES_PER_DAY
+    };
+}
+
+/**
+ * Open intervals relevant to `localNow`. Dated periods replace the weekly ones
+ * inside the days they cover. Returns null when the hours have no schedule.
+ */
+export function getOpenIntervals(hours, localNow) {
+    const weekly = hours?.periods?.length ? weeklyIntervals(hours.periods, localNow) : null;
+    const current = hours?.currentPeriods?.length ? datedIntervals(hours.currentPeriods, hours.specialDays) : null;
+    if (!weekly && !current) return null;
+    if (!current) return weekly;
+
+    const outside = (weekly || [])
+        .filter(i => i.end <= current.from || i.start >= current.to)
+        .concat((weekly || []).filter(i => i.start < current.from && i.end > current.from)
+            .map(i => ({ start: i.start, end: current.from })))
+        .concat((weekly || []).filter(i => i.start < current.to && i.end > current.to)
+            .map(i => ({ start: current.to, end: i.end })));
+
+    return current.intervals.concat(outside).sort((a, b) => a.start - b.start);
+}
+
+// Join touching intervals so a 23:59 close followed by a 00:00 open reads as one stretch
+function mergeIntervals(intervals) {
+    const merged = [];
+    for (const interval of [...intervals].sort((a, b) => a.start - b.start)) {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end + 1) {
+            last.end = Math.max(last.end, interval.end);
+            last.always = last.always || interval.always;
+        } else {
+            merged.push({ ...interval });
+        }
+    }
+    return merged;
+}
+
+// Local minutes -> ISO 8601 with the venue's offset, e.g. 2024-03-15T17:00:00-07:00
+function toIsoTime(localMinutes, offsetMinutes) {
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const abs = Math.abs(offsetMinutes);
+    const zone = `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+    return new Date(localMinutes * 60000).toISOString().slice(0, 19) + zone;
+}
+
+// Local time and merged intervals for `date`, or null if the hours can't be evaluated
+function evaluate(hours, date, location) {
+    const offset = getUtcOffsetMinutes(hours, date, { location });
+    if (offset === null) return null;
+
+    const localNow = toLocalMinutes(date, offset);
+    const intervals = getOpenIntervals(hours, localNow);
+    if (!intervals) return null;
+    return { offset, localNow, intervals: mergeIntervals(intervals) };
+}
+
+/**
+ * Whether the place is open at `date`: true / false, or null if the hours
+ * don't say (no schedule, or no way to tell the venue's timezone)
+ */
+export function isOpenAt(hours, date = new Date(), { location } = {}) {
+    const evaluated = evaluate(hours, date, location);
+    if (!evaluated) return null;
+    const { localNow, intervals } = evaluated;
+    return intervals.some(interval => localNow >= interval.start && localNow < interval.end);
+}
+
+/**
+ * Open status at `date`: { openNow, status, nextOpenTime, nextCloseTime, closesInMinutes }.
+ * Without an evaluable schedule the status follows the provider's openNow.
+ */
+export function getOpenStatus(hours, date = new Date(), { location } = {}) {
+    const evaluated = evaluate(hours, date, location);
+    if (!evaluated) {
+        const openNow = hours?.openNow ?? null;
+        return {
+            openNow,
+            status: openNow === null ? OPEN_STATUS.UNKNOWN : (openNow ? OPEN_STATUS.OPEN : OPEN_STATUS.CLOSED),
+            nextOpenTime: null,
+            nextCloseTime: null,
+            closesInMinutes: null
+        };
+    }
+
+    const { offset, localNow, intervals } = evaluated;
+    const current = intervals.find(interval => localNow >= interval.start && localNow < interval.end);
+
+    if (current) {
+        const closesInMinutes = current.always ? null : current.end - localNow;
+        return {
+            openNow: true,
+            status: closesInMinutes !== null && closesInMinutes <= SOON_MINUTES ? OPEN_STATUS.CLOSING_SOON : OPEN_STATUS.OPEN,
+            nextOpenTime: null,
+            nextCloseTime: current.always ? null : toIsoTime(current.end, offset),
+            closesInMinutes
+        };
+    }
+
+    const next = intervals.find(interval => interval.start > localNow);
+    return {
+        openNow: false,
+        status: next && next.start - localNow <= SOON_MINUTES ? OPEN_STATUS.OPENS_SOON : OPEN_STATUS.CLOSED,
+        nextOpenTime: next ? toIsoTime(next.start, offset) : null,
+        nextCloseTime: next && !next.always ? toIsoTime(next.end, offset) : null,
+        closesInMinutes: null
+    };
+}
+
+/**
+ * Recompute place.hours.openNow and the status fields for `date`. Keeps the
+ * provider's openNow when the schedule can't be evaluated.
+ * @returns a new place object, so places shared through a cache are never
+ * changed in place (the place itself if it has no hours)
+ */
+export function updateOpenNow(place, date = new Date()) {
+    if (!place?.hours) return place;
+    return { ...place, hours: { ...place.hours, ...getOpenStatus(place.hours, date, { location: place.location }) } };
+}
+
+const STATUS_BADGES = {
+    [OPEN_STATUS.OPEN]: { className: 'open', label: 'OPEN' },
+    [OPEN_STATUS.CLOSING_SOON]: { className: 'last-call', label: 'LAST CALL' },
+    [OPEN_STATUS.CLOSED]: { className: 'closed', label: 'CLOSED' },
+    [OPEN_STATUS.OPENS_SOON]: { className: 'opens-soon', label: 'OPENS SOON' },
+    [OPEN_STATUS.UNKNOWN]: { className: 'unknown', label: '...' }
+};
+
+/**
+ * CSS class and label for a status badge. Falls back to openNow for hours
+ * from responses that predate the status fields.
+ */
+export function getStatusBadge(hours) {
+    const status = hours?.status ||
+        (hours?.openNow === true ? OPEN_STATUS.OPEN : hours?.openNow === false ? OPEN_STATUS.CLOSED : OPEN_STATUS.UNKNOWN);
+    return STATUS_BADGES[status];
+}
@@ -0,0 +1,330 @@
+/**
+ * Canonical Place Model
+ *
+ * One place shape shared by the places workers and the client, whatever the
+ * upstream provider. The workers normalize before responding, and the client
+ * normalizes again on receipt (a no-op for canonical places), so either worker
+ * can sit behind getApiUrl().
+ *
+ * Place (schemaVersion 1):
+ * {
+ *   schemaVersion: 1,
+ *   id,                     // Provider place id (Google place id, Radar _id, Barzo venue id)
+ *   provider,               // 'google' | 'radar' | 'barzo'
+ *   venueId,                // Stable cross-provider venue id, when the workers have reconciled the place
+ *   name,
+ *   location: { lat, lng } | null,
+ *   address,                // Formatted address
+ *   vicinity,               // Short address, when the provider has one
+ *   neighborhood,
+ *   types: [],
+ *   primaryType,
+ *   rating,
+ *   userRatingCount,
+ *   priceLevel,             // 0-4, null if unknown
+ *   phone,
+ *   website,
+ *   mapsUrl,
+ *   summary,                // Editorial summary
+ *   businessStatus,
+ *   photos: [{ ref, width, height, attributions: [] }],
+ *   hours: {
+ *     openNow,              // boolean | null
+ *     periods: [{ open: { day, hour, minute }, close: { day, hour, minute } | null }],
+ *     currentPeriods: [...],  // Dated periods for the coming week ({ day, hour, minute, date: 'YYYY-MM-DD' }),
+ *                             // special-day hours included
+ *     specialDays: [],        // 'YYYY-MM-DD' dates with exceptional hours
+ *     weekdayText: [],
+ *     utcOffsetMinutes,     // number | null
+ *     status, nextOpenTime, nextCloseTime, closesInMinutes   // Set at response time (openingHours.js)
+ *   } | null,
+ *   serves: { breakfast, lunch, dinner, brunch, beer, wine, cocktails }
+ * }
+ *
+ * Usage:
+ * ```js
+ * import { normalizePlace } from '../utils/placeModel.js';
+ * const place = normalizePlace(rawGoogleOrRadarPlace);
+ * ```
+ *
+ * GeoJSON (format=geojson on the worker endpoints):
+ * toFeatureCollection(places) gives a FeatureCollection of Point features whose
+ * properties are the canonical place minus `location`, ready for a Mapbox source.
+ */
+
+export const PLACE_SCHEMA_VERSION = 1;
+
+const PRICE_LEVELS = {
+    PRICE_LEVEL_FREE: 0,
+    PRICE_LEVEL_INEXPENSIVE: 1,
+    PRICE_LEVEL_MODERATE: 2,
+    PRICE_LEVEL_EXPENSIVE: 3,
+    PRICE_LEVEL_VERY_EXPENSIVE: 4
+};
+
+const BARZO_EXPENSE_RATINGS = {
+    low: 1,
+    medium: 2,
+    high: 3
+};
+
+// Google legacy "HHMM" time -> { day, hour, minute }
+function legacyPoint(point) {
+    if (!point) return null;
+    const time = point.time || '0000';
+    return {
+        day: point.day,
+        hour: parseInt(time.slice(0, 2), 10),
+        minute: parseInt(time.slice(2), 10),
+        ...(point.date ? { date: point.date } : {})
+    };
+}
+
+// v1 { year, month, day } -> 'YYYY-MM-DD'
+function v1Date(date) {
+    if (!date?.year) return null;
+    return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+}
+
+function v1Point(point) {
+    if (!point) return null;
+    const date = v1Date(point.date);
+    return {
+        day: point.day,
+        hour: point.hour || 0,
+        minute: point.minute || 0,
+        ...(date ? { date } : {})
+    };
+}
+
+function findComponent(components, type) {
+    return components?.find(c => c.types?.includes(type));
+}
+
+/**
+ * Google Places legacy web service (nearbysearch / details json)
+ */
+export function fromGoogleLegacy(place) {
+    const openingHours = place.current_opening_hours || place.opening_hours;
+    const periods = (place.opening_hours?.periods || []).map(period => ({
+        open: legacyPoint(period.open),
+        close: legacyPoint(period.close)
+    }));
+
+    return {
+        schemaVersion: PLACE_SCHEMA_VERSION,
+        id: place.place_id,
+        provider: 'google',
+        name: place.name,
+        location: place.geometry?.location
+            ? { lat: place.geometry.location.lat, lng: place.geometry.location.lng }
+            : null,
+        address: place.formatted_address || place.vicinity || null,
+        vicinity: place.vicinity || null,
+        neighborhood: findComponent(place.address_components, 'neighborhood')?.long_name || null,
+        types: place.types || [],
+        primaryType: place.types?.[0] || null,
+        rating: place.rating ?? null,
+        userRatingCount: place.user_ratings_total ?? null,
+        priceLevel: place.price_level ?? null,
+        phone: place.formatted_phone_number || place.international_phone_number || null,
+        website: place.website || null,
+        mapsUrl: place.url || null,
+        summary: place.editorial_summary?.overview || null,
+        businessStatus: place.business_status || null,
+        photos: (place.photos || []).map(photo => ({
+            ref: photo.photo_reference,
+            width: photo.width,
+            height: photo.height,
+            attributions: photo.html_attributions || []
+        })),
+        hours: openingHours ? {
+            openNow: openingHours.open_now ?? null,
+            periods,
+            currentPeriods: (place.current_opening_hours?.periods || []).map(period => ({
+                open: legacyPoint(period.open),
+                close: legacyPoint(period.close)
+            })),
+            specialDays: (place.current_opening_hours?.special_days || []).map(special => special.date),
+            weekdayText: openingHours.weekday_text || [],
+            // The legacy API reports utc_offset in minutes
+            utcOffsetMinutes: place.utc_offset_minutes ?? place.utc_offset ?? null
+        } : null,
+        serves: {
+            breakfast: place.serves_breakfast,
+            lunch: place.serves_lunch,
+            dinner: place.serves_dinner,
+            brunch: place.serves_brunch,
+            beer: place.serves_beer,
+            wine: place.serves_wine,
+            cocktails: undefined
+        }
+    };
+}
+
+/**
+ * Google Places API (New) v1 (places/{id}, places:searchText)
+ */
+export function fromGoogleV1(place) {
+    const openingHours = place.currentOpeningHours || place.regularOpeningHours;
+    const periods = (place.regularOpeningHours?.periods || []).map(period => ({
+        open: v1Point(period.open),
+        close: v1Point(period.close)
+    }));
+
+    return {
+        schemaVersion: PLACE_SCHEMA_VERSION,
+        id: place.id,
+        provider: 'google',
+        name: place.displayName?.text || null,
+        location: place.location
+            ? { lat: place.location.latitude, lng: place.location.longitude }
+            : null,
+        address: place.formattedAddress || place.shortFormattedAddress || null,
+        vicinity: place.shortFormattedAddress || null,
+        neighborhood: findComponent(place.addressComponents, 'neighborhood')?.longText || null,
+        types: place.types || [],
+        primaryType: place.primaryType || place.types?.[0] || null,
+        rating: place.rating ?? null,
+        userRatingCount: place.userRatingCount ?? null,
+        priceLevel: PRICE_LEVELS[place.priceLevel] ?? null,
+        phone: place.nationalPhoneNumber || place.internationalPhoneNumber || null,
+        website: place.websiteUri || null,
+        mapsUrl: place.googleMapsUri || null,
+        summary: place.editorialSummary?.text || null,
+        businessStatus: place.businessStatus || null,
+        photos: (place.photos || []).map(photo => ({
+            ref: photo.name,
+            width: photo.widthPx,
+            height: photo.heightPx,
+            attributions: (photo.authorAttributions || []).map(a => a.displayName)
+        })),
+        hours: openingHours ? {
+            openNow: openingHours.openNow ?? null,
+            periods,
+            currentPeriods: (place.currentOpeningHours?.periods || []).map(period => ({
+                open: v1Point(period.open),
+                close: v1Point(period.close)
+            })),
+            specialDays: (place.currentOpeningHours?.specialDays || []).map(special => v1Date(special.date)).filter(Boolean),
+            weekdayText: openingHours.weekdayDescriptions || [],
+            utcOffsetMinutes: place.utcOffsetMinutes ?? null
+        } : null,
+        serves: {
+            breakfast: place.servesBreakfast,
+            lunch: place.servesLunch,
+            dinner: place.servesDinner,
+            brunch: place.servesBrunch,
+            beer: place.servesBeer,
+            wine: place.servesWine,
+            cocktails: place.servesCocktails
+        }
+    };
+}
+
+/**
+ * Radar places search
+ */
+export function fromRadar(place, typeMap = {}) {
+    const [lng, lat] = place.location?.coordinates || [];
+    return {
+        schemaVersion: PLACE_SCHEMA_VERSION,
+        id: place._id,
+        provider: 'radar',
+        name: place.name || null,
+        location: lat !== undefined && lng !== undefined ? { lat, lng } : null,
+        address: place.formattedAddress || null,
+        vicinity: null,
+        neighborhood: null,
+        types: (place.categories || []).map(category => typeMap[category] || category.replace(/-/g, '_')),
+        primaryType: place.categories?.[0] || null,
+        rating: null,
+        userRatingCount: null,
+        priceLevel: null,
+        phone: null,
+        website: null,
+        mapsUrl: null,
+        summary: null,
+        businessStatus: null,
+        chain: place.chain?.name || null,
+        photos: [],
+        hours: null,
+        serves: {}
+    };
+}
+
+/**
+ * Barzo venue (api.public.barzo.com /v1/venues)
+ */
+export function fromBarzoVenue(venue) {
+    const [lng, lat] = venue.location?.coordinates || [];
+    const street = [venue.street, venue.street2].filter(Boolean).join(' ');
+    const address = [street, venue.city, [venue.state, venue.zip].filter(Boolean).join(' ')]
+        .filter(Boolean).join(', ');
+    // Venue types are { id, name } records, e.g. 'Sports Bar' -> 'sports_bar'
+    const types = (venue.type || []).map(type => type.name?.toLowerCase().replace(/\s+/g, '_')).filter(Boolean);
+    return {
+        schemaVersion: PLACE_SCHEMA_VERSION,
+        id: venue.id,
+        provider: 'barzo',
+        name: venue.name || null,
+        location: lat !== undefined && lng !== undefined ? { lat, lng } : null,
+        address: address || null,
+        vicinity: street || null,
+        neighborhood: null,
+        types,
+        primaryType: types[0] || null,
+        rating: null,
+        userRatingCount: null,
+        priceLevel: BARZO_EXPENSE_RATINGS[venue.expenseRating] ?? null,
+        phone: venue.phone || null,
+        website: venue.website || null,
+        mapsUrl: null,
+        summary: venue.description || null,
+        businessStatus: venue.active === false ? 'CLOSED_PERMANENTLY' : null,
+        photos: [],
+        hours: null,
+        serves: {}
+    };
+}
+
+/**
+ * Normalize any supported upstream record. Canonical places pass through.
+ */
+export function normalizePlace(place) {
+    if (!place || typeof place !== 'object') return null;
+    if (place.schemaVersion === PLACE_SCHEMA_VERSION) return place;
+    if (place._id && place.location?.coordinates) return fromRadar(place);
+    if (place.id && place.location?.type === 'Point') return fromBarzoVenue(place);
+    if (place.place_id || place.geometry) return fromGoogleLegacy(place);
+    if (place.id) return fromGoogleV1(place);
+    return null;
+}
+
+export function normalizePlaces(places) {
+    return (places || []).map(normalizePlace).filter(Boolean);
+}
+
+/**
+ * Canonical place -> GeoJSON Point feature, or null without a location
+ */
+export function toFeature(place) {
+    if (!place?.location) return null;
+    const { location, ...properties } = place;
+    return {
+        type: 'Feature',
+        id: place.id,
+        geometry: {
+            type: 'Point',
+            coordinates: [location.lng, location.lat]
+        },
+        properties
+    };
+}
+
+export function toFeatureCollection(places) {
+    return {
+        type: 'FeatureCollection',
+        features: (places || []).map(toFeature).filter(Boolean)
+    };
+}
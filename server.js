@@ -145,7 +145,6 @@ app.use((err, req, res, next) => {
 // API Routes - proxy to worker
 app.get('/api/getClientKeys', async (req, res, next) => {
   res.json({ 
-    googleKey: process.env.GOOGLE_MAPS_API_KEY, 
     supabaseUrl: process.env.SUPABASE_URL,
     supabaseAnonKey: process.env.SUPABASE_ANON_KEY,
     secureApiKeyPlaces: process.env.SECURE_API_KEY_PLACES
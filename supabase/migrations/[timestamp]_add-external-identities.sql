@@ -0,0 +1,15 @@
+-- External user id + environment -> Supabase auth user, written by the auth worker
+-- (cloudflare/functions/auth-function.js) on first login and by private/backfillUserMap.js
+CREATE TABLE external_identities (
+    service TEXT NOT NULL,
+    environment TEXT NOT NULL CHECK (environment IN ('dev', 'prod')),
+    external_id TEXT NOT NULL,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (service, environment, external_id),
+    -- A Supabase user belongs to one external user in one environment
+    UNIQUE (service, user_id)
+);
+
+-- No policies: only the service role reads and writes identities
+ALTER TABLE external_identities ENABLE ROW LEVEL SECURITY;